@@ -1,6 +1,7 @@
 const passport = require('passport');
 const { Strategy: GoogleStrategy } = require('passport-google-oauth20');
 const User = require('../models/User.js');
+const { findOrCreateGoogleUser } = require('../services/identityService');
 
 passport.use(
   new GoogleStrategy(
@@ -11,25 +12,16 @@ passport.use(
     },
     async (accessToken, refreshToken, profile, done) => {
       try {
-        let user = await User.findOne({ email: profile.emails[0].value });
+        const email = profile.emails && profile.emails[0];
 
-        if (!user) {
-          user = await User.create({
-            googleId: profile.id,
-            name: profile.displayName,
-            email: profile.emails[0].value,
-            profilePic: profile.photos[0]?.value || null,
-            password: 'GOOGLE_AUTH',
-            mobile: '',
-          });
-        } else if (!user.googleId) {
-          // Update existing user with Google ID if not set
-          user.googleId = profile.id;
-          if (!user.profilePic && profile.photos[0]?.value) {
-            user.profilePic = profile.photos[0].value;
-          }
-          await user.save();
-        }
+        // Same linking rules as the mobile /google handlers
+        const user = await findOrCreateGoogleUser({
+          subject: profile.id,
+          email: email && email.value,
+          emailVerified: Boolean(email && email.verified),
+          name: profile.displayName,
+          picture: profile.photos && profile.photos[0] ? profile.photos[0].value : null,
+        });
 
         done(null, user);
       } catch (err) {
@@ -0,0 +1,73 @@
+/**
+ * Roles and the permission matrix used by middleware/auth.js `requirePermission`.
+ * A role is stored on the User and carried in the access token.
+ */
+
+const ROLES = ['user', 'guardian', 'volunteer', 'responder', 'org-admin', 'super-admin'];
+
+const ADMIN_ROLES = ['org-admin', 'super-admin'];
+// Roles that act on someone else's emergency
+const RESPONDER_ROLES = ['guardian', 'volunteer', 'responder', ...ADMIN_ROLES];
+
+const PERMISSIONS = {
+  // Own account and data
+  'profile:manage': ROLES,
+  'account:export': ROLES,
+  'account:delete': ROLES,
+  'medical:manage': ROLES,
+  'emergencyCards:manage': ROLES,
+  'contacts:manage': ROLES,
+  'chat:use': ROLES,
+  'location:share': ROLES,
+  'checkIns:manage': ROLES,
+  'evidence:manage': ROLES,
+
+  // Raising and following one's own SOS
+  'sos:trigger': ROLES,
+  'sos:read': ROLES,
+  'sos:stream': ROLES,
+  'emotion:analyze': ROLES,
+  'guardians:manage': ROLES,
+  'reports:generate': ROLES,
+
+  // Responding to other people's SOS
+  'sos:respond': RESPONDER_ROLES,
+  // Lifecycle transitions; who may make which is checked per SOS (services/sosLifecycleService.js)
+  'sos:update': ROLES,
+  'volunteers:register': ROLES,
+  'volunteers:alert': ROLES,
+  'volunteers:locate': ROLES,
+
+  // Safety data
+  'routes:analyze': ROLES,
+  'crimeData:read': ROLES,
+  'crimeData:import': ADMIN_ROLES,
+
+  // Operations
+  'metrics:read': ADMIN_ROLES,
+  'evidence:legalHold': ADMIN_ROLES,
+  'crisis:review': ADMIN_ROLES,
+  'sos:assign': ADMIN_ROLES,
+  'users:assignRole': ADMIN_ROLES,
+};
+
+// Roles an org admin may hand out; only a super admin can create admins
+const ASSIGNABLE_ROLES = {
+  'org-admin': ['user', 'guardian', 'volunteer', 'responder'],
+  'super-admin': ROLES,
+};
+
+const hasPermission = (role, permission) => {
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`Unknown permission: ${permission}`);
+  return allowed.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  ADMIN_ROLES,
+  RESPONDER_ROLES,
+  PERMISSIONS,
+  ASSIGNABLE_ROLES,
+  hasPermission,
+};
@@ -0,0 +1,283 @@
+/**
+ * Curated safety guidance answered by the offline chat provider
+ * (services/knowledgeBaseService.js). Keep articles short and actionable;
+ * `tags` are extra search words, `regions` limits an article to users there.
+ * Review helpline numbers when editing.
+ */
+
+// Main emergency number by region (see services/phoneNumberService.js REGIONS)
+const EMERGENCY_NUMBERS = {
+  IN: '112',
+  US: '911',
+  CA: '911',
+  GB: '999',
+  AU: '000',
+};
+
+// Helplines offered with a crisis reply (services/crisisService.js), by the
+// kind of crisis they handle. Keep in step with the helplines articles below.
+const HELPLINES = {
+  IN: [
+    { name: 'Emergency', number: '112', categories: ['imminent_danger', 'self_harm'] },
+    { name: "Women's helpline", number: '181', categories: ['imminent_danger'] },
+    { name: 'Tele-MANAS mental health support', number: '14416', categories: ['self_harm'] },
+  ],
+  US: [
+    { name: 'Emergency', number: '911', categories: ['imminent_danger', 'self_harm'] },
+    { name: 'National Domestic Violence Hotline', number: '1-800-799-7233', categories: ['imminent_danger'] },
+    { name: 'Suicide and Crisis Lifeline', number: '988', categories: ['self_harm'] },
+  ],
+  CA: [
+    { name: 'Emergency', number: '911', categories: ['imminent_danger', 'self_harm'] },
+    { name: 'Suicide Crisis Helpline', number: '988', categories: ['self_harm'] },
+  ],
+  GB: [
+    { name: 'Emergency', number: '999', categories: ['imminent_danger', 'self_harm'] },
+    { name: 'National Domestic Abuse Helpline', number: '0808 2000 247', categories: ['imminent_danger'] },
+    { name: 'Samaritans', number: '116 123', categories: ['self_harm'] },
+  ],
+  AU: [
+    { name: 'Emergency', number: '000', categories: ['imminent_danger', 'self_harm'] },
+    { name: '1800RESPECT', number: '1800 737 732', categories: ['imminent_danger'] },
+    { name: 'Lifeline', number: '13 11 14', categories: ['self_harm'] },
+  ],
+};
+
+const ARTICLES = [
+  // ============ PERSONAL SAFETY ============
+  {
+    id: 'followed-on-foot',
+    title: 'If you think someone is following you',
+    tags: ['followed', 'following', 'stalker', 'walking', 'street', 'someone behind me', 'chasing'],
+    body: `- Cross the street or change direction. If they do the same, treat it as real.
+- Head for a busy, lit place: a shop, restaurant, hotel lobby, petrol station or police station. Do not go home if they could follow you there.
+- Call someone and stay on the line, or share your live location with your trusted circle.
+- If they close in or you feel in danger, press SOS and call the emergency number. Shout for help and make noise.
+- Try to remember what they look like and what they are wearing.`,
+  },
+  {
+    id: 'followed-driving',
+    title: 'If a car is following you',
+    tags: ['car', 'vehicle', 'driving', 'followed', 'following', 'tailgating', 'road'],
+    body: `- Do not drive home. Keep your doors locked and windows up.
+- Make four turns in the same direction: if the car stays with you, you are being followed.
+- Drive to a police station, or a busy, lit place with people around, and stay in the car.
+- Call the emergency number and give the car's description, number plate and your location.
+- If you are blocked in, sound the horn continuously to draw attention.`,
+  },
+  {
+    id: 'unsafe-ride',
+    title: 'Feeling unsafe in a taxi or ride-hailing car',
+    tags: ['taxi', 'cab', 'uber', 'ola', 'lyft', 'auto', 'rickshaw', 'driver', 'ride', 'wrong route'],
+    body: `- Before you get in, check the number plate, car and driver match the app.
+- Sit in the back, behind the passenger seat, and share the trip with your trusted circle.
+- If the driver takes an odd route, say out loud that a friend is tracking the trip.
+- Ask to be let out at a busy place. Use the ride app's emergency button as well as SOS.
+- If you are in danger, call the emergency number and describe the car and route.`,
+  },
+  {
+    id: 'harassment-public',
+    title: 'Harassment on public transport or in public places',
+    tags: ['harassment', 'harassed', 'groping', 'touching', 'eve teasing', 'bus', 'train', 'metro', 'catcalling'],
+    body: `- Move away towards other people, the driver, a guard or a women's coach if there is one.
+- Say loudly and clearly "Stop touching me" so others notice.
+- Ask a specific person for help ("You in the blue shirt, please stand with me").
+- Report it to staff, transport helplines or the police. Note the time, place and route number.
+- If you are able to, record details. Your safety comes first.`,
+  },
+  {
+    id: 'night-travel',
+    title: 'Planning a safe journey at night',
+    tags: ['night', 'late', 'travel', 'alone', 'journey', 'walking home', 'plan'],
+    body: `- Tell someone your route and expected arrival time, or share your live location.
+- Keep your phone charged and carry a power bank.
+- Stay on main, lit roads and avoid shortcuts through empty areas.
+- Keep headphones out or the volume low so you can hear what is around you.
+- Ask someone to expect a message when you arrive, and to call you if it does not come.`,
+  },
+  {
+    id: 'domestic-violence',
+    title: 'Domestic violence: staying safe at home',
+    tags: ['domestic', 'abuse', 'abusive', 'partner', 'husband', 'wife', 'boyfriend', 'violence', 'hit', 'beaten', 'home'],
+    body: `- If you are in danger now, call the emergency number. If you cannot speak, use silent SOS or your duress PIN.
+- Avoid rooms with weapons or no way out, such as the kitchen or bathroom.
+- Agree a code word with someone you trust that means "call the police".
+- Keep essentials ready: ID, money, medicines, keys and phone charger.
+- Domestic violence helplines can help you make a safety plan in confidence.`,
+  },
+  {
+    id: 'stalking-online',
+    title: 'Stalking and online harassment',
+    tags: ['stalking', 'stalker', 'online', 'social media', 'messages', 'threats', 'blackmail', 'cyber'],
+    body: `- Do not reply. Keep every message, call log and screenshot, with dates.
+- Block the person and tighten privacy settings. Turn off location sharing in other apps.
+- Check your phone and accounts for unknown logins and change your passwords.
+- Report it to the platform and to the police or the cyber crime helpline.
+- Tell your trusted circle so they know who to look out for.`,
+  },
+  {
+    id: 'sexual-assault',
+    title: 'After a sexual assault',
+    tags: ['rape', 'sexual', 'assault', 'assaulted', 'abused', 'molested'],
+    body: `- Get to a safe place and call someone you trust. What happened is not your fault.
+- Get medical care as soon as you can, even if you are not hurt. Emergency contraception and HIV prevention work best within 72 hours.
+- If you may report it, try not to wash, change clothes or clean up first. You can still report later.
+- Sexual assault and women's helplines offer confidential support and can go with you to hospital or the police.`,
+  },
+  {
+    id: 'drink-spiked',
+    title: 'If you think your drink was spiked',
+    tags: ['drink', 'spiked', 'drugged', 'dizzy', 'bar', 'party', 'club'],
+    body: `- Tell a friend or staff member you trust straight away and stay with them.
+- Do not leave with someone you do not know well.
+- If you or your friend feel very unwell, are confused or hard to wake, call the emergency number.
+- Ask for a urine or blood test at hospital as soon as possible, then report it to the police.`,
+  },
+
+  // ============ FIRST AID ============
+  {
+    id: 'first-aid-bleeding',
+    title: 'First aid: severe bleeding',
+    tags: ['bleeding', 'blood', 'cut', 'wound', 'stab', 'injury', 'first aid'],
+    body: `- Call the emergency number.
+- Press firmly on the wound with a clean cloth or your hand. Keep pressing.
+- If blood soaks through, add more cloth on top. Do not remove the first layer.
+- If you can, raise the injured part above the heart and have the person lie down.
+- Do not pull out anything stuck in the wound. Press around it instead.`,
+  },
+  {
+    id: 'first-aid-cpr',
+    title: 'First aid: someone is not breathing (CPR)',
+    tags: ['cpr', 'not breathing', 'unconscious', 'unresponsive', 'collapsed', 'heart attack', 'cardiac', 'first aid'],
+    body: `- Call the emergency number and put the phone on speaker.
+- Kneel beside them. Put the heel of your hand in the centre of the chest, the other hand on top.
+- Push hard and fast: 5 to 6 cm deep, 100 to 120 times a minute. Let the chest come back up.
+- If you are not trained in rescue breaths, keep doing chest compressions only.
+- If a defibrillator (AED) is nearby, send someone for it and follow its voice instructions.`,
+  },
+  {
+    id: 'first-aid-choking',
+    title: 'First aid: choking adult',
+    tags: ['choking', 'choke', 'cannot breathe', 'food stuck', 'heimlich', 'first aid'],
+    body: `- If they can cough, encourage them to keep coughing.
+- If they cannot cough, speak or breathe: give up to 5 firm back blows between the shoulder blades.
+- Then give up to 5 abdominal thrusts: stand behind them, fist above the belly button, pull sharply in and up.
+- Repeat back blows and thrusts. Call the emergency number if it does not clear.
+- If they become unresponsive, start CPR.`,
+  },
+  {
+    id: 'first-aid-burns',
+    title: 'First aid: burns',
+    tags: ['burn', 'burns', 'burned', 'scald', 'fire', 'acid', 'first aid'],
+    body: `- Cool the burn under cool running water for 20 minutes. For chemical or acid burns, rinse with plenty of water.
+- Remove rings, watches and clothing near the burn unless stuck to the skin.
+- Cover it loosely with cling film or a clean, non-fluffy cloth.
+- Do not use ice, butter, toothpaste or creams.
+- Get medical help for large, deep, facial or chemical burns.`,
+  },
+  {
+    id: 'first-aid-recovery-position',
+    title: 'First aid: unconscious but breathing',
+    tags: ['unconscious', 'fainted', 'passed out', 'breathing', 'recovery position', 'first aid'],
+    body: `- Call the emergency number.
+- Roll them onto their side with the top leg bent, so they will not roll onto their face.
+- Tilt the head back slightly to keep the airway open.
+- Stay with them and check their breathing until help arrives. Start CPR if they stop breathing.`,
+  },
+  {
+    id: 'panic-attack',
+    title: 'Panic attack or feeling overwhelmed',
+    tags: ['panic', 'anxiety', 'anxious', 'scared', 'breathing fast', 'overwhelmed', 'calm down'],
+    body: `- Breathe slowly: in through the nose for 4 counts, hold for 2, out through the mouth for 6.
+- Name 5 things you can see, 4 you can touch, 3 you can hear.
+- Remind yourself that panic passes, usually within minutes.
+- If you are also in danger, press SOS first. If chest pain or breathlessness does not ease, call the emergency number.`,
+  },
+  {
+    id: 'self-harm',
+    title: 'If you are thinking about hurting yourself',
+    tags: ['suicide', 'suicidal', 'self harm', 'kill myself', 'end my life', 'hopeless', 'depressed'],
+    body: `- You do not have to go through this alone. Please contact a crisis line now: they are free and confidential.
+- If you might act on these thoughts, call the emergency number or go to a hospital.
+- Tell someone you trust how you are feeling, and stay with them.
+- Move away from anything you could use to hurt yourself.`,
+  },
+
+  // ============ USING THE APP ============
+  {
+    id: 'app-sos',
+    title: 'How SOS works in the app',
+    tags: ['sos', 'alert', 'emergency button', 'how', 'app', 'trigger'],
+    body: `- Press SOS to alert your trusted circle with your location. They get an SMS, and a call if you set one up.
+- If nobody in the first tier responds, the next tier is alerted, then nearby volunteers.
+- Silent SOS sends the alert without sound on your phone.
+- If you are forced to unlock the app, your duress PIN opens it normally and raises a silent SOS.`,
+  },
+  {
+    id: 'app-trusted-circle',
+    title: 'Setting up your trusted circle',
+    tags: ['trusted circle', 'contacts', 'guardian', 'add contact', 'emergency contact', 'app'],
+    body: `- Add the people you want alerted in an emergency. Each gets an SMS to confirm they agree.
+- Put the people most likely to answer in tier 1, and others in tiers 2 and 3.
+- Choose whether each person is texted, called, or both.
+- You can import contacts from your phone as a vCard or CSV file.`,
+  },
+
+  // ============ HELPLINES ============
+  {
+    id: 'helplines-in',
+    title: 'Helpline numbers in India',
+    regions: ['IN'],
+    tags: ['helpline', 'number', 'phone', 'call', 'police', 'ambulance', 'women', 'emergency number', 'hotline'],
+    body: `- Emergency (police, fire, ambulance): 112
+- Police: 100. Ambulance: 108
+- Women's helpline: 181. Women in distress (police): 1091
+- Childline: 1098
+- Cyber crime: 1930
+- Tele-MANAS mental health support: 14416`,
+  },
+  {
+    id: 'helplines-us',
+    title: 'Helpline numbers in the United States',
+    regions: ['US'],
+    tags: ['helpline', 'number', 'phone', 'call', 'police', 'ambulance', 'emergency number', 'hotline'],
+    body: `- Emergency: 911
+- Suicide and Crisis Lifeline: call or text 988
+- National Domestic Violence Hotline: 1-800-799-7233
+- RAINN sexual assault hotline: 1-800-656-4673`,
+  },
+  {
+    id: 'helplines-ca',
+    title: 'Helpline numbers in Canada',
+    regions: ['CA'],
+    tags: ['helpline', 'number', 'phone', 'call', 'police', 'ambulance', 'emergency number', 'hotline'],
+    body: `- Emergency: 911
+- Suicide Crisis Helpline: call or text 988
+- Kids Help Phone: 1-800-668-6868`,
+  },
+  {
+    id: 'helplines-gb',
+    title: 'Helpline numbers in the United Kingdom',
+    regions: ['GB'],
+    tags: ['helpline', 'number', 'phone', 'call', 'police', 'ambulance', 'emergency number', 'hotline'],
+    body: `- Emergency: 999 (or 112)
+- Police, non-emergency: 101. NHS urgent medical advice: 111
+- National Domestic Abuse Helpline: 0808 2000 247
+- Samaritans: 116 123`,
+  },
+  {
+    id: 'helplines-au',
+    title: 'Helpline numbers in Australia',
+    regions: ['AU'],
+    tags: ['helpline', 'number', 'phone', 'call', 'police', 'ambulance', 'emergency number', 'hotline'],
+    body: `- Emergency: 000 (112 also works from mobiles)
+- Lifeline: 13 11 14
+- 1800RESPECT (domestic, family and sexual violence): 1800 737 732`,
+  },
+];
+
+module.exports = {
+  EMERGENCY_NUMBERS,
+  HELPLINES,
+  ARTICLES,
+};
@@ -6,9 +6,6 @@ console.log('🔑 JWT_SECRET value:', process.env.JWT_SECRET);
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const axios = require('axios');
 const passport = require('passport');
 const session = require('express-session');
 const path = require('path');
@@ -21,10 +18,48 @@ const authRoutes = require('./routes/authRoutes');
 const volunteerRoutes = require('./routes/volunteerRoutes');
 const evidenceRoutes = require('./routes/evidenceRoutes');
 const advancedSOSRoutes = require('./routes/advancedSOSRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const medicalRoutes = require('./routes/medicalRoutes');
+const emergencyCardRoutes = require('./routes/emergencyCardRoutes');
+const fileRoutes = require('./routes/fileRoutes');
+const trustedCircleRoutes = require('./routes/trustedCircleRoutes');
+const contactRoutes = require('./routes/contactRoutes');
+const chatRoutes = require('./routes/chatRoutes');
+const locationShareRoutes = require('./routes/locationShareRoutes');
+const checkInRoutes = require('./routes/checkInRoutes');
+const { issueTokens, verifyAccessToken } = require('./services/tokenService');
+const { sendVerificationEmail } = require('./services/accountRecoveryService');
+const { completeLogin } = require('./services/twoFactorService');
+const { requirePermission } = require('./middleware/auth');
+const {
+  hashPassword,
+  verifyPassword,
+  verifyGoogleIdToken,
+  findOrCreateGoogleUser,
+} = require('./services/identityService');
+const { checkAttempt, recordFailure, recordSuccess } = require('./services/loginAttemptService');
+const {
+  MAX_IMAGE_BYTES,
+  decodeDataUrl,
+  saveProfileImage,
+  deleteProfileImages,
+  profileStorageKey,
+} = require('./services/imageService');
+const { getStorage } = require('./services/storageService');
+const { startEscalationWorker } = require('./services/escalationService');
+const { triggerOfflineAlerts } = require('./services/offlineService');
+const { startCheckInWorker } = require('./services/checkInService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Behind Render/Railway/Heroku set TRUST_PROXY=1 so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 // Allow local dev frontend and production frontend (set FRONTEND_URL in Render env)
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
@@ -58,29 +93,34 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Ensure uploads directory exists
+// Ensure uploads directory exists (temporary evidence chunks are staged here)
 const UPLOADS_DIR = path.join(__dirname, 'uploads');
-const PROFILE_UPLOAD_DIR = path.join(UPLOADS_DIR, 'profile_images');
 if (!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR);
-if (!fs.existsSync(PROFILE_UPLOAD_DIR)) fs.mkdirSync(PROFILE_UPLOAD_DIR);
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(UPLOADS_DIR));
+// Profile images are public; everything else in blob storage needs a signed URL
+app.get('/uploads/profile_images/:name', async (req, res) => {
+  try {
+    const key = profileStorageKey(`/uploads/profile_images/${req.params.name}`);
+    const blob = key && (await getStorage().get(key));
+    if (!blob) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
 
-// Multer setup for profile image uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, PROFILE_UPLOAD_DIR);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname) || '.jpg';
-    cb(null, `${req.user || 'anon'}_${Date.now()}${ext}`);
-  },
+    res.set({ 'Content-Type': blob.contentType, 'Cache-Control': 'public, max-age=86400' });
+    if (blob.size) res.set('Content-Length', String(blob.size));
+    blob.stream.on('error', (error) => res.destroy(error));
+    blob.stream.pipe(res);
+  } catch (error) {
+    console.error('Profile image error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
 });
 
+// Multer setup for profile image uploads: kept in memory, then checked and
+// re-encoded by imageService before anything is written to disk
 const upload = multer({
-  storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5 MB
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES },
 });
 
 // Session middleware for Passport
@@ -99,13 +139,17 @@ app.use(passport.session());
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty')
-.then(() => console.log('✅ MongoDB connected'))
+.then(() => {
+  console.log('✅ MongoDB connected');
+  // Alerts the next contact tier when nobody has acknowledged an SOS
+  startEscalationWorker();
+  // Raises an SOS when a check-in timer runs out
+  startCheckInWorker();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Import User model
 const User = require('./models/User');
-// Import Contact model
-const Contact = require('./models/Contact');
 
 // ✅ PASSPORT GOOGLE OAUTH ROUTES
 app.use('/auth', authRoutes);
@@ -119,6 +163,35 @@ app.use('/api/evidence', evidenceRoutes);
 // ✅ ADVANCED SOS ROUTES
 app.use('/api/sos', advancedSOSRoutes);
 
+// ✅ ADMIN ROUTES
+app.use('/api/admin', adminRoutes);
+
+// ✅ ACCOUNT ROUTES (data export, deletion)
+app.use('/api/account', accountRoutes);
+
+// ✅ MEDICAL ID ROUTES (profile, scannable medical card)
+app.use('/api/medical', medicalRoutes);
+
+// ✅ EMERGENCY CARD ROUTES (printed QR/NFC cards, public bystander alerts)
+app.use('/api/emergency-cards', emergencyCardRoutes);
+
+// ✅ FILE ROUTES (signed blob storage downloads)
+app.use('/api/files', fileRoutes);
+
+// ✅ TRUSTED CIRCLE ROUTES (emergency contacts, consent, escalation, Twilio webhooks)
+app.use('/api/trusted-circle', trustedCircleRoutes);
+// Deprecated alias kept while clients move off /api/contacts
+app.use('/api/contacts', contactRoutes);
+
+// ✅ CHAT ROUTES (Smart Sentry assistant conversations)
+app.use('/api/chat', chatRoutes);
+
+// ✅ LOCATION SHARE ROUTES (live location links for the trusted circle)
+app.use('/api/location-shares', locationShareRoutes);
+
+// ✅ CHECK-IN ROUTES (safety timers)
+app.use('/api/check-ins', checkInRoutes);
+
 // ✅ LEGACY GOOGLE OAUTH TOKEN VERIFICATION (SECURITY CRITICAL)
 // Verify Google ID token and create/update user
 app.post('/api/auth/google', async (req, res) => {
@@ -129,57 +202,35 @@ app.post('/api/auth/google', async (req, res) => {
       return res.status(400).json({ message: 'ID token required' });
     }
 
-    // Verify token with Google
-    const response = await axios.get(
-      `https://oauth2.googleapis.com/tokeninfo?id_token=${idToken}`
-    );
+    // Verify token with Google, then find, link or create the user
+    const profile = await verifyGoogleIdToken(idToken);
+    const user = await findOrCreateGoogleUser(profile);
 
-    const { email, name, picture } = response.data;
-
-    if (!email) {
-      return res.status(400).json({ message: 'Invalid token' });
-    }
-
-    // Find or create user
-    let user = await User.findOne({ email });
-
-    if (!user) {
-      // Create new user from Google data
-      user = new User({
-        name: name || email.split('@')[0],
-        email,
-        mobile: '', // Required but empty - user fills later
-        password: 'GOOGLE_AUTH', // Placeholder for OAuth users
-        profileImage: picture,
-      });
+    // This app shows profileImage; the Google picture lands in profilePic
+    if (!user.profileImage && profile.picture) {
+      user.profileImage = profile.picture;
       await user.save();
-    } else {
-      // Update existing user's profile image if available
-      if (picture && !user.profileImage) {
-        user.profileImage = picture;
-        await user.save();
-      }
     }
 
-    // Generate JWT for your app
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a device session, or a 2FA challenge
+    const tokens = await completeLogin(user, req);
 
     res.json({
       message: 'Google sign-in successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         mobile: user.mobile,
         profileImage: user.profileImage,
       },
     });
   } catch (error) {
+    if (error.name === 'IdentityInUseError') {
+      return res.status(409).json({ message: error.message });
+    }
     console.error('Google token verification error:', error.message);
     res.status(401).json({ message: 'Invalid Google token' });
   }
@@ -190,42 +241,46 @@ app.post('/api/auth/register', async (req, res) => {
   try {
     const { name, email, mobile, address, password, profileImage } = req.body;
 
+    // Phone-only sign-up goes through /auth/phone; this route needs an email
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
     // Check if user exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create user
+    // Create user with a password identity
     const user = new User({
       name,
       email,
       mobile,
       address,
-      password: hashedPassword,
       profileImage,
+      identities: {
+        password: { hash: await hashPassword(password), setAt: new Date() },
+      },
     });
 
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
+    sendVerificationEmail(user).catch(err =>
+      console.error('Verification email error:', err.message)
     );
 
+    // Start a device session (access + refresh token)
+    const tokens = await issueTokens(user, req);
+
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         mobile: user.mobile,
         address: user.address,
         profileImage: user.profileImage,
@@ -241,32 +296,44 @@ app.post('/api/auth/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+
+    // Back off after repeated failures for this account or IP
+    const attempt = { account: `email:${email}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: 'Too many failed attempts, try again later', retryAfter });
+    }
+
     // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+identities.password.hash');
     if (!user) {
+      await recordFailure(attempt);
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Check password (Google-only accounts have none linked)
+    const isMatch = await verifyPassword(user, password);
     if (!isMatch) {
+      await recordFailure({ ...attempt, user });
       return res.status(400).json({ message: 'Invalid credentials' });
     }
+    await recordSuccess(attempt);
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '7d' }
-    );
+    // Start a device session, or a 2FA challenge
+    const tokens = await completeLogin(user, req);
 
     res.json({
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         mobile: user.mobile,
         address: user.address,
         profileImage: user.profileImage,
@@ -278,8 +345,8 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Middleware to verify JWT
-const auth = (req, res, next) => {
+// Middleware to verify JWT and its session
+const createAuth = ({ allowTwoFactorPending = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
 
@@ -302,13 +369,8 @@ const auth = (req, res, next) => {
       return res.status(401).json({ message: 'Empty token provided' });
     }
 
-    const secret = process.env.JWT_SECRET || 'your-secret-key';
-    console.log('🔑 Using JWT secret:', secret);
-    console.log('🔑 Secret from env:', process.env.JWT_SECRET);
-    console.log('🔑 Using fallback:', !process.env.JWT_SECRET);
-
-    // Verify the token
-    const decoded = jwt.verify(token, secret);
+    // Verify the token and make sure its session is still live
+    const decoded = await verifyAccessToken(token, { ip: req.ip, allowTwoFactorPending });
     console.log('✅ Token decoded successfully:', decoded);
 
     if (!decoded.userId) {
@@ -317,6 +379,7 @@ const auth = (req, res, next) => {
     }
 
     req.user = decoded.userId;
+    req.role = decoded.role || 'user';
     console.log('✅ Token verified for user:', req.user);
     next();
 
@@ -325,6 +388,10 @@ const auth = (req, res, next) => {
 
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ message: 'Token has expired' });
+    } else if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ message: error.message });
+    } else if (error.name === 'TwoFactorRequiredError') {
+      return res.status(401).json({ message: error.message, twoFactorRequired: true });
     } else if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token signature' });
     } else {
@@ -333,10 +400,14 @@ const auth = (req, res, next) => {
   }
 };
 
+const auth = createAuth();
+// SOS triggers also accept a login that is still waiting on its second factor
+const sosAuth = createAuth({ allowTwoFactorPending: true });
+
 // Profile route
-app.get('/api/profile', auth, async (req, res) => {
+app.get('/api/profile', auth, requirePermission('profile:manage'), async (req, res) => {
   try {
-    const user = await User.findById(req.user).select('-password');
+    const user = await User.findById(req.user);
     res.json(user);
   } catch (error) {
     console.error(error);
@@ -346,32 +417,19 @@ app.get('/api/profile', auth, async (req, res) => {
 
 // Update profile route
 // Updated profile route: accepts JSON updates, multipart form uploads (field `profileImage`),
-// or base64 `profileImage` in JSON body. Saves uploaded file to /uploads/profile_images and
-// stores the public URL path in `profileImage` field on the User.
-app.put('/api/profile', auth, upload.single('profileImage'), async (req, res) => {
+// or base64 `profileImage` in JSON body. Images are sniffed, re-encoded into avatar and
+// thumbnail sizes under /uploads/profile_images, and the previous files are deleted.
+app.put('/api/profile', auth, requirePermission('profile:manage'), upload.single('profileImage'), async (req, res) => {
+  let newImages = null;
   try {
     let { name, email, mobile, address } = req.body || {};
 
-    // If a file was uploaded via multipart/form-data, set profileImage to its public path
+    // Image bytes from a multipart upload or a base64 data URL in the JSON body
+    let imageBuffer = null;
     if (req.file) {
-      const publicPath = `/uploads/profile_images/${path.basename(req.file.path)}`;
-      // attach to update object
-      req.body.profileImage = publicPath;
-    }
-
-    // Support base64 data URL in JSON body: req.body.profileImage can be a data:* string
-    if (req.body && typeof req.body.profileImage === 'string' && req.body.profileImage.startsWith('data:')) {
-      const matches = req.body.profileImage.match(/^data:(.+);base64,(.+)$/);
-      if (matches) {
-        const mime = matches[1];
-        const ext = mime.split('/').pop() || 'jpg';
-        const data = matches[2];
-        const buffer = Buffer.from(data, 'base64');
-        const filename = `${req.user || 'anon'}_${Date.now()}.${ext}`;
-        const filepath = path.join(PROFILE_UPLOAD_DIR, filename);
-        fs.writeFileSync(filepath, buffer);
-        req.body.profileImage = `/uploads/profile_images/${filename}`;
-      }
+      imageBuffer = req.file.buffer;
+    } else if (req.body && typeof req.body.profileImage === 'string' && req.body.profileImage.startsWith('data:')) {
+      imageBuffer = decodeDataUrl(req.body.profileImage);
     }
 
     // Check if email is already taken by another user
@@ -382,167 +440,105 @@ app.put('/api/profile', auth, upload.single('profileImage'), async (req, res) =>
       }
     }
 
+    const currentUser = await User.findById(req.user).select('profileImage profileImageThumbnail');
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
     const updatePayload = {};
     if (name !== undefined) updatePayload.name = name;
     if (email !== undefined) updatePayload.email = email;
     if (mobile !== undefined) updatePayload.mobile = mobile;
     if (address !== undefined) updatePayload.address = address;
-    if (req.body && req.body.profileImage) updatePayload.profileImage = req.body.profileImage;
+    if (imageBuffer) {
+      newImages = await saveProfileImage(req.user, imageBuffer);
+      updatePayload.profileImage = newImages.avatar;
+      updatePayload.profileImageThumbnail = newImages.thumbnail;
+    }
 
     const updatedUser = await User.findByIdAndUpdate(
       req.user,
       updatePayload,
       { new: true, runValidators: true }
-    ).select('-password');
+    );
 
-    if (!updatedUser) {
-      return res.status(404).json({ message: 'User not found' });
+    // The new image is stored; the replaced files are no longer referenced
+    if (newImages) {
+      await deleteProfileImages(currentUser.profileImage, currentUser.profileImageThumbnail);
     }
 
     res.json(updatedUser);
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-// Placeholder routes for other APIs
-app.get('/api/contacts', auth, async (req, res) => {
-  try {
-    const contacts = await Contact.find({ userId: req.user });
-    res.json(contacts);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
-app.post('/api/contacts', auth, async (req, res) => {
-  try {
-    const { name, relation, phone } = req.body;
-    const contact = new Contact({
-      userId: req.user,
-      name,
-      relation,
-      phone,
-    });
-    await contact.save();
-    res.status(201).json(contact);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
+    // Don't leave the new files behind if the profile was not updated
+    if (newImages) await deleteProfileImages(newImages.avatar, newImages.thumbnail);
 
-app.put('/api/contacts/:id', auth, async (req, res) => {
-  try {
-    const { name, relation, phone } = req.body;
-    const contact = await Contact.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user },
-      { name, relation, phone },
-      { new: true }
-    );
-    if (!contact) {
-      return res.status(404).json({ message: 'Contact not found' });
+    if (error.name === 'InvalidImageError') {
+      return res.status(400).json({ message: error.message });
     }
-    res.json(contact);
-  } catch (error) {
     console.error(error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-app.delete('/api/contacts/:id', auth, async (req, res) => {
-  try {
-    const contact = await Contact.findOneAndDelete({ _id: req.params.id, userId: req.user });
-    if (!contact) {
-      return res.status(404).json({ message: 'Contact not found' });
-    }
-    res.json({ message: 'Contact deleted' });
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ message: 'Server error' });
+// Multer rejects oversized uploads before the route runs
+app.use('/api/profile', (error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ message: 'Image is larger than 5 MB' });
   }
+  next(error);
 });
 
-// Chat route for Mistral AI
-app.post('/api/chat', auth, async (req, res) => {
-  try {
-    const { message, context } = req.body;
-    
-    // Prepare the prompt for Mistral AI with safety context
-    const systemPrompt = `You are Smart Sentry, an AI safety assistant for a personal safety app. 
-    Your role is to provide helpful, accurate information about personal safety, emergency procedures, and app features.
-    
-    Key guidelines:
-    - Always prioritize user safety
-    - Provide clear, actionable advice for emergencies
-    - Be empathetic and supportive
-    - Reference app features when relevant (SOS, trusted contacts, location sharing)
-    - If user is in immediate danger, urge them to use SOS feature
-    - Keep responses concise but informative
-    - Use the provided context about user's profile and contacts when relevant
-    
-    User context: ${JSON.stringify(context)}
-    `;
-    
-    const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
-      model: 'mistral-medium',
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: message }
-      ],
-      max_tokens: 500,
-      temperature: 0.7
-    }, {
-      headers: {
-        'Authorization': `Bearer ${process.env.MISTRAL_API_KEY}`,
-        'Content-Type': 'application/json'
-      }
-    });
-    
-    const aiResponse = response.data.choices[0].message.content;
-    
-    res.json({
-      response: aiResponse,
-      offline: false,
-      model: 'mistral-ai'
-    });
-  } catch (error) {
-    console.error('Mistral API error:', error.response?.data || error.message);
-    res.status(500).json({ 
-      response: "I'm having trouble connecting right now. For emergencies, please use the SOS feature.",
-      offline: true,
-      model: 'fallback'
-    });
-  }
-});
+// How each trigger is named in the alerts sent to the trusted circle
+const SOS_ALERT_LABELS = {
+  manual: 'SOS',
+  accident: 'Possible accident detected',
+  panic: 'Panic alert',
+  shake: 'SOS (phone shaken)',
+  power: 'SOS (power button)',
+  voice: 'SOS (voice command)',
+};
 
-app.post('/api/sos/start', auth, async (req, res) => {
+app.post('/api/sos/start', sosAuth, requirePermission('sos:trigger'), async (req, res) => {
   try {
     const { type, location, timestamp, evidence, silent, coordinates } = req.body;
 
+    // Card, duress, chat and check-in SOS are raised by the server itself
+    if (type !== undefined && !SOS_ALERT_LABELS[type]) {
+      return res.status(400).json({ message: `type must be one of ${Object.keys(SOS_ALERT_LABELS).join(', ')}` });
+    }
+
     // Create SOS record
     const SOS = require('./models/SOS');
+    // sosAuth sets req.user to the user's id
     const sosRecord = new SOS({
-      userId: req.user.userId,
+      userId: req.user,
       type: type || 'manual',
       location: location || 'Unknown location',
       timestamp: timestamp ? new Date(timestamp) : new Date(),
       evidence,
       silent: silent || false,
-      coordinates,
-      status: 'active'
+      coordinates
     });
 
     await sosRecord.save();
 
-    console.log(`🚨 SOS logged for user ${req.user.userId}: ${type} at ${location}`);
+    console.log(`🚨 SOS logged for user ${req.user}: ${type} at ${location}`);
+
+    // Alert the trusted circle through the escalation (tiers, ack links,
+    // volunteers) without holding up the response
+    const label = SOS_ALERT_LABELS[sosRecord.type];
+    setImmediate(() => {
+      triggerOfflineAlerts(req.user, {
+        sosId: sosRecord._id,
+        emergencyType: sosRecord.silent ? `${label} (silent)` : label,
+        userLocation: sosRecord.coordinates && sosRecord.coordinates.latitude != null ? sosRecord.coordinates : undefined,
+      }).catch(err => console.error('❌ SOS alert failed:', err.message));
+    });
 
     res.json({
       message: 'SOS logged successfully',
       sosId: sosRecord._id,
-      status: 'active'
+      status: sosRecord.status
     });
   } catch (error) {
     console.error('Error logging SOS:', error);
@@ -1,11 +1,13 @@
 /**
  * JWT Authentication Middleware
- * Verifies JWT tokens and attaches user info to request
+ * Verifies JWT tokens, checks the session has not been revoked,
+ * and attaches user info to request
  */
 
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokenService');
+const { PERMISSIONS } = require('../config/permissions');
 
-const authenticateToken = (req, res, next) => {
+const createAuthenticateToken = ({ allowTwoFactorPending = false } = {}) => async (req, res, next) => {
   try {
     // Get token from Authorization header
     const authHeader = req.headers['authorization'];
@@ -19,26 +21,40 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    // Verify token
-    const secret = process.env.JWT_SECRET || 'your-secret-key';
-    jwt.verify(token, secret, (err, user) => {
-      if (err) {
-        console.error('❌ Token verification failed:', err.message);
-        return res.status(403).json({
+    // Verify token and session
+    let user;
+    try {
+      user = await verifyAccessToken(token, { ip: req.ip, allowTwoFactorPending });
+    } catch (err) {
+      console.error('❌ Token verification failed:', err.message);
+      if (err.name === 'SessionRevokedError') {
+        return res.status(401).json({
           success: false,
-          message: 'Invalid or expired token',
+          message: err.message,
         });
       }
+      if (err.name === 'TwoFactorRequiredError') {
+        return res.status(401).json({
+          success: false,
+          twoFactorRequired: true,
+          message: err.message,
+        });
+      }
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired token',
+      });
+    }
 
-      // Attach user info to request - support both userId and id
-      req.user = {
-        id: user.id || user.userId || user._id,
-        userId: user.userId || user.id || user._id,
-        ...user, // Spread all user props
-      };
-      console.log('✅ User authenticated:', req.user.id);
-      next();
-    });
+    // Attach user info to request - support both userId and id
+    req.user = {
+      id: user.id || user.userId || user._id,
+      userId: user.userId || user.id || user._id,
+      ...user, // Spread all user props
+    };
+    req.role = user.role || 'user';
+    console.log('✅ User authenticated:', req.user.id);
+    next();
   } catch (error) {
     console.error('❌ Authentication error:', error);
     return res.status(500).json({
@@ -48,4 +64,35 @@ const authenticateToken = (req, res, next) => {
   }
 };
 
+const authenticateToken = createAuthenticateToken();
+
+// For SOS trigger routes: a login still waiting on its second factor may raise an alarm
+authenticateToken.allowTwoFactorPending = createAuthenticateToken({ allowTwoFactorPending: true });
+
+/**
+ * Allow only the given roles. Use after authenticateToken.
+ */
+const authorize = (...roles) => (req, res, next) => {
+  const role = req.role || 'user';
+  if (!roles.includes(role)) {
+    console.warn(`⚠️ Role ${role} denied for ${req.method} ${req.originalUrl}`);
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have permission to perform this action',
+    });
+  }
+  next();
+};
+
+/**
+ * Allow the roles config/permissions.js grants a permission to.
+ */
+const requirePermission = (permission) => {
+  if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+  return authorize(...PERMISSIONS[permission]);
+};
+
+authenticateToken.authorize = authorize;
+authenticateToken.requirePermission = requirePermission;
+
 module.exports = authenticateToken;
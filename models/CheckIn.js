@@ -0,0 +1,47 @@
+/**
+ * CheckIn Model - a safety timer. If the user has not checked in by dueAt,
+ * services/checkInService.js raises an SOS and alerts the trusted circle.
+ */
+
+const mongoose = require('mongoose');
+
+const checkInSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    // What the user is doing, e.g. "walking home from the station"
+    note: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled', 'missed'],
+      default: 'active',
+    },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    missedAt: { type: Date },
+    // The SOS raised when the check-in was missed
+    sosId: { type: mongoose.Schema.Types.ObjectId, ref: 'SOS' },
+    // 'app' or 'assistant' (confirmed from a chat proposal)
+    source: {
+      type: String,
+      enum: ['app', 'assistant'],
+      default: 'app',
+    },
+  },
+  { timestamps: true }
+);
+
+checkInSchema.index({ status: 1, dueAt: 1 });
+checkInSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
@@ -1,5 +1,11 @@
+// Legacy: superseded by TrustedContact, kept until scripts/migrateTrustedCircle.js has run everywhere
 const mongoose = require('mongoose');
 
+// Whether the contact agreed to receive alerts (see services/contactConsentService.js)
+const CONTACT_STATUSES = ['pending', 'confirmed', 'declined', 'bouncing'];
+// How an alert reaches the contact (see services/escalationService.js)
+const CONTACT_CHANNELS = ['sms', 'call'];
+
 const contactSchema = new mongoose.Schema(
   {
     userId: {
@@ -22,11 +28,36 @@ const contactSchema = new mongoose.Schema(
       required: true,
       trim: true,
     },
+    // Escalation order: tier 1 is alerted at once, later tiers only if nobody acknowledges
+    tier: { type: Number, min: 1, max: 3, default: 1 },
+    channels: {
+      type: [{ type: String, enum: CONTACT_CHANNELS }],
+      default: ['sms'],
+    },
+    // Minutes to wait for this contact to acknowledge before the next tier; policy default when unset
+    waitMinutes: { type: Number, min: 1, max: 60 },
+    status: {
+      type: String,
+      enum: CONTACT_STATUSES,
+      default: 'pending',
+    },
+    statusChangedAt: { type: Date },
+    // Invitation link token (hashed) and the short code quoted in SMS replies
+    inviteTokenHash: { type: String, select: false },
+    inviteCode: { type: String },
+    invitedAt: { type: Date },
+    confirmedAt: { type: Date },
+    declinedAt: { type: Date },
+    // Last failed delivery, kept while the contact is bouncing
+    deliveryError: { type: String },
   },
   { timestamps: true }
 );
 
 // Index for faster queries by user
 contactSchema.index({ userId: 1 });
+contactSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+// Inbound SMS replies are matched by number
+contactSchema.index({ phone: 1 });
 
 module.exports = mongoose.model('Contact', contactSchema);
\ No newline at end of file
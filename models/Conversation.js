@@ -0,0 +1,83 @@
+/**
+ * Conversation Model - a Smart Sentry chat with its message history.
+ * Only the recent turns and a running summary of older ones are sent to the
+ * model (see services/chatService.js). Actions the assistant proposed are
+ * kept with their outcome (see services/assistantActionService.js).
+ */
+
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema(
+  {
+    role: {
+      type: String,
+      enum: ['user', 'assistant'],
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    // Provider and model that wrote an assistant message (see services/chatProviderService.js)
+    provider: { type: String },
+    model: { type: String },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  }
+);
+
+const actionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['start_sos', 'share_location', 'start_checkin', 'add_contact', 'unknown'],
+      required: true,
+    },
+    params: { type: mongoose.Schema.Types.Mixed },
+    // What the app shows the user before they confirm
+    summary: { type: String },
+    // proposed -> executing -> executed | failed, or proposed -> rejected | expired.
+    // 'invalid' proposals were never offered to the user.
+    status: {
+      type: String,
+      enum: ['proposed', 'executing', 'executed', 'failed', 'rejected', 'expired', 'invalid'],
+      default: 'proposed',
+    },
+    // The assistant message that proposed it
+    messageId: { type: mongoose.Schema.Types.ObjectId },
+    proposedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date },
+    decidedAt: { type: Date },
+    executedAt: { type: Date },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+  }
+);
+
+const conversationSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+    },
+    messages: [messageSchema],
+    actions: [actionSchema],
+    // Running summary of the messages before summarizedCount
+    summary: { type: String },
+    summarizedCount: { type: Number, default: 0 },
+    messageCount: { type: Number, default: 0 },
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+conversationSchema.index({ userId: 1, lastMessageAt: -1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,54 @@
+/**
+ * CrisisDecision Model - what the chat crisis check decided for a message,
+ * kept for review (see services/crisisService.js and /api/admin/crisis-decisions).
+ * Logged for every message with a crisis signal, including those that were
+ * not escalated.
+ */
+
+const mongoose = require('mongoose');
+
+const crisisDecisionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    conversationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation' },
+    // The start of the message, for the reviewer
+    messageExcerpt: { type: String },
+    region: { type: String },
+    // Categories at or above the threshold: 'imminent_danger', 'self_harm'
+    categories: [String],
+    scores: {
+      imminentDanger: Number,
+      selfHarm: Number,
+    },
+    matchedRules: [String],
+    // Present when model scoring ran
+    model: {
+      provider: String,
+      imminentDanger: Number,
+      selfHarm: Number,
+      error: String,
+    },
+    decision: {
+      type: String,
+      enum: ['none', 'offered_help', 'silent_sos', 'sos_already_active'],
+      required: true,
+    },
+    sosId: { type: mongoose.Schema.Types.ObjectId, ref: 'SOS' },
+    review: {
+      outcome: { type: String, enum: ['correct', 'false_positive', 'missed'] },
+      note: String,
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reviewedAt: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+crisisDecisionSchema.index({ userId: 1, createdAt: -1 });
+crisisDecisionSchema.index({ decision: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CrisisDecision', crisisDecisionSchema);
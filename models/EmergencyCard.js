@@ -0,0 +1,37 @@
+/**
+ * Emergency Card Model - printed QR / NFC cards a bystander can use to raise an SOS
+ */
+
+const mongoose = require('mongoose');
+
+const emergencyCardSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: 'Emergency card',
+    },
+    // sha256 of the token printed on the card; the token itself is shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    revokedAt: Date,
+    lastUsedAt: Date,
+    alertCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+emergencyCardSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('EmergencyCard', emergencyCardSchema);
@@ -1,5 +1,6 @@
 /**
  * Guardian Model - Trusted emergency contacts
+ * Legacy: superseded by TrustedContact, kept until scripts/migrateTrustedCircle.js has run everywhere
  */
 
 const mongoose = require('mongoose');
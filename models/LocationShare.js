@@ -0,0 +1,51 @@
+/**
+ * LocationShare Model - a time-limited live location link sent to one trusted
+ * circle member (see services/locationShareService.js). The link carries a
+ * random token; only its hash is stored.
+ */
+
+const mongoose = require('mongoose');
+
+const locationShareSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    memberId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TrustedContact',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    stoppedAt: { type: Date },
+    // Latest position sent by the app
+    lastLocation: {
+      latitude: Number,
+      longitude: Number,
+      accuracy: Number,
+      at: Date,
+    },
+    // 'app' or 'assistant' (confirmed from a chat proposal)
+    source: {
+      type: String,
+      enum: ['app', 'assistant'],
+      default: 'app',
+    },
+  },
+  { timestamps: true }
+);
+
+locationShareSchema.index({ tokenHash: 1 }, { unique: true });
+locationShareSchema.index({ userId: 1, expiresAt: -1 });
+
+module.exports = mongoose.model('LocationShare', locationShareSchema);
@@ -0,0 +1,32 @@
+/**
+ * Login Attempt Model - failed sign-in counters shared by all instances
+ * Keys look like `account:email:jane@example.com` or `ip:203.0.113.7`.
+ */
+
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    lastFailureAt: Date,
+    // When the counter is forgotten if no further failures happen
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,30 @@
+/**
+ * Medical Access Log Model - every read of a medical card by a scanner
+ */
+
+const mongoose = require('mongoose');
+
+const medicalAccessLogSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    cardId: {
+      type: String,
+      required: true,
+    },
+    accessedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+medicalAccessLogSchema.index({ userId: 1, accessedAt: -1 });
+
+module.exports = mongoose.model('MedicalAccessLog', medicalAccessLogSchema);
@@ -0,0 +1,34 @@
+/**
+ * Phone OTP Model - One-time login codes sent by SMS
+ */
+
+const mongoose = require('mongoose');
+
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: String, // E.164
+      required: true,
+      unique: true,
+    },
+    codeHash: String,
+    expiresAt: Date,
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: Date,
+    // Sends are counted per rolling window to cap SMS cost and abuse
+    windowStartedAt: Date,
+    sendCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// Forget numbers a day after their last send
+phoneOtpSchema.index({ lastSentAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -9,7 +9,7 @@ const sosSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['manual', 'accident', 'panic', 'shake', 'power', 'voice', 'card'],
+      enum: ['manual', 'accident', 'panic', 'shake', 'power', 'voice', 'card', 'duress', 'chat', 'checkin'],
       required: true,
     },
     location: {
@@ -29,25 +29,119 @@ const sosSchema = new mongoose.Schema(
       type: Boolean,
       default: false, // Whether this was a silent activation
     },
+    duress: {
+      type: Boolean,
+      default: false, // Raised by a duress PIN entered under coercion
+    },
+    // When the duress PIN was entered. From then on the owner's own views
+    // show the SOS as cancelled while it keeps running for the contacts.
+    duressAt: Date,
+    silentBeforeDuress: Boolean,
     // Location coordinates if available
     coordinates: {
       latitude: Number,
       longitude: Number,
     },
-    // Status tracking
+    // Set for 'card' SOS raised by a bystander from the owner's emergency card
+    bystander: {
+      cardId: { type: mongoose.Schema.Types.ObjectId, ref: 'EmergencyCard' },
+      ip: String,
+      userAgent: String,
+      accuracy: Number, // metres, as reported by the browser
+      reports: Number, // presses folded into this SOS
+    },
+    // Contact escalation state, advanced by services/escalationService.js
+    escalation: {
+      emergencyType: String,
+      tier: Number, // last contact tier alerted
+      nextAt: Date, // when to alert the next tier if nobody has acknowledged
+      acknowledgedAt: Date,
+      acknowledgedBy: {
+        contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrustedContact' },
+        name: String,
+      },
+      volunteersAlertedAt: Date,
+      volunteersAlerted: Number,
+      completedAt: Date,
+      notifications: {
+        type: [
+          {
+            contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrustedContact' },
+            name: String,
+            tier: Number,
+            channel: String,
+            sentAt: Date,
+            success: Boolean,
+            unconfirmed: Boolean,
+            error: String,
+          },
+        ],
+        default: undefined,
+      },
+    },
+    // Responders an admin sent to this SOS; only they act on it as 'responder'
+    responders: {
+      type: [
+        {
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          name: String,
+          assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          assignedAt: Date,
+        },
+      ],
+      default: undefined,
+    },
+    // Lifecycle state, moved only by services/sosLifecycleService.js:
+    // triggered -> dispatched -> acknowledged -> en_route, and from any of
+    // those to resolved, cancelled or false_alarm (closed for good)
     status: {
       type: String,
-      enum: ['active', 'resolved', 'cancelled'],
-      default: 'active',
+      enum: ['triggered', 'dispatched', 'acknowledged', 'en_route', 'resolved', 'cancelled', 'false_alarm'],
+      default: 'triggered',
     },
+    // When the SOS was closed, whichever way
     resolvedAt: Date,
+    // Append-only timeline: entries are only ever pushed, never edited
+    events: [
+      {
+        // The transition ('dispatch', 'resolve', ...), 'triggered', 'responder_assigned' or 'contacts_notified'
+        type: { type: String, required: true },
+        from: String,
+        to: String,
+        actor: {
+          kind: {
+            type: String,
+            enum: ['owner', 'contact', 'responder', 'admin', 'bystander', 'system'],
+          },
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'TrustedContact' },
+          name: String,
+        },
+        note: String,
+        at: { type: Date, default: Date.now },
+      },
+    ],
   },
   { timestamps: true }
 );
 
+// Every SOS starts its timeline with who raised it
+sosSchema.pre('validate', function () {
+  if (!this.isNew || this.events.length) return;
+  const kind = this.type === 'card' ? 'bystander' : this.type === 'checkin' ? 'system' : 'owner';
+  this.events.push({
+    type: 'triggered',
+    to: this.status,
+    actor: kind === 'owner' ? { kind, userId: this.userId } : { kind },
+    at: this.timestamp || new Date(),
+  });
+});
+
 // Index for faster queries
 sosSchema.index({ userId: 1, timestamp: -1 });
 sosSchema.index({ type: 1, timestamp: -1 });
 sosSchema.index({ status: 1, timestamp: -1 });
+sosSchema.index({ 'escalation.nextAt': 1 }, { sparse: true });
+sosSchema.index({ 'responders.userId': 1, status: 1 }, { sparse: true });
 
 module.exports = mongoose.model('SOS', sosSchema);
\ No newline at end of file
@@ -9,13 +9,19 @@ const sosEvidenceSchema = new mongoose.Schema(
     },
     sosId: {
       type: mongoose.Schema.Types.ObjectId,
-      ref: 'SOS', // Reference to the SOS log
-      required: true,
+      ref: 'SOS', // Reference to the SOS log; chunked recordings may finalize before one exists
+    },
+    // Client-side id of a chunked recording (finalize-upload)
+    recordingId: {
+      type: String,
+      index: true,
+      sparse: true,
     },
+    duration: Number, // seconds, for recordings
     type: {
       type: String,
       enum: ['panic', 'accident', 'medical', 'disaster', 'manual'],
-      required: true,
+      default: 'manual',
     },
     timestamp: {
       type: Date,
@@ -26,25 +32,26 @@ const sosEvidenceSchema = new mongoose.Schema(
       longitude: Number,
       placeName: String,
     },
-    // Evidence files stored in MongoDB as base64
+    // Evidence files live in blob storage (services/storageService.js) under
+    // storageKey; older records keep them in MongoDB as base64 `data`
     evidenceFiles: [{
       type: {
         type: String,
-        enum: ['video_front', 'video_back', 'audio', 'photo'],
+        enum: ['video_front', 'video_back', 'audio', 'photo', 'other'],
         required: true,
       },
       filename: {
         type: String,
         required: true,
       },
+      storageKey: String,
       data: {
-        type: String, // Base64 encoded file data
-        required: true,
+        type: String, // Legacy: base64 encoded file data
       },
       secureUrl: {
-        type: String, // Secure access URL
-        required: true,
+        type: String, // Legacy: /api/evidence/file/<token>
       },
+      sha256: String,
       mimeType: {
         type: String,
         required: true,
@@ -74,6 +81,16 @@ const sosEvidenceSchema = new mongoose.Schema(
     // Tamper protection
     hash: String, // SHA-256 hash of evidence files
     blockchainRef: String, // Optional blockchain reference for immutable proof
+    // Evidence under legal hold survives account deletion untouched
+    legalHold: {
+      active: { type: Boolean, default: false },
+      reason: String,
+      placedAt: Date,
+      placedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      releasedAt: Date,
+    },
+    // Owner deleted their account while this record was held
+    ownerDeletedAt: Date,
   },
   { timestamps: true }
 );
@@ -81,5 +98,6 @@ const sosEvidenceSchema = new mongoose.Schema(
 // Indexes for efficient queries
 sosEvidenceSchema.index({ userId: 1, timestamp: -1 });
 sosEvidenceSchema.index({ type: 1, timestamp: -1 });
+sosEvidenceSchema.index({ userId: 1, 'legalHold.active': 1 });
 
 module.exports = mongoose.model('SOSEvidence', sosEvidenceSchema);
\ No newline at end of file
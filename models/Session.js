@@ -0,0 +1,59 @@
+/**
+ * Session Model - One login per device, backing the rotating refresh token
+ */
+
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Same device fields the app already sends with SOSEvidence uploads
+    deviceInfo: {
+      deviceId: { type: String, default: null },
+      os: String,
+      appVersion: String,
+    },
+    lastSeenIp: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // SHA-256 of the current refresh secret (raw secret is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    // Hash of the secret that was rotated out, used to detect refresh token reuse
+    previousRefreshTokenHash: String,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'replaced', 'reuse_detected', 'expired', 'remote_signout', 'password_reset', 'account_claimed'],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, 'deviceInfo.deviceId': 1, revokedAt: 1 });
+
+// Drop sessions a week after the refresh token expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,143 @@
+/**
+ * TrustedContact Model - a member of the user's trusted circle: the people
+ * alerted in an emergency. Replaces Contact and Guardian
+ * (see scripts/migrateTrustedCircle.js).
+ */
+
+const mongoose = require('mongoose');
+
+// Whether the member agreed to receive alerts (see services/contactConsentService.js)
+const MEMBER_STATUSES = ['pending', 'confirmed', 'declined', 'bouncing'];
+// How an alert reaches the member (see services/escalationService.js)
+const MEMBER_CHANNELS = ['sms', 'call'];
+const RELATIONSHIPS = [
+  'spouse',
+  'parent',
+  'child',
+  'sibling',
+  'friend',
+  'colleague',
+  'emergency_contact',
+  'other',
+];
+
+const trustedContactSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Free-text label shown in the app ("Mum", "Flatmate")
+    relation: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    relationship: {
+      type: String,
+      enum: RELATIONSHIPS,
+      default: 'other',
+    },
+    phone: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    email: { type: String, trim: true, lowercase: true },
+
+    // Escalation order: tier 1 is alerted at once, later tiers only if nobody acknowledges
+    tier: { type: Number, min: 1, max: 3, default: 1 },
+    channels: {
+      type: [{ type: String, enum: MEMBER_CHANNELS }],
+      default: ['sms'],
+    },
+    // Minutes to wait for this member to acknowledge before the next tier; policy default when unset
+    waitMinutes: { type: Number, min: 1, max: 60 },
+    // Paused members stay in the circle but are not alerted
+    isActive: { type: Boolean, default: true },
+
+    status: {
+      type: String,
+      enum: MEMBER_STATUSES,
+      default: 'pending',
+    },
+    statusChangedAt: { type: Date },
+    // Invitation link token (hashed) and the short code quoted in SMS replies
+    inviteTokenHash: { type: String, select: false },
+    inviteCode: { type: String },
+    invitedAt: { type: Date },
+    confirmedAt: { type: Date },
+    declinedAt: { type: Date },
+    // Last failed delivery, kept while the member is bouncing
+    deliveryError: { type: String },
+
+    trustScore: {
+      type: Number,
+      min: 0,
+      max: 1.0,
+      default: 0.8,
+    },
+    lastKnownLocation: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+      },
+      address: String,
+      timestamp: Date,
+    },
+    notificationPreferences: {
+      sms: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+      quiet_hours: {
+        enabled: { type: Boolean, default: false },
+        start: String, // "22:00"
+        end: String, // "08:00"
+      },
+    },
+    // Acknowledgements of alerts, newest last (capped, see escalationService)
+    responseHistory: [
+      {
+        sosEventId: String,
+        notifiedAt: Date,
+        respondedAt: Date,
+        responseAction: String, // 'accepted', 'declined'
+        timeToRespond: Number, // milliseconds
+      },
+    ],
+    responseStats: {
+      totalNotifications: { type: Number, default: 0 },
+      totalResponses: { type: Number, default: 0 },
+      acceptanceRate: { type: Number, default: 0 },
+      averageResponseTime: { type: Number, default: 0 }, // milliseconds
+    },
+
+    // Where a migrated member came from
+    legacy: {
+      contactId: { type: mongoose.Schema.Types.ObjectId },
+      guardianId: { type: String },
+    },
+  },
+  { timestamps: true }
+);
+
+trustedContactSchema.index({ userId: 1, tier: 1 });
+trustedContactSchema.index({ inviteTokenHash: 1 }, { sparse: true });
+// Inbound SMS replies are matched by number
+trustedContactSchema.index({ phone: 1 });
+trustedContactSchema.index({ 'legacy.guardianId': 1 }, { sparse: true });
+
+module.exports = mongoose.model('TrustedContact', trustedContactSchema);
+// Shared with services/trustedCircleService.js, which validates member input
+module.exports.MEMBER_CHANNELS = MEMBER_CHANNELS;
+module.exports.RELATIONSHIPS = RELATIONSHIPS;
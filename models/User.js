@@ -2,14 +2,60 @@ const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema(
   {
-    googleId: { type: String, unique: true, sparse: true },
     name: { type: String, required: true },
-    email: { type: String, required: true, unique: true },
+    // Access role, carried in the JWT (see config/permissions.js)
+    role: {
+      type: String,
+      enum: ['user', 'guardian', 'volunteer', 'responder', 'org-admin', 'super-admin'],
+      default: 'user',
+    },
+    // Optional: phone-only accounts sign in with an SMS code instead
+    email: { type: String, unique: true, sparse: true },
+    emailVerified: { type: Boolean, default: false },
+    // Hashes of single-use email link tokens
+    emailVerificationToken: { type: String, select: false },
+    emailVerificationTokenExpires: { type: Date, select: false },
+    passwordResetToken: { type: String, select: false },
+    passwordResetTokenExpires: { type: Date, select: false },
     profilePic: { type: String },
     mobile: { type: String },
     address: { type: String },
-    password: { type: String },
+    // Linked sign-in methods; a login path only accepts a linked one.
+    // Legacy `password` / `googleId` fields are moved here by scripts/migrateIdentities.js
+    identities: {
+      password: {
+        hash: { type: String, select: false },
+        setAt: Date,
+      },
+      google: {
+        subject: { type: String },
+        email: String,
+        linkedAt: Date,
+      },
+      phone: {
+        number: { type: String }, // E.164
+        verifiedAt: Date,
+        linkedAt: Date,
+      },
+    },
+    // Optional TOTP second factor (secrets encrypted, recovery codes hashed)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      pendingSecret: { type: String, select: false },
+      lastUsedStep: { type: Number, select: false },
+      recoveryCodes: {
+        type: [{ hash: String, usedAt: Date }],
+        select: false,
+      },
+      enabledAt: Date,
+    },
+    // App unlock PIN and duress PIN, bcrypt-hashed like the password identity
+    pin: { type: String, select: false },
+    duressPin: { type: String, select: false },
+    // Avatar (512px) and thumbnail (128px) written by services/imageService.js
     profileImage: { type: String },
+    profileImageThumbnail: { type: String },
     // Volunteer network fields
     isVolunteer: { type: Boolean, default: false },
     volunteerLocation: {
@@ -24,12 +70,37 @@ const userSchema = new mongoose.Schema(
       medications: [String],
       emergencyContact: String,
       conditions: [String],
+      notes: String,
+      updatedAt: Date,
+    },
+    // Signed medical card QR; only the token carrying the current cardId is honoured
+    medicalCard: {
+      cardId: String,
+      issuedAt: Date,
+      revokedAt: Date,
+      lastNotifiedAt: Date,
+    },
+    // How unacknowledged alerts escalate past the first contact tier (services/escalationService.js)
+    escalationPolicy: {
+      tierWaitMinutes: { type: Number, min: 1, max: 60 },
+      notifyVolunteers: { type: Boolean },
+      volunteerRadiusMeters: { type: Number, min: 500, max: 20000 },
+      updatedAt: Date,
+    },
+    // Opt-in: a chat message showing imminent danger raises a silent SOS (services/crisisService.js)
+    chatSafety: {
+      autoSilentSOS: { type: Boolean, default: false },
+      updatedAt: Date,
     },
+    // Set when the account is deleted but a tombstone must stay for evidence under legal hold
+    deletedAt: { type: Date },
   },
   { timestamps: true }
 );
 
 // Add geospatial index for volunteer location queries
 userSchema.index({ volunteerLocation: '2dsphere' });
+userSchema.index({ 'identities.google.subject': 1 }, { unique: true, sparse: true });
+userSchema.index({ 'identities.phone.number': 1 }, { unique: true, sparse: true });
 
 module.exports = mongoose.model('User', userSchema);
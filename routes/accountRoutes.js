@@ -0,0 +1,88 @@
+/**
+ * Account Routes - personal data export and account deletion
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { hasIdentity, verifyPassword } = require('../services/identityService');
+const {
+  TWO_FACTOR_FIELDS,
+  isEnabled: isTwoFactorEnabled,
+  verifySecondFactor,
+} = require('../services/twoFactorService');
+const { writeExport, deleteAccount } = require('../services/accountDataService');
+
+/**
+ * GET /api/account/export?include=conversations
+ * Download a zip of profile, trusted circle, SOS history, emotion logs
+ * and evidence files, described by manifest.json. Assistant conversations
+ * are left out unless `include` lists them.
+ */
+router.get('/export', authenticateToken, requirePermission('account:export'), async (req, res) => {
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="smartsensrty-export-${date}.zip"`,
+      'Cache-Control': 'no-store',
+    });
+
+    const include = String(req.query.include || '').split(',').map(item => item.trim());
+    const manifest = await writeExport(req.user.userId, res, {
+      includeConversations: include.includes('conversations'),
+    });
+    console.log(`📦 Data export for ${req.user.userId}: ${manifest.entries.length} entries`);
+  } catch (error) {
+    console.error('❌ Data export failed:', error);
+    // Once the zip has started streaming the only option is to abort it
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ success: false, message: 'Failed to export data' });
+  }
+});
+
+/**
+ * DELETE /api/account
+ * Permanently delete the account. Body: { confirm: 'DELETE', password?, code?, recoveryCode? }
+ * The password is required when one is linked, and a 2FA code when 2FA is on.
+ */
+router.delete('/', authenticateToken, requirePermission('account:delete'), async (req, res) => {
+  try {
+    const { confirm, password, code, recoveryCode } = req.body || {};
+
+    if (confirm !== 'DELETE') {
+      return res.status(400).json({ success: false, message: 'Send confirm: "DELETE" to delete your account' });
+    }
+
+    const user = await User.findById(req.user.userId).select(`+identities.password.hash ${TWO_FACTOR_FIELDS}`);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    if (hasIdentity(user, 'password') && !(await verifyPassword(user, password))) {
+      return res.status(401).json({ success: false, message: 'Password is incorrect' });
+    }
+
+    if (isTwoFactorEnabled(user) && !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ success: false, message: 'Invalid verification code', twoFactorRequired: true });
+    }
+
+    const summary = await deleteAccount(user._id);
+    console.log(`🗑️ Account ${user._id} deleted`, summary);
+
+    res.json({
+      success: true,
+      deleted: summary,
+      message: summary.evidenceOnLegalHold
+        ? 'Account deleted. Evidence under legal hold is retained until the hold is released.'
+        : 'Account deleted',
+    });
+  } catch (error) {
+    console.error('❌ Account deletion failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete account' });
+  }
+});
+
+module.exports = router;
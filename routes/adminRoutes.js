@@ -0,0 +1,191 @@
+/**
+ * Admin Routes - role management, evidence legal holds and review of chat
+ * crisis decisions
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const SOSEvidence = require('../models/SOSEvidence');
+const SOS = require('../models/SOS');
+const CrisisDecision = require('../models/CrisisDecision');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { ROLES, ASSIGNABLE_ROLES } = require('../config/permissions');
+const { deleteEvidenceFiles } = require('../services/evidenceService');
+
+/**
+ * PUT /api/admin/users/:userId/role
+ * Change a user's role. Org admins can hand out non-admin roles only.
+ * The new role reaches the user's access token on its next refresh.
+ */
+router.put('/users/:userId/role', authenticateToken, requirePermission('users:assignRole'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ success: false, message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const assignable = ASSIGNABLE_ROLES[req.role] || [];
+    if (!assignable.includes(role)) {
+      return res.status(403).json({ success: false, message: `You cannot assign the ${role} role` });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    // Org admins cannot demote admins either
+    if (!assignable.includes(user.role)) {
+      return res.status(403).json({ success: false, message: `You cannot change a ${user.role}'s role` });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    console.log(`🛡️ Role of ${user._id} changed ${previousRole} -> ${role} by ${req.user.id}`);
+
+    res.json({
+      success: true,
+      user: { id: user._id, name: user.name, role: user.role },
+      message: 'Role updated',
+    });
+  } catch (error) {
+    console.error('❌ Role update failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/evidence/:evidenceId/legal-hold
+ * Place evidence under legal hold so account deletion keeps it. Body: { reason }
+ */
+router.put('/evidence/:evidenceId/legal-hold', authenticateToken, requirePermission('evidence:legalHold'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ success: false, message: 'A reason is required' });
+    }
+
+    const evidence = await SOSEvidence.findByIdAndUpdate(
+      req.params.evidenceId,
+      {
+        legalHold: { active: true, reason: reason.trim(), placedAt: new Date(), placedBy: req.user.id },
+      },
+      { new: true }
+    ).select('-evidenceFiles.data');
+    if (!evidence) {
+      return res.status(404).json({ success: false, message: 'Evidence not found' });
+    }
+
+    console.log(`⚖️ Legal hold placed on evidence ${evidence._id} by ${req.user.id}`);
+    res.json({ success: true, legalHold: evidence.legalHold });
+  } catch (error) {
+    console.error('❌ Legal hold failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/evidence/:evidenceId/legal-hold
+ * Release a legal hold. If the owner has deleted their account meanwhile,
+ * the evidence (and its SOS, once nothing else holds it) is deleted now.
+ */
+router.delete('/evidence/:evidenceId/legal-hold', authenticateToken, requirePermission('evidence:legalHold'), async (req, res) => {
+  try {
+    const evidence = await SOSEvidence.findByIdAndUpdate(
+      req.params.evidenceId,
+      { $set: { 'legalHold.active': false, 'legalHold.releasedAt': new Date() } },
+      { new: true }
+    ).select('-evidenceFiles.data');
+    if (!evidence) {
+      return res.status(404).json({ success: false, message: 'Evidence not found' });
+    }
+
+    console.log(`⚖️ Legal hold released on evidence ${evidence._id} by ${req.user.id}`);
+
+    if (evidence.ownerDeletedAt) {
+      await deleteEvidenceFiles(evidence);
+      await SOSEvidence.deleteOne({ _id: evidence._id });
+      const stillHeld = await SOSEvidence.exists({ sosId: evidence.sosId, 'legalHold.active': true });
+      if (!stillHeld) await SOS.deleteOne({ _id: evidence.sosId });
+      return res.json({ success: true, deleted: true, message: 'Hold released; evidence of a deleted account removed' });
+    }
+
+    res.json({ success: true, legalHold: evidence.legalHold });
+  } catch (error) {
+    console.error('❌ Legal hold release failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const REVIEW_OUTCOMES = ['correct', 'false_positive', 'missed'];
+
+/**
+ * GET /api/admin/crisis-decisions?decision=&reviewed=&page=&limit=
+ * Chat crisis decisions, newest first. reviewed=false lists those still to review.
+ */
+router.get('/crisis-decisions', authenticateToken, requirePermission('crisis:review'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const page = parseInt(req.query.page) || 1;
+
+    const filter = {};
+    if (req.query.decision) filter.decision = req.query.decision;
+    if (req.query.reviewed === 'false') filter['review.reviewedAt'] = null;
+    if (req.query.reviewed === 'true') filter['review.reviewedAt'] = { $ne: null };
+
+    const [decisions, total] = await Promise.all([
+      CrisisDecision.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      CrisisDecision.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      decisions,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('❌ Failed to list crisis decisions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PUT /api/admin/crisis-decisions/:id/review
+ * Record whether the decision was right. Body: { outcome, note? }
+ */
+router.put('/crisis-decisions/:id/review', authenticateToken, requirePermission('crisis:review'), async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!REVIEW_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ success: false, message: `Outcome must be one of: ${REVIEW_OUTCOMES.join(', ')}` });
+    }
+    if (note !== undefined && typeof note !== 'string') {
+      return res.status(400).json({ success: false, message: 'Note must be text' });
+    }
+
+    const decision = await CrisisDecision.findByIdAndUpdate(
+      req.params.id,
+      {
+        review: { outcome, note: note ? note.trim().slice(0, 1000) : undefined, reviewedBy: req.user.id, reviewedAt: new Date() },
+      },
+      { new: true }
+    );
+    if (!decision) {
+      return res.status(404).json({ success: false, message: 'Decision not found' });
+    }
+
+    res.json({ success: true, review: decision.review });
+  } catch (error) {
+    console.error('❌ Crisis review failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -5,9 +5,29 @@
 
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const WebSocket = require('ws');
 const SOS = require('../models/SOS');
+const User = require('../models/User');
+const CrimeData = require('../models/CrimeData');
+const TrustedContact = require('../models/TrustedContact');
 const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { ADMIN_ROLES } = require('../config/permissions');
+const { checkPin, raiseDuressSOS, ownerView, OWNER_HIDDEN_TYPES } = require('../services/duressService');
+const { parseMemberInput, recordResponse } = require('../services/trustedCircleService');
+const { sendInvite } = require('../services/contactConsentService');
+const { acknowledgeAlert } = require('../services/escalationService');
+const {
+  TRANSITIONS,
+  PIN_PROTECTED,
+  describeEvent,
+  OPEN_STATUSES,
+  resolveActor,
+  assignResponder,
+  transition,
+} = require('../services/sosLifecycleService');
+const { regionForUser } = require('../services/phoneNumberService');
 
 // ============ SOS HISTORY ROUTES ============
 
@@ -15,7 +35,7 @@ const authenticateToken = require('../middleware/auth');
  * GET /api/sos/history
  * Fetch SOS event history with pagination
  */
-router.get('/history', authenticateToken, async (req, res) => {
+router.get('/history', authenticateToken, requirePermission('sos:read'), async (req, res) => {
   try {
     const userId = req.user.id || req.user.userId || req.user._id;
     const limit = parseInt(req.query.limit) || 50;
@@ -32,35 +52,39 @@ router.get('/history', authenticateToken, async (req, res) => {
       });
     }
 
-    // Fetch user-specific SOS history
-    const sosEvents = await SOS.find({ userId })
+    // Fetch user-specific SOS history, as the owner may see it
+    const query = { userId, type: { $nin: OWNER_HIDDEN_TYPES } };
+    const sosEvents = await SOS.find(query)
       .sort({ timestamp: -1 })
       .skip(skip)
       .limit(limit)
       .lean(); // Use lean() for better performance
 
     // Get total count for pagination
-    const total = await SOS.countDocuments({ userId });
+    const total = await SOS.countDocuments(query);
     const pages = Math.ceil(total / limit);
 
     console.log(`✅ [GET /api/sos/history] Found ${sosEvents.length} records out of ${total} total`);
 
     // Format response
-    const formattedData = sosEvents.map(event => ({
-      id: event._id.toString(),
-      type: event.type,
-      status: event.status,
-      location: event.location,
-      timestamp: event.timestamp,
-      createdAt: event.createdAt,
-      coordinates: event.coordinates,
-      latitude: event.coordinates?.latitude,
-      longitude: event.coordinates?.longitude,
-      address: event.location,
-      evidence: event.evidence,
-      silent: event.silent,
-      resolvedAt: event.resolvedAt,
-    }));
+    const formattedData = sosEvents.map(event => {
+      const view = ownerView(event);
+      return {
+        id: event._id.toString(),
+        type: event.type,
+        status: view.status,
+        location: event.location,
+        timestamp: event.timestamp,
+        createdAt: event.createdAt,
+        coordinates: event.coordinates,
+        latitude: event.coordinates?.latitude,
+        longitude: event.coordinates?.longitude,
+        address: event.location,
+        evidence: event.evidence,
+        silent: view.silent,
+        resolvedAt: view.resolvedAt,
+      };
+    });
 
     res.json({
       success: true,
@@ -85,19 +109,254 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// ============ SOS LIFECYCLE ROUTES ============
+
+const LIFECYCLE_MESSAGES = {
+  dispatch: 'SOS dispatched',
+  acknowledge: 'SOS acknowledged',
+  en_route: 'Marked as on the way',
+  resolve: 'SOS resolved',
+  cancel: 'SOS cancelled',
+  false_alarm: 'SOS marked as a false alarm',
+};
+
+/**
+ * Handler for one lifecycle transition. Body: { note?, pin? }. The owner
+ * needs their PIN (when set) to cancel, resolve or mark a false alarm; the
+ * duress PIN answers the same but keeps the SOS running silently.
+ * Repeating a transition that already happened answers the same again.
+ */
+const lifecycleHandler = (action) => async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { note, pin } = req.body || {};
+    const target = TRANSITIONS[action].to;
+
+    const sos = mongoose.Types.ObjectId.isValid(req.params.sosId)
+      && (await SOS.findById(req.params.sosId).select('userId status responders.userId escalation.completedAt escalation.notifications.contactId'));
+    const actor = sos && (await resolveActor(sos, { userId, role: req.role }));
+    if (!actor) {
+      return res.status(404).json({ success: false, message: 'SOS not found' });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({ success: false, message: 'note must be text under 500 characters' });
+    }
+
+    const done = () => res.json({ success: true, sosId: sos._id, status: target, message: LIFECYCLE_MESSAGES[action] });
+
+    if (actor.kind === 'owner' && PIN_PROTECTED.includes(action)) {
+      const user = await User.findById(userId).select('+pin +duressPin');
+      if (user && user.pin) {
+        const { match, retryAfter } = await checkPin(user, pin, { ip: req.ip });
+        if (match === 'duress') {
+          // Whoever holds the phone must get the same answer even if this fails
+          try {
+            await raiseDuressSOS(user, { sos: await SOS.findById(sos._id) });
+          } catch (error) {
+            console.error(`❌ Duress SOS failed for SOS ${sos._id}:`, error);
+          }
+        }
+        if (retryAfter) {
+          res.set('Retry-After', String(retryAfter));
+          return res.status(429).json({ success: false, message: 'Too many failed attempts, try again later', retryAfter });
+        }
+        if (!match) {
+          return res.status(401).json({ success: false, message: 'Incorrect PIN' });
+        }
+        if (match === 'duress') return done();
+      }
+    }
+
+    if (sos.status === target) return done();
+
+    await transition(sos._id, action, actor, { note });
+
+    // A contact acknowledging in the app counts like the link in their alert
+    if (action === 'acknowledge' && actor.kind === 'contact' && sos.escalation) {
+      // The status has changed either way; a failure here only loses the bookkeeping
+      await acknowledgeAlert({ sosId: sos._id, contactId: actor.contactId }).catch(error => {
+        if (error.name !== 'InvalidAckError') console.error(`❌ Failed to record acknowledgement of SOS ${sos._id}:`, error.message);
+      });
+    }
+
+    done();
+  } catch (error) {
+    if (error.name === 'SOSNotFoundError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.name === 'SOSTransitionForbiddenError') {
+      return res.status(403).json({ success: false, message: error.message });
+    }
+    if (error.name === 'InvalidSOSTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error(`❌ Error applying SOS transition ${action}:`, error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to update SOS',
+    });
+  }
+};
+
+/**
+ * GET /api/sos/assigned
+ * Open SOS the signed-in responder was assigned to, newest first
+ */
+router.get('/assigned', authenticateToken, requirePermission('sos:respond'), async (req, res) => {
+  try {
+    const sosRecords = await SOS.find({ 'responders.userId': req.user.id, status: { $in: OPEN_STATUSES } })
+      .select('type status location coordinates timestamp responders')
+      .sort({ timestamp: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: sosRecords.map(sos => ({
+        id: sos._id.toString(),
+        type: sos.type,
+        status: sos.status,
+        location: sos.location,
+        coordinates: sos.coordinates,
+        timestamp: sos.timestamp,
+        assignedAt: (sos.responders.find(responder => String(responder.userId) === String(req.user.id)) || {}).assignedAt,
+      })),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching assigned SOS:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to fetch assigned SOS',
+    });
+  }
+});
+
+/**
+ * POST /api/sos/:sosId/responders
+ * Body: { responderId }. An admin sends a user with the responder role to
+ * an open SOS; from then on that responder may act on it and read its
+ * timeline.
+ */
+router.post('/:sosId/responders', authenticateToken, requirePermission('sos:assign'), async (req, res) => {
+  try {
+    const sos = await assignResponder(req.params.sosId, (req.body || {}).responderId, { kind: 'admin', userId: req.user.id });
+    res.json({
+      success: true,
+      sosId: sos._id,
+      responders: sos.responders.map(responder => ({ userId: responder.userId, name: responder.name || null, assignedAt: responder.assignedAt })),
+      message: 'Responder assigned',
+    });
+  } catch (error) {
+    if (error.name === 'SOSNotFoundError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.name === 'InvalidResponderError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    if (error.name === 'InvalidSOSTransitionError') {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    console.error('❌ Error assigning SOS responder:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to assign responder',
+    });
+  }
+});
+
+/**
+ * POST /api/sos/:sosId/dispatch
+ * An assigned responder or admin has sent help (alerts going out also dispatch an SOS)
+ */
+router.post('/:sosId/dispatch', authenticateToken, requirePermission('sos:update'), lifecycleHandler('dispatch'));
+
+/**
+ * POST /api/sos/:sosId/acknowledge
+ * A trusted circle member, assigned responder or admin has seen the alert; further
+ * contact tiers are not alerted
+ */
+router.post('/:sosId/acknowledge', authenticateToken, requirePermission('sos:update'), lifecycleHandler('acknowledge'));
+
+/**
+ * POST /api/sos/:sosId/en-route
+ * A trusted circle member or assigned responder is on the way
+ */
+router.post('/:sosId/en-route', authenticateToken, requirePermission('sos:update'), lifecycleHandler('en_route'));
+
+/**
+ * POST /api/sos/:sosId/resolve
+ * The emergency is over. By the owner (PIN), an assigned responder or an
+ * admin; alerted contacts are told by SMS.
+ */
+router.post('/:sosId/resolve', authenticateToken, requirePermission('sos:update'), lifecycleHandler('resolve'));
+
+/**
+ * POST /api/sos/:sosId/cancel
+ * The owner stops their SOS. When the user has a PIN it is required; the
+ * duress PIN gets the same response but keeps the SOS running silently.
+ */
+router.post('/:sosId/cancel', authenticateToken, requirePermission('sos:trigger'), lifecycleHandler('cancel'));
+
+/**
+ * POST /api/sos/:sosId/false-alarm
+ * There was no emergency. By the owner (PIN), an assigned responder or an
+ * admin; alerted contacts are told by SMS.
+ */
+router.post('/:sosId/false-alarm', authenticateToken, requirePermission('sos:update'), lifecycleHandler('false_alarm'));
+
+/**
+ * GET /api/sos/:sosId/timeline
+ * The SOS status and every transition, oldest first. For the owner, their
+ * trusted circle, assigned responders and admins.
+ */
+router.get('/:sosId/timeline', authenticateToken, requirePermission('sos:read'), async (req, res) => {
+  try {
+    const sos = mongoose.Types.ObjectId.isValid(req.params.sosId)
+      && (await SOS.findById(req.params.sosId).select('userId type status silent timestamp resolvedAt duressAt silentBeforeDuress responders events'));
+    const actor = sos && (await resolveActor(sos, { userId: req.user.id, role: req.role }));
+    const isOwner = actor && actor.kind === 'owner';
+    if (!actor || (isOwner && OWNER_HIDDEN_TYPES.includes(sos.type))) {
+      return res.status(404).json({ success: false, message: 'SOS not found' });
+    }
+
+    // The owner may be under duress: they see what the duress PIN showed them
+    const view = isOwner ? ownerView(sos) : sos;
+    res.json({
+      success: true,
+      sosId: sos._id,
+      type: sos.type,
+      status: view.status,
+      timestamp: sos.timestamp,
+      resolvedAt: view.resolvedAt || null,
+      responders: (sos.responders || []).map(responder => ({ name: responder.name || null, assignedAt: responder.assignedAt })),
+      events: view.events.map(describeEvent),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching SOS timeline:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to fetch SOS timeline',
+    });
+  }
+});
+
 // ============ LIVE AUDIO STREAMING ROUTES ============
 
 /**
  * POST /api/stream/start
  * Initialize audio stream session
  */
-router.post('/stream/start', async (req, res) => {
+router.post('/stream/start', authenticateToken, requirePermission('sos:stream'), async (req, res) => {
   try {
-    const { userId, sosEventId, emergencyContacts } = req.body;
+    const { sosEventId } = req.body || {};
 
     const streamSession = {
       sessionId: `stream_${Date.now()}`,
-      userId,
+      // Always the caller: a stream is never started on someone else's behalf
+      userId: req.user.id,
       sosEventId,
       startTime: Date.now(),
       wsConnected: false,
@@ -127,7 +386,7 @@ router.post('/stream/start', async (req, res) => {
  * POST /api/stream/:sessionId/chunk
  * Receive audio chunk
  */
-router.post('/stream/:sessionId/chunk', async (req, res) => {
+router.post('/stream/:sessionId/chunk', authenticateToken, requirePermission('sos:stream'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { chunkIndex, encryptedData, compressionType } = req.body;
@@ -162,7 +421,7 @@ router.post('/stream/:sessionId/chunk', async (req, res) => {
  * POST /api/stream/:sessionId/end
  * Finalize stream session
  */
-router.post('/stream/:sessionId/end', async (req, res) => {
+router.post('/stream/:sessionId/end', authenticateToken, requirePermission('sos:stream'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { finalMetrics } = req.body;
@@ -194,7 +453,7 @@ router.post('/stream/:sessionId/end', async (req, res) => {
  * POST /api/emotion/analyze
  * Analyze emotion from audio features
  */
-router.post('/emotion/analyze', async (req, res) => {
+router.post('/emotion/analyze', authenticateToken, requirePermission('emotion:analyze'), async (req, res) => {
   try {
     const { features, sessionId } = req.body;
 
@@ -231,7 +490,7 @@ router.post('/emotion/analyze', async (req, res) => {
  * GET /api/emotion/:eventId/timeline
  * Get emotion detection timeline for event
  */
-router.get('/emotion/:eventId/timeline', async (req, res) => {
+router.get('/emotion/:eventId/timeline', authenticateToken, requirePermission('emotion:analyze'), async (req, res) => {
   try {
     const { eventId } = req.params;
 
@@ -254,32 +513,54 @@ router.get('/emotion/:eventId/timeline', async (req, res) => {
 });
 
 // ============ GUARDIAN NETWORK ROUTES ============
+// Deprecated: guardians are members of the trusted circle (/api/trusted-circle).
+// These keep the old request and response shapes for existing clients.
+
+// A trusted-circle member in the shape the guardian endpoints returned
+const describeGuardian = (member) => ({
+  id: member.legacy && member.legacy.guardianId ? member.legacy.guardianId : String(member._id),
+  memberId: member._id,
+  userId: member.userId,
+  name: member.name,
+  phone: member.phone,
+  email: member.email || null,
+  relationship: member.relationship || 'other',
+  trustScore: member.trustScore,
+  status: member.status,
+  addedAt: member.createdAt,
+});
+
+const markDeprecated = (req, res, next) => {
+  res.set({ Deprecation: 'true', Link: '</api/trusted-circle>; rel="successor-version"' });
+  next();
+};
 
 /**
  * POST /api/guardians/add
- * Add trusted guardian
+ * Add trusted guardian (a trusted-circle member, invited to confirm)
  */
-router.post('/guardians/add', async (req, res) => {
+router.post('/guardians/add', markDeprecated, authenticateToken, requirePermission('guardians:manage'), async (req, res) => {
   try {
-    const { userId, guardianData } = req.body;
-
-    const guardian = {
-      id: `guardian_${Date.now()}`,
-      userId,
-      name: guardianData.name,
-      phone: guardianData.phone,
-      email: guardianData.email,
-      relationship: guardianData.relationship,
-      trustScore: 0.8,
-      addedAt: new Date(),
-    };
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { input, error } = parseMemberInput(req.body.guardianData, { region: regionForUser(user) });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
 
-    // Save to database
-    // await Guardian.create(guardian);
+    const member = await new TrustedContact({ userId: user._id, ...input }).save();
+    try {
+      await sendInvite(member, user);
+    } catch (inviteError) {
+      console.error(`❌ Failed to invite guardian ${member._id}:`, inviteError.message);
+    }
 
     res.json({
       success: true,
-      guardian,
+      guardian: describeGuardian(member),
       message: 'Guardian added successfully',
     });
   } catch (error) {
@@ -291,17 +572,24 @@ router.post('/guardians/add', async (req, res) => {
  * GET /api/guardians/:userId
  * Get all guardians for user
  */
-router.get('/guardians/:userId', async (req, res) => {
+router.get('/guardians/:userId', markDeprecated, authenticateToken, requirePermission('guardians:manage'), async (req, res) => {
   try {
     const { userId } = req.params;
 
-    // Fetch guardians from database
-    // const guardians = await Guardian.find({ userId });
+    // Only the owner (or an admin) may list someone's guardians
+    if (userId !== req.user.id && !ADMIN_ROLES.includes(req.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ success: false, message: 'Invalid user id' });
+    }
+
+    const members = await TrustedContact.find({ userId, isActive: true }).sort({ tier: 1, createdAt: 1 });
 
     res.json({
       success: true,
-      guardians: [],
-      count: 0,
+      guardians: members.map(describeGuardian),
+      count: members.length,
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -310,41 +598,62 @@ router.get('/guardians/:userId', async (req, res) => {
 
 /**
  * POST /api/guardians/:guardianId/respond
- * Handle guardian response to emergency
+ * Handle guardian response to emergency. ACCEPTED acknowledges the alert
+ * (stopping escalation); DECLINED is recorded against the member.
  */
-router.post('/guardians/:guardianId/respond', async (req, res) => {
+router.post('/guardians/:guardianId/respond', markDeprecated, authenticateToken, requirePermission('sos:respond'), async (req, res) => {
   try {
     const { guardianId } = req.params;
     const { sosEventId, action, reason } = req.body;
 
-    const response = {
-      guardianId,
-      sosEventId,
-      action,
-      reason,
-      respondedAt: new Date(),
-    };
+    if (!['ACCEPTED', 'DECLINED'].includes(action) || !mongoose.Types.ObjectId.isValid(sosEventId)) {
+      return res.status(400).json({ success: false, message: 'sosEventId and an action of ACCEPTED or DECLINED are required' });
+    }
 
-    // Save response
-    // await GuardianResponse.create(response);
+    const member = await TrustedContact.findOne(
+      mongoose.Types.ObjectId.isValid(guardianId)
+        ? { _id: guardianId }
+        : { 'legacy.guardianId': guardianId }
+    );
+    if (!member) {
+      return res.status(404).json({ success: false, message: 'Guardian not found' });
+    }
 
-    // Update SOS event with guardian response
-    // await SOSEvent.updateOne(
-    //   { eventId: sosEventId },
-    //   { $push: { guardianResponses: response } }
-    // );
+    // Only the member themselves (signed in with their SMS-verified number), or an admin, may respond
+    const responder = await User.findById(req.user.id).select('identities.phone');
+    const verifiedPhone = responder && responder.identities && responder.identities.phone
+      && responder.identities.phone.verifiedAt && responder.identities.phone.number;
+    if ((!verifiedPhone || verifiedPhone !== member.phone) && !ADMIN_ROLES.includes(req.role)) {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
 
-    // If guardian accepted, trigger location sharing
     if (action === 'ACCEPTED') {
-      // initializeLocationSharing(sosEventId, guardianId);
+      await acknowledgeAlert({ sosId: sosEventId, contactId: member._id });
+    } else {
+      const sos = await SOS.findOne({ _id: sosEventId, userId: member.userId }).select('escalation.notifications');
+      if (!sos) {
+        return res.status(404).json({ success: false, message: 'SOS not found' });
+      }
+      const notification = ((sos.escalation && sos.escalation.notifications) || [])
+        .find(entry => String(entry.contactId) === String(member._id));
+      await recordResponse(member._id, { sosId: sos._id, notifiedAt: notification && notification.sentAt, action: 'declined' });
     }
 
     res.json({
       success: true,
-      response,
+      response: {
+        guardianId,
+        sosEventId,
+        action,
+        reason,
+        respondedAt: new Date(),
+      },
       message: 'Response recorded',
     });
   } catch (error) {
+    if (error.name === 'InvalidAckError') {
+      return res.status(404).json({ success: false, message: 'SOS not found' });
+    }
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -355,7 +664,7 @@ router.post('/guardians/:guardianId/respond', async (req, res) => {
  * POST /api/routes/analyze
  * Analyze and return safe routes
  */
-router.post('/routes/analyze', async (req, res) => {
+router.post('/routes/analyze', authenticateToken, requirePermission('routes:analyze'), async (req, res) => {
   try {
     const { startPoint, endPoint, options } = req.body;
 
@@ -387,7 +696,7 @@ router.post('/routes/analyze', async (req, res) => {
  * GET /api/crime-data
  * Query crime data for location
  */
-router.get('/crime-data', async (req, res) => {
+router.get('/crime-data', authenticateToken, requirePermission('crimeData:read'), async (req, res) => {
   try {
     const { latitude, longitude, radius } = req.query;
 
@@ -410,13 +719,75 @@ router.get('/crime-data', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sos/crime-data/import
+ * Bulk import crime incidents (admins only). Upserts by incidentId and
+ * reports the rows that failed validation.
+ */
+router.post('/crime-data/import', authenticateToken, requirePermission('crimeData:import'), async (req, res) => {
+  try {
+    const { incidents } = req.body;
+
+    if (!Array.isArray(incidents) || incidents.length === 0) {
+      return res.status(400).json({ success: false, message: 'incidents must be a non-empty array' });
+    }
+
+    if (incidents.length > 5000) {
+      return res.status(400).json({ success: false, message: 'Import at most 5000 incidents per request' });
+    }
+
+    const batchId = Date.now();
+    const rejected = [];
+    const operations = [];
+
+    incidents.forEach((incident, index) => {
+      const doc = new CrimeData({
+        source: 'public_database',
+        ...incident,
+        incidentId: incident.incidentId || `crime_${batchId}_${index}`,
+      });
+
+      const validationError = doc.validateSync();
+      if (validationError) {
+        rejected.push({ index, incidentId: incident.incidentId, error: validationError.message });
+        return;
+      }
+
+      const { _id, createdAt, updatedAt, ...fields } = doc.toObject();
+      operations.push({
+        updateOne: {
+          filter: { incidentId: doc.incidentId },
+          update: { $set: fields },
+          upsert: true,
+        },
+      });
+    });
+
+    const result = operations.length
+      ? await CrimeData.bulkWrite(operations, { ordered: false })
+      : null;
+
+    console.log(`📥 Crime data import by ${req.user.id}: ${operations.length} valid, ${rejected.length} rejected`);
+
+    res.json({
+      success: true,
+      imported: result ? result.upsertedCount : 0,
+      updated: result ? result.modifiedCount : 0,
+      rejected,
+    });
+  } catch (error) {
+    console.error('❌ Crime data import failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============ PDF REPORT ROUTES ============
 
 /**
  * POST /api/reports/generate
  * Generate legal PDF report
  */
-router.post('/reports/generate', async (req, res) => {
+router.post('/reports/generate', authenticateToken, requirePermission('reports:generate'), async (req, res) => {
   try {
     const { sosEventId } = req.body;
 
@@ -442,7 +813,7 @@ router.post('/reports/generate', async (req, res) => {
  * GET /api/reports/:reportId/download
  * Download PDF report
  */
-router.get('/reports/:reportId/download', async (req, res) => {
+router.get('/reports/:reportId/download', authenticateToken, requirePermission('reports:generate'), async (req, res) => {
   try {
     const { reportId } = req.params;
 
@@ -505,7 +876,7 @@ wss.on('connection', (ws, sessionId) => {
 });
 
 // Upgrade HTTP to WebSocket
-router.get('/stream/:sessionId', (req, res) => {
+router.get('/stream/:sessionId', authenticateToken, requirePermission('sos:stream'), (req, res) => {
   const { sessionId } = req.params;
 
   if (!req.headers.upgrade?.toLowerCase() === 'websocket') {
@@ -525,7 +896,7 @@ router.get('/stream/:sessionId', (req, res) => {
  * GET /api/metrics/streams
  * Get active stream metrics
  */
-router.get('/metrics/streams', async (req, res) => {
+router.get('/metrics/streams', authenticateToken, requirePermission('metrics:read'), async (req, res) => {
   try {
     // const activeStreams = await StreamSession.find({ status: 'active' });
 
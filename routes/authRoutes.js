@@ -1,15 +1,91 @@
 const express = require('express');
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-const { OAuth2Client } = require('google-auth-library');
 
 const router = express.Router();
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
-const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
 // Import User model
 const User = require('../models/User.js');
+const authenticateToken = require('../middleware/auth');
+const {
+  issueTokens,
+  verifyTwoFactorChallenge,
+  rotateRefreshToken,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/tokenService');
+const Session = require('../models/Session');
+const { isValidPin, hashPin, checkPin, raiseDuressSOS } = require('../services/duressService');
+const {
+  MIN_PASSWORD_LENGTH,
+  getFrontendUrl,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+} = require('../services/accountRecoveryService');
+const {
+  TWO_FACTOR_FIELDS,
+  isEnabled: isTwoFactorEnabled,
+  completeLogin,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  disable: disableTwoFactor,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+} = require('../services/twoFactorService');
+const {
+  hashPassword,
+  hasIdentity,
+  verifyPassword,
+  setPasswordIdentity,
+  verifyGoogleIdToken,
+  linkGoogleIdentity,
+  findOrCreateGoogleUser,
+  linkPhoneIdentity,
+  findOrCreatePhoneUser,
+  unlinkIdentity,
+  describeIdentities,
+} = require('../services/identityService');
+const { normalizePhoneNumber } = require('../services/phoneNumberService');
+const { requestOtp, verifyOtp } = require('../services/phoneOtpService');
+const { checkAttempt, recordFailure, recordSuccess } = require('../services/loginAttemptService');
+const { rateLimit } = require('../services/rateLimitService');
+
+const sendOtpError = (res, error) => {
+  if (error.name === 'OtpCooldownError' || error.name === 'OtpLimitError') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(429).json({ message: error.message, retryAfter: error.retryAfter });
+  }
+  console.error('Phone OTP error:', error);
+  return res.status(500).json({ message: 'Could not send code' });
+};
+
+// Answer a sign-in attempt made while its account or IP is backing off
+const sendLockedOut = (res, retryAfter) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ message: 'Too many failed attempts, try again later', retryAfter });
+};
+
+// Each of these sends an SMS or an email, so they are capped per IP and per recipient
+const HOUR_MS = 60 * 60 * 1000;
+const otpRequestLimit = rateLimit({ name: 'otp-request-ip', max: 10, windowMs: HOUR_MS });
+const resetIpLimit = rateLimit({ name: 'password-reset-ip', max: 10, windowMs: HOUR_MS });
+const resetEmailLimit = rateLimit({
+  name: 'password-reset-email',
+  max: 3,
+  windowMs: HOUR_MS,
+  keyGenerator: (req) => String((req.body || {}).email || '').trim().toLowerCase(),
+});
+const verifyEmailIpLimit = rateLimit({ name: 'verify-email-ip', max: 10, windowMs: HOUR_MS });
+const verifyEmailUserLimit = rateLimit({
+  name: 'verify-email-user',
+  max: 3,
+  windowMs: HOUR_MS,
+  keyGenerator: (req) => req.user.userId,
+});
 
 // Regular email/password login
 router.post('/login', async (req, res) => {
@@ -20,33 +96,38 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
 
+    // Back off after repeated failures for this account or IP
+    const attempt = { account: `email:${email}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
     // Find user by email
-    const user = await User.findOne({ email });
+    const user = await User.findOne({ email }).select('+identities.password.hash');
     if (!user) {
+      await recordFailure(attempt);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    // Check password (skip for Google auth users)
-    if (user.password !== 'GOOGLE_AUTH') {
-      const isValidPassword = await bcrypt.compare(password, user.password);
-      if (!isValidPassword) {
-        return res.status(401).json({ message: 'Invalid email or password' });
-      }
+    // Only accounts with a linked password identity can log in here
+    const isValidPassword = await verifyPassword(user, password);
+    if (!isValidPassword) {
+      await recordFailure({ ...attempt, user });
+      return res.status(401).json({ message: 'Invalid email or password' });
     }
+    await recordSuccess(attempt);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a device session, or a 2FA challenge
+    const tokens = await completeLogin(user, req);
 
     res.json({
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         profileImage: user.profilePic,
       },
     });
@@ -71,31 +152,30 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Hash password
-    const saltRounds = 10;
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-    // Create new user
+    // Create new user with a password identity
     const user = await User.create({
       name,
       email,
-      password: hashedPassword,
       mobile: '',
+      identities: {
+        password: { hash: await hashPassword(password), setAt: new Date() },
+      },
     });
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+    sendVerificationEmail(user).catch(err =>
+      console.error('Verification email error:', err.message)
     );
 
+    // Start a device session (access + refresh token)
+    const tokens = await issueTokens(user, req);
+
     res.status(201).json({
-      token,
+      ...tokens,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         profileImage: user.profilePic,
       },
     });
@@ -115,16 +195,22 @@ router.get(
 router.get(
   '/google/callback',
   passport.authenticate('google', { session: false }),
-  (req, res) => {
+  async (req, res) => {
     try {
-      const token = jwt.sign(
-        { userId: req.user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
+      const result = await completeLogin(req.user, req);
+
+      if (result.twoFactorRequired) {
+        return res.redirect(
+          `${FRONTEND_URL.replace(/\/$/, '')}/auth-2fa?challengeToken=${result.challengeToken}`
+        );
+      }
+
+      const { token, refreshToken } = result;
 
-      // Redirect to frontend with token
-      res.redirect(`${FRONTEND_URL.replace(/\/$/, '')}/auth-success?token=${token}`);
+      // Redirect to frontend with tokens
+      res.redirect(
+        `${FRONTEND_URL.replace(/\/$/, '')}/auth-success?token=${token}&refreshToken=${encodeURIComponent(refreshToken)}`
+      );
     } catch (error) {
       console.error('JWT generation failed:', error);
       res.redirect(`${FRONTEND_URL.replace(/\/$/, '')}/auth-failure?error=${encodeURIComponent(error.message)}`);
@@ -141,55 +227,656 @@ router.post('/google', async (req, res) => {
       return res.status(400).json({ message: 'ID token is required' });
     }
 
-    // Verify the ID token
-    const ticket = await client.verifyIdToken({
-      idToken,
-      audience: process.env.GOOGLE_CLIENT_ID,
+    // Verify the ID token, then find, link or create the user
+    const profile = await verifyGoogleIdToken(idToken);
+    const user = await findOrCreateGoogleUser(profile);
+
+    // Start a device session, or a 2FA challenge
+    const tokens = await completeLogin(user, req);
+
+    res.json({
+      ...tokens,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        profileImage: user.profilePic,
+      },
     });
+  } catch (error) {
+    if (error.name === 'IdentityInUseError') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Google sign-in error:', error);
+    res.status(401).json({ message: 'Invalid Google token' });
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token rotates)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
 
-    const payload = ticket.getPayload();
-    const { sub: googleId, name, email, picture: profilePic } = payload;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
 
-    // Find or create user
-    let user = await User.findOne({ email });
+    const tokens = await rotateRefreshToken(refreshToken, req);
+    res.json(tokens);
+  } catch (error) {
+    if (error.name === 'InvalidRefreshTokenError' || error.name === 'SessionRevokedError') {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out: revoke the session behind the refresh token, or behind the access token
+router.post(
+  '/logout',
+  (req, res, next) => {
+    if (req.body && req.body.refreshToken) return next();
+    return authenticateToken(req, res, next);
+  },
+  async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (refreshToken) {
+        const revoked = await revokeByRefreshToken(refreshToken);
+        if (!revoked) {
+          return res.status(401).json({ message: 'Invalid refresh token' });
+        }
+      } else {
+        await revokeSession(req.user.sid);
+      }
+
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// List the signed-in devices of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        deviceInfo: session.deviceInfo,
+        lastSeenIp: session.lastSeenIp,
+        lastSeenAt: session.lastSeenAt,
+        createdAt: session.createdAt,
+        current: session._id.toString() === req.user.sid,
+      })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out one device (e.g. a stolen phone) from any other signed-in device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.user.userId,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'remote_signout');
+    console.log(`🔒 Session ${session._id} revoked by user ${req.user.userId}`);
+
+    res.json({ message: 'Session revoked', sessionId: session._id });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign out every other device; pass ?includeCurrent=true to sign out this one too
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const includeCurrent = req.query.includeCurrent === 'true';
+    const revoked = await revokeAllSessions(req.user.userId, {
+      exceptSessionId: includeCurrent ? null : req.user.sid,
+    });
+
+    console.log(`🔒 ${revoked} session(s) revoked by user ${req.user.userId}`);
+    res.json({ message: 'Sessions revoked', revoked });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Set the app unlock PIN and the duress PIN
+router.put('/pin', authenticateToken, async (req, res) => {
+  try {
+    const { currentPin, pin, duressPin } = req.body;
 
+    if (!isValidPin(pin) || !isValidPin(duressPin)) {
+      return res.status(400).json({ message: 'PIN and duress PIN must be 4-8 digits' });
+    }
+
+    if (pin === duressPin) {
+      return res.status(400).json({ message: 'Duress PIN must differ from the PIN' });
+    }
+
+    const user = await User.findById(req.user.userId).select('+pin +duressPin');
     if (!user) {
-      user = await User.create({
-        googleId,
-        name,
-        email,
-        profilePic: profilePic || null,
-        password: 'GOOGLE_AUTH',
-        mobile: '',
-      });
-    } else if (!user.googleId) {
-      // Update existing user with Google ID if not set
-      user.googleId = googleId;
-      if (!user.profilePic && profilePic) {
-        user.profilePic = profilePic;
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    // Changing existing PINs needs the real PIN, never the duress one
+    if (user.pin) {
+      const { match, retryAfter } = await checkPin(user, currentPin, { ip: req.ip });
+      if (retryAfter) {
+        return sendLockedOut(res, retryAfter);
+      }
+      if (match !== 'normal') {
+        return res.status(401).json({ message: 'Current PIN is incorrect' });
       }
-      await user.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    user.pin = await hashPin(pin);
+    user.duressPin = await hashPin(duressPin);
+    await user.save();
+
+    res.json({ message: 'PIN updated' });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock the app with the PIN. The duress PIN answers exactly the same,
+// but silently raises an SOS and alerts contacts.
+router.post('/pin/unlock', authenticateToken, async (req, res) => {
+  try {
+    const { pin, coordinates, location } = req.body;
+
+    const user = await User.findById(req.user.userId).select('+pin +duressPin');
+    if (!user || !user.pin) {
+      return res.status(400).json({ message: 'No PIN set' });
+    }
+
+    const { match, retryAfter } = await checkPin(user, pin, { ip: req.ip });
+
+    if (match === 'duress') {
+      // Whoever holds the phone must get the same answer even if this fails
+      try {
+        await raiseDuressSOS(user, { coordinates, location });
+      } catch (error) {
+        console.error(`❌ Duress SOS failed for user ${user._id}:`, error);
+      }
+    }
+
+    if (retryAfter) {
+      return sendLockedOut(res, retryAfter);
+    }
+    if (!match) {
+      return res.status(401).json({ message: 'Incorrect PIN' });
+    }
+
+    res.json({ message: 'Unlocked', unlocked: true });
+  } catch (error) {
+    console.error('PIN unlock error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend the email verification link
+router.post('/verify-email/send', authenticateToken, verifyEmailIpLimit, verifyEmailUserLimit, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.json({ message: 'Email already verified' });
+    }
+
+    setImmediate(() => sendVerificationEmail(user).catch(error =>
+      console.error('Send verification email error:', error)
+    ));
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Send verification email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verification link opened from the email
+router.get('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmail(req.query.token);
+    const status = user ? 'success' : 'invalid';
+    res.redirect(`${getFrontendUrl()}/email-verified?status=${status}`);
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.redirect(`${getFrontendUrl()}/email-verified?status=error`);
+  }
+});
+
+// Verification token submitted by the app
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await verifyEmail(req.body.token);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    res.json({ message: 'Email verified', emailVerified: true });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Request a password reset email. Always answers the same so emails cannot be probed.
+router.post('/forgot-password', resetIpLimit, resetEmailLimit, (req, res) => {
+  // Answered before the lookup and the send, so the timing says nothing about the address
+  const { email } = req.body || {};
+  setImmediate(() => requestPasswordReset(email).catch(error =>
+    console.error('Forgot password error:', error)
+  ));
+  res.json({ message: 'If that email has an account, a reset link has been sent' });
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await resetPassword(token, password);
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset link' });
+    }
+
+    res.json({ message: 'Password updated, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+
+// Passwordless phone login, step 1: text a one-time code to the number
+router.post('/phone/request-otp', otpRequestLimit, async (req, res) => {
+  try {
+    const phone = normalizePhoneNumber(req.body.phone, { region: req.body.region });
+    if (!phone) {
+      return res.status(400).json({ message: 'A valid phone number is required' });
+    }
+
+    const result = await requestOtp(phone);
+    res.json({ message: 'Code sent', phone, ...result });
+  } catch (error) {
+    sendOtpError(res, error);
+  }
+});
+
+// Passwordless phone login, step 2: verify the code; creates a phone-only account on first use
+router.post('/phone/verify-otp', async (req, res) => {
+  try {
+    const { code, name } = req.body;
+    const phone = normalizePhoneNumber(req.body.phone, { region: req.body.region });
+
+    if (!phone || !code) {
+      return res.status(400).json({ message: 'Phone number and code are required' });
+    }
+
+    const attempt = { account: `phone:${phone}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!(await verifyOtp(phone, code))) {
+      const owner = await User.findOne({ 'identities.phone.number': phone });
+      await recordFailure({ ...attempt, user: owner });
+      return res.status(401).json({ message: 'Invalid or expired code' });
+    }
+    await recordSuccess(attempt);
+
+    const { user, isNewUser } = await findOrCreatePhoneUser(phone, { name });
+
+    // Start a device session, or a 2FA challenge
+    const tokens = await completeLogin(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      ...tokens,
+      isNewUser,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        mobile: user.mobile,
+        profileImage: user.profileImage || user.profilePic,
+      },
+    });
+  } catch (error) {
+    console.error('Phone login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the sign-in methods linked to the account
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ identities: describeIdentities(user) });
+  } catch (error) {
+    console.error('List identities error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Link a Google account to the signed-in user
+router.post('/identities/google', authenticateToken, async (req, res) => {
+  try {
+    const { idToken } = req.body;
+
+    if (!idToken) {
+      return res.status(400).json({ message: 'ID token is required' });
+    }
+
+    let profile;
+    try {
+      profile = await verifyGoogleIdToken(idToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid Google token' });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await linkGoogleIdentity(user, profile);
+    res.json({ message: 'Google account linked', identities: describeIdentities(user) });
+  } catch (error) {
+    if (error.name === 'IdentityInUseError') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Link Google identity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a password to the account, or change it (needs the current password)
+router.post('/identities/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, password } = req.body;
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      });
+    }
+
+    const user = await User.findById(req.user.userId).select('+identities.password.hash');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (hasIdentity(user, 'password') && !(await verifyPassword(user, currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    await setPasswordIdentity(user, password);
+    await user.save();
+
+    // Other devices may have been signed in with the old password
+    await revokeAllSessions(user._id, { exceptSessionId: req.user.sid, reason: 'password_reset' });
+
+    res.json({ message: 'Password set', identities: describeIdentities(user) });
+  } catch (error) {
+    console.error('Set password identity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Link a phone number to the signed-in user; send the code first via /phone/request-otp
+router.post('/identities/phone', authenticateToken, async (req, res) => {
+  try {
+    const phone = normalizePhoneNumber(req.body.phone, { region: req.body.region });
+
+    if (!phone || !req.body.code) {
+      return res.status(400).json({ message: 'Phone number and code are required' });
+    }
+
+    const attempt = { account: `phone:${phone}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!(await verifyOtp(phone, req.body.code))) {
+      await recordFailure(attempt);
+      return res.status(401).json({ message: 'Invalid or expired code' });
+    }
+    await recordSuccess(attempt);
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await linkPhoneIdentity(user, phone);
+    res.json({ message: 'Phone number linked', identities: describeIdentities(user) });
+  } catch (error) {
+    if (error.name === 'IdentityInUseError') {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('Link phone identity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlink a sign-in method; the last one cannot be removed
+router.delete('/identities/:provider', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await unlinkIdentity(user, req.params.provider);
+    res.json({ message: 'Sign-in method removed', identities: describeIdentities(user) });
+  } catch (error) {
+    if (error.name === 'InvalidIdentityError') {
+      return res.status(404).json({ message: error.message });
+    }
+    if (error.name === 'LastIdentityError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Second login step: trade the challenge token and a TOTP or recovery code for full tokens
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired challenge, please log in again' });
+    }
+
+    // Keyed by user: the password is already known, so this guards the code
+    const attempt = { account: `user:${challenge.userId}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailure({ ...attempt, user });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    await recordSuccess(attempt);
+
+    const tokens = await issueTokens(user, req);
 
     res.json({
-      token,
+      ...tokens,
+      recoveryCodesRemaining: remainingRecoveryCodes(user),
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        profileImage: user.profilePic,
+        emailVerified: user.emailVerified,
+        profileImage: user.profileImage || user.profilePic,
       },
     });
   } catch (error) {
-    console.error('Google sign-in error:', error);
-    res.status(401).json({ message: 'Invalid Google token' });
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start TOTP enrollment: returns the secret and otpauth:// URI for the QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await beginEnrollment(user);
+    res.json({ secret, otpauthUri });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Confirm enrollment with the first code; recovery codes are shown only here
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const recoveryCodes = await confirmEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+
+    // Other devices signed in with one factor only
+    await revokeAllSessions(user._id, { exceptSessionId: req.user.sid });
+
+    res.json({ message: 'Two-factor authentication enabled', recoveryCodes });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn 2FA off; needs a current TOTP or recovery code
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    // A stolen access token must not be enough to guess the second factor
+    const attempt = { account: `user:${user._id}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordFailure({ ...attempt, user });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    await recordSuccess(attempt);
+
+    await disableTwoFactor(user);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Replace all recovery codes; needs a current TOTP code
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const attempt = { account: `user:${user._id}`, ip: req.ip };
+    const { allowed, retryAfter } = await checkAttempt(attempt);
+    if (!allowed) {
+      return sendLockedOut(res, retryAfter);
+    }
+
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      await recordFailure({ ...attempt, user });
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    await recordSuccess(attempt);
+
+    const recoveryCodes = await regenerateRecoveryCodes(user);
+    res.json({ recoveryCodes });
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
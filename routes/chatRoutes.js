@@ -0,0 +1,312 @@
+/**
+ * Chat Routes - Smart Sentry assistant conversations
+ * Each message is answered with the conversation's recent history; the list,
+ * resume and delete endpoints manage the stored conversations. Actions the
+ * assistant proposes run only when the user confirms them. POST /stream
+ * sends the same reply as Server-Sent Events while it is written.
+ */
+
+const express = require('express');
+const router = express.Router();
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const User = require('../models/User');
+const { parseCoordinates } = require('../services/emergencyCardService');
+const {
+  listConversations,
+  getConversation,
+  deleteConversation,
+  sendMessage,
+} = require('../services/chatService');
+const { getChatSafety, updateChatSafety } = require('../services/crisisService');
+const {
+  describeAction,
+  confirmAction,
+  rejectAction,
+  listActions,
+} = require('../services/assistantActionService');
+
+const STREAM_HEARTBEAT_MS = 15000;
+
+const CHAT_ERROR_STATUS = {
+  InvalidChatMessageError: 400,
+  ConversationNotFoundError: 404,
+  ConversationFullError: 409,
+};
+
+const describeReply = ({ conversation, reply, crisis, actions }) => ({
+  response: reply.content,
+  offline: reply.offline,
+  provider: reply.provider,
+  model: reply.model,
+  conversationId: conversation._id,
+  crisis,
+  actions,
+});
+
+const fallbackReply = (conversationId) => ({
+  response: "I'm having trouble connecting right now. For emergencies, please use the SOS feature.",
+  offline: true,
+  provider: null,
+  model: 'fallback',
+  conversationId: conversationId || null,
+  crisis: null,
+  actions: [],
+});
+
+/**
+ * POST /api/chat
+ * Body: { message, conversationId?, context?, coordinates? }. Without
+ * conversationId a new conversation is started; its id comes back for the
+ * next message. The server builds the user's context itself; `context` is
+ * only passed to the model as untrusted text from the app.
+ * `provider` says who answered: 'mistral', 'local' (offline safety guide) or
+ * 'crisis'. A crisis reply carries `crisis` with SOS and helpline actions.
+ * `actions` lists what the assistant offers to do (start an SOS, share
+ * location, start a check-in, add a contact); show each with its `summary`
+ * and confirm or reject it with the endpoints below.
+ */
+router.post('/', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  const { message, conversationId, context, coordinates } = req.body || {};
+  try {
+    const result = await sendMessage(req.user.userId, {
+      conversationId,
+      message,
+      clientContext: context,
+      coordinates,
+    });
+    res.json(describeReply(result));
+  } catch (error) {
+    const status = CHAT_ERROR_STATUS[error.name];
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    console.error('❌ Chat failed:', error.message);
+    res.status(500).json(fallbackReply(conversationId));
+  }
+});
+
+/**
+ * POST /api/chat/stream
+ * Same body as POST /api/chat; the reply comes back as Server-Sent Events:
+ *   event: token  data: { text }   the next piece of the reply
+ *   event: reset  data: {}         discard the text so far (the model failed
+ *                                  part way and another one is answering)
+ *   event: done   data: the POST /api/chat response, with the final text
+ *   event: error  data: { status, message } or the fallback reply
+ * Invalid requests fail before the stream starts, with the same status codes
+ * as POST /api/chat. Closing the connection cancels the model request and
+ * nothing is stored. Clients that can't read a stream use POST /api/chat.
+ */
+router.post('/stream', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  const { message, conversationId, context, coordinates } = req.body || {};
+  const controller = new AbortController();
+  let heartbeat = null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  // Headers go out with the first event, so errors before it are plain JSON
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      // Keeps proxies and mobile networks from closing a quiet stream
+      heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await sendMessage(req.user.userId, {
+      conversationId,
+      message,
+      clientContext: context,
+      coordinates,
+      onToken: (text) => send('token', { text }),
+      onReset: () => send('reset', {}),
+      signal: controller.signal,
+    });
+    send('done', describeReply(result));
+  } catch (error) {
+    if (error.name === 'ChatCancelledError') {
+      console.log(`📴 Chat stream cancelled by user ${req.user.userId}`);
+      return;
+    }
+    const status = CHAT_ERROR_STATUS[error.name];
+    if (!status) console.error('❌ Chat stream failed:', error.message);
+    if (!res.headersSent) {
+      return status
+        ? res.status(status).json({ message: error.message })
+        : res.status(500).json(fallbackReply(conversationId));
+    }
+    send('error', status ? { status, message: error.message } : { status: 500, ...fallbackReply(conversationId) });
+  } finally {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) res.end();
+  }
+});
+
+/**
+ * GET /api/chat/safety-settings
+ */
+router.get('/safety-settings', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('chatSafety');
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, settings: getChatSafety(user) });
+  } catch (error) {
+    console.error('❌ Failed to load chat safety settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to load settings' });
+  }
+});
+
+/**
+ * PUT /api/chat/safety-settings
+ * Body: { autoSilentSOS }. When on, a chat message showing clear, imminent
+ * danger raises a silent SOS and alerts the trusted circle.
+ */
+router.put('/safety-settings', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const settings = await updateChatSafety(req.user.userId, req.body || {});
+    if (!settings) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+    res.json({ success: true, settings });
+  } catch (error) {
+    if (error.name === 'InvalidChatSafetyError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to update chat safety settings:', error);
+    res.status(500).json({ success: false, message: 'Failed to update settings' });
+  }
+});
+
+/**
+ * GET /api/chat/conversations?page=&limit=
+ * The user's conversations, most recent first
+ */
+router.get('/conversations', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const page = parseInt(req.query.page) || 1;
+    const { conversations, total } = await listConversations(req.user.userId, { limit, page });
+
+    res.json({
+      success: true,
+      conversations,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+    });
+  } catch (error) {
+    console.error('❌ Failed to list conversations:', error);
+    res.status(500).json({ success: false, message: 'Failed to load conversations' });
+  }
+});
+
+/**
+ * GET /api/chat/conversations/:id
+ * A conversation with its messages, to resume it
+ */
+router.get('/conversations/:id', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const conversation = await getConversation(req.user.userId, req.params.id);
+    res.json({ success: true, conversation });
+  } catch (error) {
+    if (error.name === 'ConversationNotFoundError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to load conversation:', error);
+    res.status(500).json({ success: false, message: 'Failed to load conversation' });
+  }
+});
+
+/**
+ * DELETE /api/chat/conversations/:id
+ */
+router.delete('/conversations/:id', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    await deleteConversation(req.user.userId, req.params.id);
+    res.json({ success: true, message: 'Conversation deleted' });
+  } catch (error) {
+    if (error.name === 'ConversationNotFoundError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to delete conversation:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete conversation' });
+  }
+});
+
+const sendActionError = (res, error, fallback) => {
+  if (error.name === 'ConversationNotFoundError' || error.name === 'ActionNotFoundError') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ActionDecidedError') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ActionExpiredError') {
+    return res.status(410).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+/**
+ * GET /api/chat/conversations/:id/actions
+ * Audit trail: every action proposed in the conversation and what became of it
+ */
+router.get('/conversations/:id/actions', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const actions = await listActions(req.user.userId, req.params.id);
+    res.json({ success: true, actions });
+  } catch (error) {
+    sendActionError(res, error, 'Failed to load actions');
+  }
+});
+
+/**
+ * POST /api/chat/conversations/:id/actions/:actionId/confirm
+ * Body: { coordinates? } for actions that use the current location.
+ * Runs the proposal once; 422 with the reason when it could not be done.
+ */
+router.post('/conversations/:id/actions/:actionId/confirm', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const { coordinates } = req.body || {};
+    const location = coordinates ? parseCoordinates(coordinates) : null;
+    if (coordinates && !location) {
+      return res.status(400).json({ success: false, message: 'coordinates must be a valid latitude and longitude' });
+    }
+
+    const action = await confirmAction(req.user.userId, req.params.id, req.params.actionId, {
+      coordinates: location || undefined,
+    });
+    if (action.status !== 'executed') {
+      return res.status(422).json({ success: false, message: action.error, action: describeAction(action) });
+    }
+    res.json({ success: true, action: describeAction(action) });
+  } catch (error) {
+    sendActionError(res, error, 'Failed to run action');
+  }
+});
+
+/**
+ * POST /api/chat/conversations/:id/actions/:actionId/reject
+ */
+router.post('/conversations/:id/actions/:actionId/reject', authenticateToken, requirePermission('chat:use'), async (req, res) => {
+  try {
+    const action = await rejectAction(req.user.userId, req.params.id, req.params.actionId);
+    res.json({ success: true, action: describeAction(action) });
+  } catch (error) {
+    sendActionError(res, error, 'Failed to reject action');
+  }
+});
+
+module.exports = router;
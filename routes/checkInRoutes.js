@@ -0,0 +1,91 @@
+/**
+ * Check-in Routes - safety timers. A check-in the user does not complete
+ * by its due time raises an SOS (see services/checkInService.js).
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const {
+  describeCheckIn,
+  listCheckIns,
+  startCheckIn,
+  completeCheckIn,
+  cancelCheckIn,
+} = require('../services/checkInService');
+
+const sendCheckInError = (res, error, fallback) => {
+  if (error.name === 'InvalidCheckInError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CheckInNotFoundError') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'CheckInActiveError') {
+    return res.status(409).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+/**
+ * GET /api/check-ins
+ * The user's recent check-ins, newest first
+ */
+router.get('/', authenticateToken, requirePermission('checkIns:manage'), async (req, res) => {
+  try {
+    const checkIns = await listCheckIns(req.user.userId);
+    res.json({ success: true, checkIns });
+  } catch (error) {
+    sendCheckInError(res, error, 'Failed to load check-ins');
+  }
+});
+
+/**
+ * POST /api/check-ins
+ * Body: { minutes (5-720), note? }
+ */
+router.post('/', authenticateToken, requirePermission('checkIns:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { minutes, note } = req.body || {};
+    const checkIn = await startCheckIn(user, { minutes, note });
+    res.status(201).json({ success: true, checkIn: describeCheckIn(checkIn) });
+  } catch (error) {
+    sendCheckInError(res, error, 'Failed to start check-in');
+  }
+});
+
+/**
+ * POST /api/check-ins/:id/complete
+ * "I'm safe"
+ */
+router.post('/:id/complete', authenticateToken, requirePermission('checkIns:manage'), async (req, res) => {
+  try {
+    const checkIn = await completeCheckIn(req.user.userId, req.params.id);
+    res.json({ success: true, checkIn: describeCheckIn(checkIn) });
+  } catch (error) {
+    sendCheckInError(res, error, 'Failed to complete check-in');
+  }
+});
+
+/**
+ * DELETE /api/check-ins/:id
+ * Cancel a running check-in
+ */
+router.delete('/:id', authenticateToken, requirePermission('checkIns:manage'), async (req, res) => {
+  try {
+    const checkIn = await cancelCheckIn(req.user.userId, req.params.id);
+    res.json({ success: true, checkIn: describeCheckIn(checkIn) });
+  } catch (error) {
+    sendCheckInError(res, error, 'Failed to cancel check-in');
+  }
+});
+
+module.exports = router;
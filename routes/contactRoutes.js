@@ -0,0 +1,35 @@
+/**
+ * Contact Routes - compatibility shim for /api/contacts
+ * Deprecated: everything is served by the trusted-circle router; only the
+ * list keeps its old shape (a bare array). Use /api/trusted-circle.
+ */
+
+const express = require('express');
+const router = express.Router();
+const TrustedContact = require('../models/TrustedContact');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { describeMember } = require('../services/trustedCircleService');
+const trustedCircleRoutes = require('./trustedCircleRoutes');
+
+router.use((req, res, next) => {
+  res.set({ Deprecation: 'true', Link: '</api/trusted-circle>; rel="successor-version"' });
+  next();
+});
+
+/**
+ * GET /api/contacts
+ */
+router.get('/', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const members = await TrustedContact.find({ userId: req.user.userId }).sort({ tier: 1, createdAt: 1 });
+    res.json(members.map(describeMember));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+router.use(trustedCircleRoutes);
+
+module.exports = router;
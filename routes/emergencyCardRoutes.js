@@ -0,0 +1,214 @@
+/**
+ * Emergency Card Routes - printed QR / NFC cards for the 'card' SOS trigger
+ * Owners manage their cards; the /scan endpoints are public for bystanders.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { escapeHtml } = require('../services/mailTemplates');
+const { hashToken } = require('../services/tokenService');
+const { rateLimit } = require('../services/rateLimitService');
+const {
+  createCard,
+  listCards,
+  revokeCard,
+  resolveCard,
+  issueFormToken,
+  verifyFormToken,
+  parseCoordinates,
+  raiseCardSOS,
+} = require('../services/emergencyCardService');
+
+// Unauthenticated, so limited per IP and per card
+const scanLimit = rateLimit({ name: 'card-scan', max: 60, windowMs: 10 * 60 * 1000 });
+const alertIpLimit = rateLimit({ name: 'card-alert-ip', max: 5, windowMs: 60 * 60 * 1000 });
+const alertCardLimit = rateLimit({
+  name: 'card-alert-card',
+  max: 10,
+  windowMs: 60 * 60 * 1000,
+  keyGenerator: (req) => hashToken(req.params.token),
+});
+
+const renderScanPage = ({ firstName, token, formToken }) => `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>Emergency card</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 16px; text-align: center;">
+    <h2 style="color: #c92a2a;">SmartSensrty emergency card</h2>
+    <p>This card belongs to <strong>${escapeHtml(firstName)}</strong>. If they need help, press the button. Their emergency contacts will be alerted with your location.</p>
+    <p>If someone is in immediate danger, also call your local emergency number.</p>
+    <form id="help">
+      <input type="text" name="website" tabindex="-1" autocomplete="off" style="position: absolute; left: -9999px;" aria-hidden="true">
+      <button type="submit" style="background: #c92a2a; color: #fff; border: 0; border-radius: 6px; padding: 18px 28px; font-size: 20px;">This person needs help</button>
+    </form>
+    <p id="status" role="status"></p>
+    <script>
+      document.getElementById('help').addEventListener('submit', function (event) {
+        event.preventDefault();
+        var button = event.target.querySelector('button');
+        var status = document.getElementById('status');
+        button.disabled = true;
+        status.textContent = 'Getting your location...';
+
+        var send = function (position) {
+          status.textContent = 'Sending alert...';
+          fetch(${JSON.stringify(`/api/emergency-cards/scan/${token}/alert`)}, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              formToken: ${JSON.stringify(formToken)},
+              website: event.target.website.value,
+              latitude: position ? position.coords.latitude : null,
+              longitude: position ? position.coords.longitude : null,
+              accuracy: position ? position.coords.accuracy : null
+            })
+          })
+            .then(function (res) { return res.json(); })
+            .then(function (body) { status.textContent = body.message; })
+            .catch(function () {
+              status.textContent = 'Could not send the alert. Please call your local emergency number.';
+              button.disabled = false;
+            });
+        };
+
+        if (!navigator.geolocation) return send(null);
+        navigator.geolocation.getCurrentPosition(send, function () { send(null); }, { enableHighAccuracy: true, timeout: 10000 });
+      });
+    </script>
+  </body>
+</html>`;
+
+/**
+ * POST /api/emergency-cards
+ * Create a card. The token and URL to print are only returned here.
+ */
+router.post('/', authenticateToken, requirePermission('emergencyCards:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { card, token, url } = await createCard(user, { label: req.body.label });
+    res.status(201).json({
+      success: true,
+      card,
+      token,
+      url,
+      message: 'Print `url` as a QR code or write it to an NFC tag; it is not shown again',
+    });
+  } catch (error) {
+    if (error.name === 'CardLimitError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to create emergency card:', error);
+    res.status(500).json({ success: false, message: 'Failed to create emergency card' });
+  }
+});
+
+/**
+ * GET /api/emergency-cards
+ */
+router.get('/', authenticateToken, requirePermission('emergencyCards:manage'), async (req, res) => {
+  try {
+    res.json({ success: true, cards: await listCards(req.user.userId) });
+  } catch (error) {
+    console.error('❌ Failed to list emergency cards:', error);
+    res.status(500).json({ success: false, message: 'Failed to list emergency cards' });
+  }
+});
+
+/**
+ * DELETE /api/emergency-cards/:cardId
+ * Revoke a lost or replaced card
+ */
+router.delete('/:cardId', authenticateToken, requirePermission('emergencyCards:manage'), async (req, res) => {
+  try {
+    const card = mongoose.isValidObjectId(req.params.cardId)
+      ? await revokeCard(req.user.userId, req.params.cardId)
+      : null;
+    if (!card) {
+      return res.status(404).json({ success: false, message: 'Active card not found' });
+    }
+
+    res.json({ success: true, card, message: 'Card revoked' });
+  } catch (error) {
+    console.error('❌ Failed to revoke emergency card:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke emergency card' });
+  }
+});
+
+/**
+ * GET /api/emergency-cards/scan/:token
+ * Public page a bystander sees after scanning the card. JSON clients get
+ * the owner's first name and the form token to send with the alert.
+ */
+router.get('/scan/:token', scanLimit, async (req, res) => {
+  try {
+    const { card, user } = await resolveCard(req.params.token);
+    const firstName = String(user.name || '').split(' ')[0] || 'this person';
+    const formToken = issueFormToken(card);
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderScanPage({ firstName, token: req.params.token, formToken }));
+    }
+    res.json({ success: true, card: { firstName }, formToken });
+  } catch (error) {
+    if (error.name === 'InvalidCardError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Emergency card scan failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to load emergency card' });
+  }
+});
+
+/**
+ * POST /api/emergency-cards/scan/:token/alert
+ * "This person needs help": raises a 'card' SOS for the owner with the
+ * bystander's browser location. Body: { formToken, latitude?, longitude?, accuracy? }
+ */
+router.post('/scan/:token/alert', alertIpLimit, alertCardLimit, async (req, res) => {
+  try {
+    const { card, user } = await resolveCard(req.params.token);
+    const { formToken, website } = req.body || {};
+
+    if (!verifyFormToken(card, formToken)) {
+      return res.status(400).json({ success: false, message: 'Please reload the card page and try again' });
+    }
+
+    // Hidden field only bots fill in; answer as if it worked
+    if (website) {
+      console.warn(`⚠️ Card alert honeypot hit from ${req.ip}`);
+      return res.status(202).json({ success: true, message: 'Help is on the way. Their contacts have been alerted.' });
+    }
+
+    const coordinates = parseCoordinates(req.body);
+    const { sos, deduplicated } = await raiseCardSOS(card, user, {
+      coordinates,
+      accuracy: req.body.accuracy,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    res.status(deduplicated ? 200 : 201).json({
+      success: true,
+      sosId: sos._id,
+      locationShared: Boolean(coordinates),
+      message: deduplicated
+        ? 'Their contacts were already alerted. Your location has been added.'
+        : 'Help is on the way. Their contacts have been alerted.',
+    });
+  } catch (error) {
+    if (error.name === 'InvalidCardError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Card SOS failed:', error);
+    res.status(500).json({ success: false, message: 'Could not send the alert. Please call your local emergency number.' });
+  }
+});
+
+module.exports = router;
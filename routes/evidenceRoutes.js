@@ -8,28 +8,81 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const crypto = require('crypto');
+const { Readable } = require('stream');
 const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
 const Evidence = require('../models/SOSEvidence');
 const SOSEvent = require('../models/SOS');
-const User = require('../models/User');
+const { getStorage } = require('../services/storageService');
+const {
+  evidenceFileKey,
+  openEvidenceFile,
+  describeEvidenceFile,
+} = require('../services/evidenceService');
+
+const SAFE_ID = /^[\w-]{1,100}$/;
+// Upload ids are issued by /start-upload, never chosen by the client
+const UPLOAD_ID = /^[a-f0-9]{32}$/;
+
+// Chunks wait here until finalize-upload. It is outside the storage root,
+// so nothing staged can ever overlap a stored file.
+const STAGING_ROOT = path.resolve(process.env.UPLOAD_STAGING_DIR || path.join(os.tmpdir(), 'smartsensrty-uploads'));
+
+// Each user's uploads are staged under their own id
+const uploadDirFor = (userId, uploadId) => path.join(STAGING_ROOT, String(userId), uploadId);
+
+// The caller's staging directory for uploadId, or null if they did not start it
+const findUploadDir = (userId, uploadId) => {
+  if (typeof uploadId !== 'string' || !UPLOAD_ID.test(uploadId) || !SAFE_ID.test(String(userId))) return null;
+  const uploadDir = uploadDirFor(userId, uploadId);
+  return fs.existsSync(uploadDir) ? uploadDir : null;
+};
+
+// finalize-upload file types -> SOSEvidence file types
+const RECORDING_FILE_TYPES = {
+  frontVideo: 'video_front',
+  backVideo: 'video_back',
+  audioRecording: 'audio',
+};
 
 // Multer setup for temporary chunk uploads
 const upload = multer({
-  dest: path.join(__dirname, '../uploads/chunks/'),
+  dest: path.join(STAGING_ROOT, 'incoming'),
   limits: {
     fileSize: 100 * 1024 * 1024, // 100MB per chunk
   },
 });
 
+/**
+ * POST /api/sos-evidence/start-upload
+ * Start a chunked upload; returns the uploadId to send with each chunk
+ */
+router.post('/start-upload', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
+  try {
+    const uploadId = crypto.randomBytes(16).toString('hex');
+    const uploadDir = uploadDirFor(req.user.id, uploadId);
+    await fs.promises.mkdir(uploadDir, { recursive: true });
+    await fs.promises.writeFile(path.join(uploadDir, 'progress.json'), '{}');
+
+    res.status(201).json({ success: true, uploadId });
+  } catch (error) {
+    console.error('❌ Starting upload failed:', error);
+    res.status(500).json({ error: 'Failed to start upload', details: error.message });
+  }
+});
+
 /**
  * POST /api/sos-evidence/upload-chunk
- * Upload evidence file chunk (part of larger file)
+ * Upload evidence file chunk (part of larger file), to an upload the caller
+ * started with /start-upload
  */
 router.post(
   '/upload-chunk',
   authenticateToken,
+  requirePermission('evidence:manage'),
   upload.single('chunk'),
   async (req, res) => {
     try {
@@ -46,18 +99,22 @@ router.post(
         return res.status(400).json({ error: 'No chunk file provided' });
       }
 
-      // Create upload tracking directory
-      const uploadDir = path.join(
-        __dirname,
-        '../uploads/evidence/',
-        uploadId
-      );
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
+      // fileType and chunkIndex end up in file paths
+      const index = Number(chunkIndex);
+      const total = Number(totalChunks);
+      if (!SAFE_ID.test(fileType) || !Number.isInteger(index) || !Number.isInteger(total) || index < 0 || index >= total) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(400).json({ error: 'Invalid fileType, chunkIndex or totalChunks' });
+      }
+
+      const uploadDir = findUploadDir(userId, uploadId);
+      if (!uploadDir) {
+        fs.rmSync(req.file.path, { force: true });
+        return res.status(404).json({ error: 'Upload session not found' });
       }
 
       // Move chunk to upload directory with sequential naming
-      const chunkPath = path.join(uploadDir, `${fileType}_chunk_${chunkIndex}`);
+      const chunkPath = path.join(uploadDir, `${fileType}_chunk_${index}`);
       fs.renameSync(req.file.path, chunkPath);
 
       // Track upload progress
@@ -70,11 +127,11 @@ router.post(
       if (!progress[fileType]) {
         progress[fileType] = {
           uploadedChunks: 0,
-          totalChunks: parseInt(totalChunks),
+          totalChunks: total,
         };
       }
 
-      progress[fileType].uploadedChunks = parseInt(chunkIndex) + 1;
+      progress[fileType].uploadedChunks = index + 1;
       fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
 
       res.json({
@@ -82,8 +139,8 @@ router.post(
         uploadId,
         recordingId,
         fileType,
-        chunkIndex: parseInt(chunkIndex),
-        totalChunks: parseInt(totalChunks),
+        chunkIndex: index,
+        totalChunks: total,
         progress,
       });
     } catch (error) {
@@ -95,9 +152,10 @@ router.post(
 
 /**
  * POST /api/sos-evidence/finalize-upload
- * Finalize upload by assembling chunks and storing metadata
+ * Finalize upload by assembling chunks and storing metadata. Only the user
+ * who started the upload can finalize it.
  */
-router.post('/finalize-upload', authenticateToken, async (req, res) => {
+router.post('/finalize-upload', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const { uploadId, recordingId, metadata } = req.body;
     const userId = req.user.id;
@@ -108,9 +166,8 @@ router.post('/finalize-upload', authenticateToken, async (req, res) => {
       });
     }
 
-    const uploadDir = path.join(__dirname, '../uploads/evidence/', uploadId);
-
-    if (!fs.existsSync(uploadDir)) {
+    const uploadDir = findUploadDir(userId, uploadId);
+    if (!uploadDir) {
       return res.status(404).json({ error: 'Upload session not found' });
     }
 
@@ -127,79 +184,58 @@ router.post('/finalize-upload', authenticateToken, async (req, res) => {
       }
     }
 
-    // Assemble chunks into final files
-    const assembledFiles = {};
-    const fileUrls = {};
+    // Stream each file's chunks, in order, into blob storage
+    const evidence = new Evidence({
+      userId,
+      recordingId,
+      sosId: metadata.sosId || undefined,
+      type: metadata.type || undefined,
+      timestamp: metadata.timestamp,
+      duration: metadata.duration,
+      deviceInfo: metadata.deviceInfo,
+    });
 
     for (const [fileType, fileProgress] of Object.entries(progress)) {
-      try {
-        const finalFilePath = path.join(uploadDir, `${fileType}_final.enc`);
-        const writeStream = fs.createWriteStream(finalFilePath);
-
-        // Assemble chunks in order
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      async function* chunks() {
         for (let i = 0; i < fileProgress.totalChunks; i++) {
-          const chunkPath = path.join(uploadDir, `${fileType}_chunk_${i}`);
-          const chunkData = fs.readFileSync(chunkPath);
-          writeStream.write(chunkData);
-          // Delete chunk after writing
-          fs.unlinkSync(chunkPath);
+          const chunkData = fs.readFileSync(path.join(uploadDir, `${fileType}_chunk_${i}`));
+          hash.update(chunkData);
+          size += chunkData.length;
+          yield chunkData;
         }
-
-        writeStream.end();
-
-        assembledFiles[fileType] = finalFilePath;
-
-        // Generate cloud URL (placeholder - implement actual cloud upload)
-        fileUrls[fileType] = `https://smartsensry-backend.herokuapp.com/api/sos-evidence/${recordingId}/${fileType}`;
-      } catch (error) {
-        console.error(`Failed to assemble ${fileType}:`, error);
       }
-    }
 
-    // Create SOS Evidence record
-    const evidence = new Evidence({
-      recordingId,
-      userId,
-      timestamp: metadata.timestamp,
-      duration: metadata.duration,
-      startTime: metadata.startTime,
-      encryptionIv: metadata.encryptionIv || crypto.randomBytes(16).toString('hex'),
-      fileSizes: metadata.fileSizes,
-      frontVideoUrl: fileUrls.frontVideo,
-      backVideoUrl: fileUrls.backVideo,
-      audioUrl: fileUrls.audioRecording,
-      uploadStatus: 'completed',
-      uploadedAt: new Date(),
-      cloudStorageStatus: 'pending', // Will be updated after cloud upload
-    });
+      // Files are encrypted on the device, so they are stored as opaque .enc blobs
+      const filename = `${fileType}.enc`;
+      const storageKey = evidenceFileKey(userId, evidence._id, filename);
+      await getStorage().put(storageKey, Readable.from(chunks()), { contentType: 'application/octet-stream' });
+
+      evidence.evidenceFiles.push({
+        type: RECORDING_FILE_TYPES[fileType] || 'other',
+        filename,
+        storageKey,
+        sha256: hash.digest('hex'),
+        mimeType: 'application/octet-stream',
+        size,
+      });
+    }
 
+    evidence.hash = crypto
+      .createHash('sha256')
+      .update(evidence.evidenceFiles.map(f => f.sha256).join(''))
+      .digest('hex');
     await evidence.save();
 
-    // Update or create SOS Event
-    const sosEvent = await SOSEvent.findOneAndUpdate(
-      { recordingId },
-      {
-        recordingId,
-        userId,
-        timestamp: metadata.timestamp,
-        status: metadata.status || 'confirmed',
-        location: metadata.location,
-        evidence: evidence._id,
-      },
-      { upsert: true, new: true }
-    );
-
-    // Add evidence to user's SOS history
-    await User.findByIdAndUpdate(userId, {
-      $push: { sosHistory: sosEvent._id },
-    });
+    // The chunks are in storage now
+    fs.rmSync(uploadDir, { recursive: true, force: true });
 
-    // Clean up upload directory
-    setTimeout(() => {
-      if (fs.existsSync(uploadDir)) {
-        fs.rmSync(uploadDir, { recursive: true });
-      }
-    }, 5000);
+    const fileUrls = {};
+    for (const file of evidence.evidenceFiles) {
+      const fileType = file.filename.replace(/\.enc$/, '');
+      fileUrls[fileType] = describeEvidenceFile(file).url;
+    }
 
     res.json({
       success: true,
@@ -220,9 +256,9 @@ router.post('/finalize-upload', authenticateToken, async (req, res) => {
 
 /**
  * GET /api/sos-evidence/:recordingId
- * Get evidence metadata and download URLs (with signed URLs for cloud storage)
+ * Get evidence metadata and signed, expiring download URLs
  */
-router.get('/:recordingId', authenticateToken, async (req, res) => {
+router.get('/:recordingId', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const { recordingId } = req.params;
     const userId = req.user.id;
@@ -240,18 +276,13 @@ router.get('/:recordingId', authenticateToken, async (req, res) => {
       });
     }
 
-    // Generate signed URLs (placeholder implementation)
-    const signedUrls = {
-      frontVideo: evidence.frontVideoUrl
-        ? `${evidence.frontVideoUrl}?token=${_generateSignedToken(recordingId, 'frontVideo', 3600)}`
-        : null,
-      backVideo: evidence.backVideoUrl
-        ? `${evidence.backVideoUrl}?token=${_generateSignedToken(recordingId, 'backVideo', 3600)}`
-        : null,
-      audio: evidence.audioUrl
-        ? `${evidence.audioUrl}?token=${_generateSignedToken(recordingId, 'audio', 3600)}`
-        : null,
-    };
+    // Signed, expiring download URLs for each stored file
+    const files = evidence.evidenceFiles.map(describeEvidenceFile);
+    const urls = {};
+    for (const [fileType, type] of Object.entries(RECORDING_FILE_TYPES)) {
+      const file = files.find(f => f.type === type);
+      urls[fileType === 'audioRecording' ? 'audio' : fileType] = file ? file.url : null;
+    }
 
     res.json({
       success: true,
@@ -259,10 +290,9 @@ router.get('/:recordingId', authenticateToken, async (req, res) => {
         recordingId: evidence.recordingId,
         timestamp: evidence.timestamp,
         duration: evidence.duration,
-        fileSizes: evidence.fileSizes,
-        urls: signedUrls,
-        uploadStatus: evidence.uploadStatus,
-        uploadedAt: evidence.uploadedAt,
+        files,
+        urls,
+        uploadedAt: evidence.createdAt,
       },
     });
   } catch (error) {
@@ -278,7 +308,7 @@ router.get('/:recordingId', authenticateToken, async (req, res) => {
  * GET /api/sos-events
  * Get user's SOS event history (secure - user owner only)
  */
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 50, skip = 0 } = req.query;
@@ -330,7 +360,7 @@ router.get('/', authenticateToken, async (req, res) => {
  * GET /api/sos-events/:eventId
  * Get single SOS event details (read-only for user)
  */
-router.get('/events/:eventId', authenticateToken, async (req, res) => {
+router.get('/events/:eventId', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const { eventId } = req.params;
     const userId = req.user.id;
@@ -372,34 +402,16 @@ router.get('/events/:eventId', authenticateToken, async (req, res) => {
  * DELETE /api/sos-events/:eventId
  * Prevent deletion of SOS events (for legal compliance)
  */
-router.delete('/events/:eventId', authenticateToken, (req, res) => {
+router.delete('/events/:eventId', authenticateToken, requirePermission('evidence:manage'), (req, res) => {
   res.status(403).json({
     error: 'Access denied',
     message: 'SOS events cannot be deleted for legal evidence preservation',
   });
 });
 
-/**
- * Helper: Generate signed token for file download
- */
-function _generateSignedToken(recordingId, fileType, expiresIn = 3600) {
-  const payload = {
-    recordingId,
-    fileType,
-    issuedAt: Date.now(),
-    expiresAt: Date.now() + expiresIn * 1000,
-  };
-
-  const signature = crypto
-    .createHmac('sha256', process.env.JWT_SECRET || 'default-secret')
-    .update(JSON.stringify(payload))
-    .digest('hex');
-
-  return Buffer.from(JSON.stringify({ ...payload, signature })).toString('base64');
-}
-
 // Upload evidence files
-router.post('/upload', authenticateToken, upload.array('evidence', 10), async (req, res) => {
+router.post('/upload', authenticateToken, requirePermission('evidence:manage'), upload.array('evidence', 10), async (req, res) => {
+  const storedKeys = [];
   try {
     const { sosId, type, latitude, longitude, placeName } = req.body;
 
@@ -407,47 +419,7 @@ router.post('/upload', authenticateToken, upload.array('evidence', 10), async (r
       return res.status(400).json({ message: 'No evidence files provided' });
     }
 
-    // Process and store files in MongoDB
-    const uploadedFiles = [];
-    const fileHashes = [];
-
-    for (const file of req.files) {
-      try {
-        // Read file as base64 for storage in MongoDB
-        const fileBuffer = fs.readFileSync(file.path);
-        const base64Data = fileBuffer.toString('base64');
-
-        // Calculate file hash for tamper protection
-        const fileHash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
-        fileHashes.push(fileHash);
-
-        // Generate secure URL for access (could be a signed URL or internal route)
-        const secureUrl = `/api/evidence/file/${crypto.randomBytes(16).toString('hex')}`;
-
-        uploadedFiles.push({
-          type: getEvidenceType(file.mimetype),
-          filename: file.originalname,
-          data: base64Data, // Store base64 data in MongoDB
-          secureUrl: secureUrl,
-          size: file.size,
-          mimeType: file.mimetype,
-        });
-
-        // Clean up temporary file
-        fs.unlinkSync(file.path);
-
-      } catch (fileError) {
-        console.error('File processing error:', fileError);
-        // Clean up temporary file on error
-        if (fs.existsSync(file.path)) {
-          fs.unlinkSync(file.path);
-        }
-        throw fileError;
-      }
-    }
-
-    // Create evidence record
-    const evidence = new SOSEvidence({
+    const evidence = new Evidence({
       userId: req.user.id,
       sosId,
       type,
@@ -456,7 +428,6 @@ router.post('/upload', authenticateToken, upload.array('evidence', 10), async (r
         longitude: parseFloat(longitude),
         placeName,
       },
-      evidenceFiles: uploadedFiles,
       deviceInfo: {
         deviceId: req.body.deviceId,
         os: req.body.os,
@@ -464,6 +435,30 @@ router.post('/upload', authenticateToken, upload.array('evidence', 10), async (r
       },
     });
 
+    // Move each file into blob storage
+    const fileHashes = [];
+    for (const file of req.files) {
+      // Calculate file hash for tamper protection
+      const fileHash = await calculateFileHash(file.path);
+      fileHashes.push(fileHash);
+
+      const storageKey = evidenceFileKey(req.user.id, evidence._id, file.originalname);
+      await getStorage().put(storageKey, fs.createReadStream(file.path), { contentType: file.mimetype });
+      storedKeys.push(storageKey);
+
+      evidence.evidenceFiles.push({
+        type: getEvidenceType(file.mimetype),
+        filename: file.originalname,
+        storageKey,
+        sha256: fileHash,
+        size: file.size,
+        mimeType: file.mimetype,
+      });
+
+      // Clean up temporary file
+      fs.unlinkSync(file.path);
+    }
+
     // Generate hash for tamper protection
     evidence.hash = crypto.createHash('sha256').update(fileHashes.join('')).digest('hex');
 
@@ -473,12 +468,7 @@ router.post('/upload', authenticateToken, upload.array('evidence', 10), async (r
       message: 'Evidence uploaded successfully',
       evidence: {
         id: evidence._id,
-        files: evidence.evidenceFiles.map(f => ({
-          type: f.type,
-          filename: f.filename,
-          secureUrl: f.secureUrl,
-          size: f.size,
-        })),
+        files: evidence.evidenceFiles.map(describeEvidenceFile),
         hash: evidence.hash,
       },
     });
@@ -497,20 +487,25 @@ router.post('/upload', authenticateToken, upload.array('evidence', 10), async (r
         }
       });
     }
+    // And anything already moved to storage
+    for (const key of storedKeys) {
+      await getStorage().delete(key).catch(cleanupError => console.error('Error cleaning up blob:', cleanupError));
+    }
 
     res.status(500).json({ message: 'Server error' });
   }
 });
 
 // Get all evidence for current user
-router.get('/user/all', authenticateToken, async (req, res) => {
+router.get('/user/all', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 20;
     const page = parseInt(req.query.page) || 1;
     const skip = (page - 1) * limit;
 
     // Fetch evidence for current user
-    const evidence = await SOSEvidence.find({ userId: req.user.id })
+    const evidence = await Evidence.find({ userId: req.user.id })
+      .select('-evidenceFiles.data')
       .sort({ timestamp: -1 })
       .limit(limit)
       .skip(skip)
@@ -518,22 +513,16 @@ router.get('/user/all', authenticateToken, async (req, res) => {
       .exec();
 
     // Get total count
-    const totalCount = await SOSEvidence.countDocuments({ userId: req.user.id });
+    const totalCount = await Evidence.countDocuments({ userId: req.user.id });
 
-    // Format response without base64 data (too large)
+    // Format response with signed download URLs
     const formattedEvidence = evidence.map(ev => ({
       id: ev._id,
       sosId: ev.sosId,
       type: ev.type,
       timestamp: ev.timestamp,
       location: ev.location,
-      files: ev.evidenceFiles.map(f => ({
-        type: f.type,
-        filename: f.filename,
-        mimeType: f.mimeType,
-        size: f.size,
-        secureUrl: f.secureUrl,
-      })),
+      files: ev.evidenceFiles.map(describeEvidenceFile),
       sharedWith: ev.sharedWith,
     }));
 
@@ -554,9 +543,9 @@ router.get('/user/all', authenticateToken, async (req, res) => {
 });
 
 // Get evidence for a specific SOS
-router.get('/sos/:sosId', authenticateToken, async (req, res) => {
+router.get('/sos/:sosId', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
-    const evidence = await SOSEvidence.find({
+    const evidence = await Evidence.find({
       sosId: req.params.sosId,
       userId: req.user.id,
     }).sort({ createdAt: -1 });
@@ -569,11 +558,11 @@ router.get('/sos/:sosId', authenticateToken, async (req, res) => {
 });
 
 // Share evidence with authorities
-router.put('/:evidenceId/share', authenticateToken, async (req, res) => {
+router.put('/:evidenceId/share', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const { shareWith } = req.body; // ['police', 'family', 'emergency_services']
 
-    const evidence = await SOSEvidence.findOne({
+    const evidence = await Evidence.findOne({
       _id: req.params.evidenceId,
       userId: req.user.id,
     });
@@ -606,14 +595,7 @@ function getEvidenceType(mimetype) {
   if (mimetype.startsWith('video/')) return 'video_front'; // Default to front camera
   if (mimetype.startsWith('audio/')) return 'audio';
   if (mimetype.startsWith('image/')) return 'photo';
-  return 'unknown';
-}
-
-function generateSecureUrl(filename) {
-  // In production, this would generate a signed URL from Firebase Storage / AWS S3
-  // For now, return a placeholder secure URL
-  const token = crypto.randomBytes(32).toString('hex');
-  return `https://secure.evidence.smartsensrty.com/${filename}?token=${token}`;
+  return 'other';
 }
 
 async function calculateFileHash(filePath) {
@@ -627,13 +609,13 @@ async function calculateFileHash(filePath) {
   });
 }
 
-// Get evidence file by secure URL token
-router.get('/file/:token', authenticateToken, async (req, res) => {
+// Get evidence file by its legacy secure URL token (newer files use signed /api/files URLs)
+router.get('/file/:token', authenticateToken, requirePermission('evidence:manage'), async (req, res) => {
   try {
     const { token } = req.params;
 
     // Find evidence containing this file
-    const evidence = await SOSEvidence.findOne({
+    const evidence = await Evidence.findOne({
       'evidenceFiles.secureUrl': `/api/evidence/file/${token}`,
       userId: req.user.id,
     });
@@ -648,14 +630,17 @@ router.get('/file/:token', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'File not found' });
     }
 
-    // Convert base64 back to buffer and serve
-    const fileBuffer = Buffer.from(file.data, 'base64');
+    const blob = await openEvidenceFile(file);
+    if (!blob) {
+      return res.status(404).json({ message: 'File not found' });
+    }
 
-    res.setHeader('Content-Type', file.mimeType);
-    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
-    res.setHeader('Content-Length', fileBuffer.length);
+    res.setHeader('Content-Type', blob.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename.replace(/"/g, '')}"`);
+    if (blob.size) res.setHeader('Content-Length', blob.size);
 
-    res.send(fileBuffer);
+    blob.stream.on('error', (streamError) => res.destroy(streamError));
+    blob.stream.pipe(res);
 
   } catch (error) {
     console.error('File retrieval error:', error);
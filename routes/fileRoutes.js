@@ -0,0 +1,41 @@
+/**
+ * File Routes - downloads through signed, expiring URLs from services/storageService.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getStorage, verifySignedUrl } = require('../services/storageService');
+
+/**
+ * GET /api/files/:token
+ * Stream one blob. The token carries the key and expiry and is signed by
+ * the server, so no login is needed; expired or altered links get 404.
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const signed = verifySignedUrl(req.params.token);
+    if (!signed) {
+      return res.status(404).json({ success: false, message: 'Link is invalid or has expired' });
+    }
+
+    const blob = await getStorage().get(signed.key);
+    if (!blob) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    res.set({ 'Content-Type': blob.contentType, 'Cache-Control': 'private, no-store' });
+    if (blob.size) res.set('Content-Length', String(blob.size));
+    if (signed.filename) res.attachment(signed.filename);
+
+    blob.stream.on('error', (error) => {
+      console.error('❌ File stream failed:', error.message);
+      res.destroy(error);
+    });
+    blob.stream.pipe(res);
+  } catch (error) {
+    console.error('❌ File download failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to load file' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+/**
+ * Location Share Routes - time-limited live location links for a trusted
+ * circle member. The owner starts, updates and stops a share; the member
+ * opens the public link texted to them.
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { escapeHtml } = require('../services/mailTemplates');
+const { rateLimit } = require('../services/rateLimitService');
+const {
+  describeShare,
+  startShare,
+  listShares,
+  updateShareLocation,
+  stopShare,
+  viewShare,
+} = require('../services/locationShareService');
+
+const viewLimit = rateLimit({ name: 'location-share-view', max: 120, windowMs: 10 * 60 * 1000 });
+
+const sendShareError = (res, error, fallback) => {
+  if (error.name === 'InvalidShareError') {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ShareNotFoundError') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+  if (error.name === 'ShareEndedError') {
+    return res.status(410).json({ success: false, message: error.message });
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ success: false, message: fallback });
+};
+
+const renderSharePage = ({ ownerName, active, location }) => `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex">${active ? '<meta http-equiv="refresh" content="30">' : ''}<title>Live location</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 16px; text-align: center;">
+    <h2 style="color: #1c7ed6;">${escapeHtml(ownerName)}'s live location</h2>
+    ${!active
+    ? '<p>This location share has ended.</p>'
+    : location
+      ? `<p>Last updated ${escapeHtml(new Date(location.at).toUTCString())}.</p>
+    <p><a href="https://maps.google.com/?q=${encodeURIComponent(`${location.latitude},${location.longitude}`)}" style="background: #1c7ed6; color: #fff; border-radius: 6px; padding: 14px 24px; font-size: 18px; text-decoration: none; display: inline-block;">Open in maps</a></p>`
+      : '<p>Waiting for their first location update. This page refreshes by itself.</p>'}
+    <p>If someone is in immediate danger, call your local emergency number.</p>
+  </body>
+</html>`;
+
+/**
+ * GET /api/location-shares
+ * The user's live shares
+ */
+router.get('/', authenticateToken, requirePermission('location:share'), async (req, res) => {
+  try {
+    const shares = await listShares(req.user.userId);
+    res.json({ success: true, shares });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to load location shares');
+  }
+});
+
+/**
+ * POST /api/location-shares
+ * Body: { memberId, minutes? (5-480, default 60), coordinates? }. Texts the
+ * member a link to the live location until the share expires or is stopped.
+ */
+router.post('/', authenticateToken, requirePermission('location:share'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const { memberId, minutes, coordinates } = req.body || {};
+    const { share, delivered } = await startShare(user, { memberId, minutes, coordinates });
+    res.status(201).json({ success: true, share: describeShare(share), delivered });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to start location share');
+  }
+});
+
+/**
+ * PUT /api/location-shares/:id/location
+ * Body: { latitude, longitude, accuracy? }. Sent by the app while sharing.
+ */
+router.put('/:id/location', authenticateToken, requirePermission('location:share'), async (req, res) => {
+  try {
+    const share = await updateShareLocation(req.user.userId, req.params.id, req.body || {});
+    res.json({ success: true, share: describeShare(share) });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to update location');
+  }
+});
+
+/**
+ * DELETE /api/location-shares/:id
+ * Stop sharing; the link stops showing the location at once
+ */
+router.delete('/:id', authenticateToken, requirePermission('location:share'), async (req, res) => {
+  try {
+    const share = await stopShare(req.user.userId, req.params.id);
+    res.json({ success: true, share: describeShare(share) });
+  } catch (error) {
+    sendShareError(res, error, 'Failed to stop location share');
+  }
+});
+
+/**
+ * GET /api/location-shares/view/:token
+ * Public page for the member: the latest location while the share is live
+ */
+router.get('/view/:token', viewLimit, async (req, res) => {
+  try {
+    const view = await viewShare(req.params.token);
+    if (!view) {
+      return res.status(404).json({ success: false, message: 'This link is not valid' });
+    }
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderSharePage(view));
+    }
+    res.json({
+      success: true,
+      owner: { name: view.ownerName },
+      active: view.active,
+      expiresAt: view.expiresAt,
+      location: view.location,
+    });
+  } catch (error) {
+    console.error('❌ Failed to show location share:', error);
+    res.status(500).json({ success: false, message: 'Failed to load location' });
+  }
+});
+
+module.exports = router;
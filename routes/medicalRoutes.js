@@ -0,0 +1,225 @@
+/**
+ * Medical ID Routes - the user's medical profile and the scannable medical card
+ */
+
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const MedicalAccessLog = require('../models/MedicalAccessLog');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { escapeHtml } = require('../services/mailTemplates');
+const {
+  validateMedicalProfile,
+  describeMedicalProfile,
+  updateMedicalProfile,
+  clearMedicalProfile,
+  issueMedicalCard,
+  revokeMedicalCard,
+  describeMedicalCard,
+  resolveMedicalCard,
+  buildResponderSummary,
+  recordMedicalCardAccess,
+} = require('../services/medicalProfileService');
+
+const saveProfile = (partial) => async (req, res) => {
+  try {
+    const { value, errors } = validateMedicalProfile(req.body, { partial });
+    if (errors.length) {
+      return res.status(400).json({ success: false, message: 'Invalid medical profile', errors });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const medicalProfile = await updateMedicalProfile(user, value);
+    res.json({ success: true, medicalProfile });
+  } catch (error) {
+    console.error('❌ Medical profile update failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to save medical profile' });
+  }
+};
+
+// Plain page for a responder's phone browser
+const renderCardPage = (summary) => {
+  const list = (items) => (items.length ? items.map(escapeHtml).join(', ') : 'None recorded');
+  const contact = summary.emergencyContact;
+  const contactHtml = !contact
+    ? 'None recorded'
+    : contact.details
+      ? escapeHtml(contact.details)
+      : `${escapeHtml(contact.name)} (${escapeHtml(contact.relation)}) <a href="tel:${escapeHtml(contact.phone)}">${escapeHtml(contact.phone)}</a>`;
+
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>Medical ID</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 16px;">
+    <h2 style="color: #c92a2a;">Medical ID: ${escapeHtml(summary.name)}</h2>
+    <p><strong>Blood type:</strong> ${escapeHtml(summary.bloodType || 'Unknown')}</p>
+    <p><strong>Allergies:</strong> ${list(summary.allergies)}</p>
+    <p><strong>Medications:</strong> ${list(summary.medications)}</p>
+    <p><strong>Conditions:</strong> ${list(summary.conditions)}</p>
+    ${summary.notes ? `<p><strong>Notes:</strong> ${escapeHtml(summary.notes)}</p>` : ''}
+    <p><strong>Emergency contact:</strong> ${contactHtml}</p>
+    <p style="color: #868e96; font-size: 12px;">Read-only. This access has been logged and the owner notified.</p>
+  </body>
+</html>`;
+};
+
+/**
+ * GET /api/medical/profile
+ */
+router.get('/profile', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, medicalProfile: describeMedicalProfile(user) });
+  } catch (error) {
+    console.error('❌ Failed to get medical profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to get medical profile' });
+  }
+});
+
+/**
+ * PUT /api/medical/profile
+ * Replace the medical profile; omitted fields are cleared
+ */
+router.put('/profile', authenticateToken, requirePermission('medical:manage'), saveProfile(false));
+
+/**
+ * PATCH /api/medical/profile
+ * Update only the given fields; null clears one
+ */
+router.patch('/profile', authenticateToken, requirePermission('medical:manage'), saveProfile(true));
+
+/**
+ * DELETE /api/medical/profile
+ * Remove the medical profile and revoke the medical card
+ */
+router.delete('/profile', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    await revokeMedicalCard(user);
+    await clearMedicalProfile(user);
+    res.json({ success: true, message: 'Medical profile deleted' });
+  } catch (error) {
+    console.error('❌ Failed to delete medical profile:', error);
+    res.status(500).json({ success: false, message: 'Failed to delete medical profile' });
+  }
+});
+
+/**
+ * POST /api/medical/card
+ * Issue a medical card token for the QR code; replaces any earlier card
+ */
+router.post('/card', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const card = await issueMedicalCard(user);
+    res.status(201).json({ success: true, card, message: 'Encode `card.url` in the QR code' });
+  } catch (error) {
+    console.error('❌ Failed to issue medical card:', error);
+    res.status(500).json({ success: false, message: 'Failed to issue medical card' });
+  }
+});
+
+/**
+ * GET /api/medical/card
+ * Whether a card is active
+ */
+router.get('/card', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    res.json({ success: true, card: describeMedicalCard(user) });
+  } catch (error) {
+    console.error('❌ Failed to get medical card:', error);
+    res.status(500).json({ success: false, message: 'Failed to get medical card' });
+  }
+});
+
+/**
+ * DELETE /api/medical/card
+ * Revoke the card; its QR code stops working immediately
+ */
+router.delete('/card', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const revoked = await revokeMedicalCard(user);
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'No active medical card' });
+    }
+
+    res.json({ success: true, message: 'Medical card revoked' });
+  } catch (error) {
+    console.error('❌ Failed to revoke medical card:', error);
+    res.status(500).json({ success: false, message: 'Failed to revoke medical card' });
+  }
+});
+
+/**
+ * GET /api/medical/card/access-log
+ * Who opened the card and when
+ */
+router.get('/card/access-log', authenticateToken, requirePermission('medical:manage'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const accesses = await MedicalAccessLog.find({ userId: req.user.userId })
+      .sort({ accessedAt: -1 })
+      .limit(limit)
+      .select('accessedAt ip userAgent cardId')
+      .lean();
+
+    res.json({ success: true, accesses });
+  } catch (error) {
+    console.error('❌ Failed to get medical access log:', error);
+    res.status(500).json({ success: false, message: 'Failed to get access log' });
+  }
+});
+
+/**
+ * GET /api/medical/card/:token
+ * Public, read-only summary for a responder who scanned the QR code.
+ * Returns HTML to browsers and JSON otherwise. Every access is logged.
+ */
+router.get('/card/:token', async (req, res) => {
+  try {
+    const user = await resolveMedicalCard(req.params.token);
+    const summary = await buildResponderSummary(user);
+    await recordMedicalCardAccess(user, req);
+
+    res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderCardPage(summary));
+    }
+    res.json({ success: true, medicalId: summary });
+  } catch (error) {
+    if (error.name === 'InvalidMedicalCardError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Medical card lookup failed:', error);
+    res.status(500).json({ success: false, message: 'Failed to load medical card' });
+  }
+});
+
+module.exports = router;
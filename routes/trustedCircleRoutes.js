@@ -0,0 +1,519 @@
+/**
+ * Trusted Circle Routes - the people alerted in an emergency, their consent
+ * and escalation order. Owners manage members and their escalation policy;
+ * the /consent, /alerts and /sms endpoints are public for members and Twilio.
+ * Mounted at /api/trusted-circle. The deprecated /api/contacts alias
+ * (routes/contactRoutes.js) forwards here during the move from Contact and
+ * Guardian.
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const twilio = require('twilio');
+const router = express.Router();
+const User = require('../models/User');
+const TrustedContact = require('../models/TrustedContact');
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
+const { escapeHtml } = require('../services/mailTemplates');
+const { rateLimit } = require('../services/rateLimitService');
+const { normalizePhoneNumber, regionForUser } = require('../services/phoneNumberService');
+const { isValidTwilioRequest } = require('../services/offlineService');
+const { getApiBaseUrl } = require('../services/accountRecoveryService');
+const { describeMember, parseMemberInput } = require('../services/trustedCircleService');
+const {
+  sendInvite,
+  resolveInvite,
+  respondToInvite,
+  handleInboundReply,
+  recordDeliveryFailure,
+  recordDelivered,
+} = require('../services/contactConsentService');
+const {
+  getPolicy,
+  updatePolicy,
+  verifyAck,
+  acknowledgeAlert,
+  acknowledgeBySMS,
+} = require('../services/escalationService');
+const { parseContactFile, previewImport, commitImport } = require('../services/contactImportService');
+
+// Twilio and the consent form post urlencoded bodies
+const formBody = express.urlencoded({ extended: false });
+
+// vCard / CSV exports of a few hundred contacts stay well under this
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
+
+// Re-sending is for a lost or mistyped invite, not for pestering someone
+const inviteLimit = rateLimit({
+  name: 'contact-invite',
+  max: 3,
+  windowMs: 24 * 60 * 60 * 1000,
+  keyGenerator: (req) => req.params.id,
+  message: 'Invitation already sent several times today',
+});
+// Every contact an import creates is texted, so imports are rationed per user
+const importLimit = rateLimit({
+  name: 'contact-import',
+  max: 3,
+  windowMs: 24 * 60 * 60 * 1000,
+  keyGenerator: (req) => req.user.userId,
+  message: 'Contacts already imported several times today',
+});
+const consentLimit = rateLimit({ name: 'contact-consent', max: 30, windowMs: 10 * 60 * 1000 });
+
+const verifyTwilioSignature = (req, res, next) => {
+  const url = `${getApiBaseUrl()}${req.originalUrl}`;
+  if (!isValidTwilioRequest(url, req.get('X-Twilio-Signature'), req.body)) {
+    console.warn(`⚠️ Rejected unsigned Twilio webhook from ${req.ip}`);
+    return res.status(403).json({ success: false, message: 'Invalid signature' });
+  }
+  next();
+};
+
+const CONSENT_STATE_TEXT = {
+  confirmed: 'You have agreed to be alerted.',
+  declined: 'You have declined.',
+};
+
+const renderConsentPage = ({ ownerName, status, done }) => {
+  const owner = `<strong>${escapeHtml(ownerName)}</strong>`;
+  let intro = `${owner} added you as an emergency contact. If they raise an SOS you will get an SMS with their location.`;
+  if (done) {
+    intro = status === 'confirmed'
+      ? `Thank you. You will get an SMS if ${owner} raises an SOS.`
+      : `You will not receive emergency alerts for ${owner}.`;
+  }
+
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>Emergency contact</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 16px; text-align: center;">
+    <h2 style="color: #c92a2a;">SmartSensrty emergency contact</h2>
+    <p>${intro}</p>
+    <p>${CONSENT_STATE_TEXT[status] || 'Do you agree to be alerted?'} You can change your answer here at any time.</p>
+    <form method="post">
+      <button type="submit" name="decision" value="confirm" style="background: #2b8a3e; color: #fff; border: 0; border-radius: 6px; padding: 14px 24px; font-size: 18px;">I agree</button>
+      <button type="submit" name="decision" value="decline" style="background: #868e96; color: #fff; border: 0; border-radius: 6px; padding: 14px 24px; font-size: 18px;">Decline</button>
+    </form>
+  </body>
+</html>`;
+};
+
+const renderAckPage = ({ ownerName, done }) => `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><meta name="robots" content="noindex"><title>Emergency alert</title></head>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 16px; text-align: center;">
+    <h2 style="color: #c92a2a;">SmartSensrty emergency alert</h2>
+    ${done
+    ? `<p>Thank you. Other contacts will not be alerted, so please stay with <strong>${escapeHtml(ownerName)}</strong> until they are safe.</p>`
+    : `<p>Are you responding to this alert? Tell us so that other contacts and volunteers are not called.</p>
+    <form method="post">
+      <button type="submit" style="background: #2b8a3e; color: #fff; border: 0; border-radius: 6px; padding: 18px 28px; font-size: 20px;">I'm responding</button>
+    </form>`}
+    <p>If someone is in immediate danger, call your local emergency number.</p>
+  </body>
+</html>`;
+
+const sendConsent = (req, res, contact, done = false) => {
+  const ownerName = (contact.userId && contact.userId.name) || 'Someone';
+  res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(renderConsentPage({ ownerName, status: contact.status, done }));
+  }
+  res.json({ success: true, owner: { name: ownerName }, status: contact.status });
+};
+
+const listMembers = async (userId) => {
+  const members = await TrustedContact.find({ userId }).sort({ tier: 1, createdAt: 1 });
+  return members.map(describeMember);
+};
+
+/**
+ * GET /api/trusted-circle
+ * Members in escalation order. Each carries its consent `status`:
+ * pending, confirmed, declined or bouncing
+ */
+router.get('/', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const members = await listMembers(req.user.userId);
+    res.json({ success: true, members, count: members.length });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/trusted-circle
+ * Body: { name, phone, relation (or relationship), email?, tier?, channels?,
+ * waitMinutes?, notificationPreferences? }. Adds a member and texts them an
+ * invitation to confirm.
+ */
+router.post('/', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { input, error } = parseMemberInput(req.body, { region: regionForUser(user) });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const contact = new TrustedContact({ userId: user._id, ...input });
+    await contact.save();
+
+    try {
+      await sendInvite(contact, user);
+    } catch (inviteError) {
+      // The contact is kept; the invite can be re-sent
+      console.error('❌ Failed to send contact invitation:', inviteError.message);
+    }
+
+    res.status(201).json(describeMember(contact));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * GET /api/trusted-circle/escalation-policy
+ * How long to wait for a tier to acknowledge and whether volunteers come last
+ */
+router.get('/escalation-policy', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ policy: getPolicy(user) });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/trusted-circle/escalation-policy
+ * Body: { tierWaitMinutes?, notifyVolunteers?, volunteerRadiusMeters? }
+ */
+router.put('/escalation-policy', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const policy = await updatePolicy(req.user.userId, req.body);
+    if (!policy) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json({ message: 'Escalation policy updated', policy });
+  } catch (error) {
+    if (error.name === 'InvalidPolicyError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const sendImportError = (res, error) => {
+  if (error.name === 'ImportFormatError') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'ImportTooLargeError') {
+    return res.status(413).json({ message: error.message });
+  }
+  console.error('❌ Contact import failed:', error);
+  res.status(500).json({ message: 'Failed to import contacts' });
+};
+
+/**
+ * POST /api/trusted-circle/import/preview
+ * Upload a vCard (3.0/4.0) or CSV `file` (or JSON { data, filename? }).
+ * Nothing is saved: each entry comes back normalised to E.164 and marked
+ * create, duplicate (of a contact, guardian or earlier row) or invalid.
+ */
+router.post('/import/preview', authenticateToken, requirePermission('contacts:manage'), importUpload.single('file'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const text = req.file ? req.file.buffer.toString('utf8') : (req.body || {}).data;
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ message: 'Upload a vCard or CSV file' });
+    }
+
+    const { format, entries } = parseContactFile(text, {
+      filename: req.file ? req.file.originalname : req.body.filename,
+      mimetype: req.file ? req.file.mimetype : undefined,
+    });
+    res.json({ format, ...(await previewImport(user, entries)) });
+  } catch (error) {
+    sendImportError(res, error);
+  }
+});
+
+/**
+ * POST /api/trusted-circle/import
+ * Body: { contacts: [{ name, phone, relation? }] }, usually the preview's
+ * entries the user kept. Re-checked on the server: only new numbers are
+ * created (at most 25), and each is sent an invitation in the background.
+ * Three imports a day per user.
+ */
+router.post('/import', authenticateToken, requirePermission('contacts:manage'), importLimit, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const result = await commitImport(user, (req.body || {}).contacts);
+    res.status(result.created.length ? 201 : 200).json(result);
+  } catch (error) {
+    sendImportError(res, error);
+  }
+});
+
+/**
+ * GET /api/trusted-circle/:id
+ */
+router.get('/:id', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const member = mongoose.isValidObjectId(req.params.id)
+      ? await TrustedContact.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+    if (!member) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    res.json(describeMember(member));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * PUT /api/trusted-circle/:id
+ * A new phone number needs a new confirmation, so it is invited again
+ */
+router.put('/:id', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { input, error } = parseMemberInput(req.body, { partial: true, region: regionForUser(user) });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const contact = mongoose.isValidObjectId(req.params.id)
+      ? await TrustedContact.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+
+    const phoneChanged = input.phone && input.phone !== contact.phone;
+    contact.set(input);
+    await contact.save();
+
+    if (phoneChanged) {
+      try {
+        await sendInvite(contact, user);
+      } catch (inviteError) {
+        console.error('❌ Failed to send contact invitation:', inviteError.message);
+      }
+    }
+
+    res.json(describeMember(contact));
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * DELETE /api/trusted-circle/:id
+ */
+router.delete('/:id', authenticateToken, requirePermission('contacts:manage'), async (req, res) => {
+  try {
+    const contact = mongoose.isValidObjectId(req.params.id)
+      ? await TrustedContact.findOneAndDelete({ _id: req.params.id, userId: req.user.userId })
+      : null;
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    res.json({ message: 'Contact deleted' });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * POST /api/trusted-circle/:id/invite
+ * Re-send the invitation to a pending or bouncing contact
+ */
+router.post('/:id/invite', authenticateToken, requirePermission('contacts:manage'), inviteLimit, async (req, res) => {
+  try {
+    const contact = mongoose.isValidObjectId(req.params.id)
+      ? await TrustedContact.findOne({ _id: req.params.id, userId: req.user.userId })
+      : null;
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    if (!['pending', 'bouncing'].includes(contact.status)) {
+      return res.status(400).json({ message: `Contact has already ${contact.status}` });
+    }
+
+    await sendInvite(contact, await User.findById(req.user.userId));
+    res.json({ message: 'Invitation sent', contact: describeMember(contact) });
+  } catch (error) {
+    console.error('❌ Failed to send contact invitation:', error);
+    res.status(500).json({ message: 'Failed to send invitation' });
+  }
+});
+
+/**
+ * GET /api/trusted-circle/consent/:token
+ * Public page behind the invitation link. Only shows the choice: link
+ * previews fetch it too, so answering needs the POST below.
+ */
+router.get('/consent/:token', consentLimit, async (req, res) => {
+  try {
+    sendConsent(req, res, await resolveInvite(req.params.token));
+  } catch (error) {
+    if (error.name === 'InvalidInviteError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to load contact invitation:', error);
+    res.status(500).json({ success: false, message: 'Failed to load invitation' });
+  }
+});
+
+/**
+ * POST /api/trusted-circle/consent/:token
+ * Body: { decision: 'confirm' | 'decline' }
+ */
+router.post('/consent/:token', consentLimit, formBody, async (req, res) => {
+  try {
+    const contact = await resolveInvite(req.params.token);
+    await respondToInvite(contact, (req.body || {}).decision);
+    sendConsent(req, res, contact, true);
+  } catch (error) {
+    if (error.name === 'InvalidInviteError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    if (error.name === 'InvalidDecisionError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to record contact decision:', error);
+    res.status(500).json({ success: false, message: 'Failed to record your answer' });
+  }
+});
+
+/**
+ * GET /api/trusted-circle/alerts/:token
+ * Public page behind the link in an alert SMS. Acknowledging is the POST
+ * below, so link previews don't stop the escalation.
+ */
+router.get('/alerts/:token', consentLimit, (req, res) => {
+  if (!verifyAck(req.params.token)) {
+    return res.status(404).json({ success: false, message: 'This alert link is not valid' });
+  }
+
+  res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(renderAckPage({}));
+  }
+  res.json({ success: true, acknowledged: false });
+});
+
+/**
+ * POST /api/trusted-circle/alerts/:token
+ * "I'm responding": stops alerting further tiers and volunteers
+ */
+router.post('/alerts/:token', consentLimit, async (req, res) => {
+  try {
+    const ack = verifyAck(req.params.token);
+    if (!ack) {
+      return res.status(404).json({ success: false, message: 'This alert link is not valid' });
+    }
+
+    const { sos } = await acknowledgeAlert(ack);
+    const ownerName = (sos.userId && sos.userId.name) || 'them';
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderAckPage({ ownerName, done: true }));
+    }
+    res.json({ success: true, acknowledged: true });
+  } catch (error) {
+    if (error.name === 'InvalidAckError') {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    console.error('❌ Failed to acknowledge alert:', error);
+    res.status(500).json({ success: false, message: 'Failed to acknowledge alert' });
+  }
+});
+
+/**
+ * POST /api/trusted-circle/sms/inbound
+ * Twilio messaging webhook: YES/NO replies to invitations (and STOP),
+ * ACK replies to alerts
+ */
+router.post('/sms/inbound', formBody, verifyTwilioSignature, async (req, res) => {
+  const twiml = new twilio.twiml.MessagingResponse();
+  try {
+    const from = normalizePhoneNumber(req.body.From);
+    let reply = null;
+    if (from && /^\s*ACK\b/i.test(req.body.Body || '')) {
+      const acknowledged = await acknowledgeBySMS(from);
+      reply = acknowledged
+        ? 'Thanks. Other contacts will not be alerted. If they are in danger, call your local emergency number.'
+        : 'There is no open alert for this number.';
+    } else if (from) {
+      reply = await handleInboundReply(from, req.body.Body);
+    }
+    if (reply) twiml.message(reply);
+  } catch (error) {
+    console.error('❌ Failed to handle SMS reply:', error);
+  }
+  res.type('text/xml').send(twiml.toString());
+});
+
+/**
+ * POST /api/trusted-circle/sms/status?contactId=
+ * Twilio delivery callback for invitations and alerts
+ */
+router.post('/sms/status', formBody, verifyTwilioSignature, async (req, res) => {
+  try {
+    const { contactId } = req.query;
+    const { MessageStatus, ErrorCode } = req.body;
+
+    if (mongoose.isValidObjectId(contactId)) {
+      if (['failed', 'undelivered'].includes(MessageStatus)) {
+        await recordDeliveryFailure(contactId, `SMS ${MessageStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}`);
+      } else if (MessageStatus === 'delivered') {
+        await recordDelivered(contactId);
+      }
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('❌ Failed to record SMS status:', error);
+    res.status(500).end();
+  }
+});
+
+// Multer rejects oversized imports before the route runs
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ message: 'File is larger than 1 MB' });
+  }
+  next(error);
+});
+
+module.exports = router;
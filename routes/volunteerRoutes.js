@@ -1,28 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-
-// Middleware to verify JWT token
-const authenticateToken = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ message: 'Access token required' });
-  }
-
-  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid token' });
-    }
-    req.user = user;
-    next();
-  });
-};
+const authenticateToken = require('../middleware/auth');
+const { requirePermission } = authenticateToken;
 
 // Register as volunteer
-router.post('/register', authenticateToken, async (req, res) => {
+router.post('/register', authenticateToken, requirePermission('volunteers:register'), async (req, res) => {
   try {
     const { latitude, longitude } = req.body;
 
@@ -59,7 +42,7 @@ router.post('/register', authenticateToken, async (req, res) => {
 });
 
 // Update volunteer location
-router.put('/location', authenticateToken, async (req, res) => {
+router.put('/location', authenticateToken, requirePermission('volunteers:register'), async (req, res) => {
   try {
     const { latitude, longitude } = req.body;
 
@@ -92,7 +75,7 @@ router.put('/location', authenticateToken, async (req, res) => {
 });
 
 // Unregister as volunteer
-router.delete('/unregister', authenticateToken, async (req, res) => {
+router.delete('/unregister', authenticateToken, requirePermission('volunteers:register'), async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     if (!user) {
@@ -113,7 +96,7 @@ router.delete('/unregister', authenticateToken, async (req, res) => {
 });
 
 // Get nearby volunteers (for emergency dispatch)
-router.get('/nearby/:lat/:lng/:radius', authenticateToken, async (req, res) => {
+router.get('/nearby/:lat/:lng/:radius', authenticateToken, requirePermission('volunteers:locate'), async (req, res) => {
   try {
     const { lat, lng, radius } = req.params;
 
@@ -178,7 +161,7 @@ function calculateDistance(lat1, lng1, lat2, lng2) {
 }
 
 // Alert nearby volunteers (Crowd-Shield emergency dispatch)
-router.post('/alert-nearby', authenticateToken, async (req, res) => {
+router.post('/alert-nearby', authenticateToken.allowTwoFactorPending, requirePermission('volunteers:alert'), async (req, res) => {
   try {
     const { latitude, longitude, emergencyType, userName } = req.body;
 
@@ -0,0 +1,155 @@
+/**
+ * Check the offline chat fallback without network or database: sample
+ * questions must find the expected knowledge base articles, a failing
+ * provider must hand over to the local one, and streamed replies must match
+ * buffered ones, recover from a provider failing part way, stop when
+ * cancelled and keep characters split across network chunks whole.
+ *
+ *   node scripts/checkChatFallback.js
+ */
+
+const { Readable } = require('stream');
+const axios = require('axios');
+const { searchKnowledgeBase } = require('../services/knowledgeBaseService');
+const {
+  createMistralProvider,
+  createLocalProvider,
+  setChatProviders,
+  completeChat,
+  streamChat,
+} = require('../services/chatProviderService');
+const { createProposalFilter } = require('../services/assistantActionService');
+
+// [question, region, id of the article that should answer it]
+const EXPECTED = [
+  ['I think someone is following me home', 'IN', 'followed-on-foot'],
+  ['a car has been behind me for the last few turns', 'US', 'followed-driving'],
+  ['my cab driver took a wrong route', 'IN', 'unsafe-ride'],
+  ['a man keeps touching me on the bus', 'IN', 'harassment-public'],
+  ['my friend is bleeding a lot from a cut', 'GB', 'first-aid-bleeding'],
+  ['how do I do CPR', 'AU', 'first-aid-cpr'],
+  ['someone is choking on food', 'US', 'first-aid-choking'],
+  ['my husband hit me', 'IN', 'domestic-violence'],
+  ['what is the women helpline number', 'IN', 'helplines-in'],
+  ['helpline numbers', 'GB', 'helplines-gb'],
+  ['I want to kill myself', 'CA', 'self-harm'],
+];
+
+const check = async () => {
+  let failures = 0;
+  for (const [question, region, expected] of EXPECTED) {
+    const [best] = searchKnowledgeBase(question, { region });
+    const found = best ? best.article.id : 'nothing';
+    if (found !== expected) failures++;
+    console.log(`${found === expected ? '✅' : '❌'} [${region}] "${question}" -> ${found}`);
+  }
+  if (failures) throw new Error(`${failures} question(s) found the wrong article`);
+
+  // The network provider fails; the local one answers
+  setChatProviders([
+    { name: 'unreachable', offline: false, complete: async () => { throw new Error('connect ECONNREFUSED'); } },
+    createLocalProvider(),
+  ]);
+  const reply = await completeChat([{ role: 'user', content: 'someone is following me' }], { region: 'IN' });
+  if (reply.provider !== 'local' || !reply.offline || !reply.content.includes('call 112')) {
+    throw new Error(`Unexpected fallback reply from ${reply.provider}`);
+  }
+  console.log(`✅ fallback answered with provider ${reply.provider}`);
+
+  // Same question, same answer
+  const again = await completeChat([{ role: 'user', content: 'someone is following me' }], { region: 'IN' });
+  if (again.content !== reply.content) throw new Error('Fallback answer is not deterministic');
+  console.log('✅ fallback answers are deterministic');
+
+  // Streaming: the local provider sends the buffered answer piece by piece
+  const tokens = [];
+  const streamed = await streamChat([{ role: 'user', content: 'someone is following me' }], {
+    region: 'IN',
+    onToken: text => tokens.push(text),
+  });
+  if (tokens.length < 2 || tokens.join('') !== reply.content || streamed.content !== reply.content) {
+    throw new Error('Streamed answer differs from the buffered one');
+  }
+  console.log(`✅ streamed answer matches the buffered one (${tokens.length} tokens)`);
+
+  // A provider that fails part way: the partial text is reset and the local one answers
+  setChatProviders([
+    {
+      name: 'flaky',
+      offline: false,
+      complete: async () => { throw new Error('not used'); },
+      stream: async (messages, { onToken }) => {
+        onToken('Half an ans');
+        throw new Error('socket hang up');
+      },
+    },
+    createLocalProvider(),
+  ]);
+  let text = '';
+  const recovered = await streamChat([{ role: 'user', content: 'someone is following me' }], {
+    region: 'IN',
+    onToken: token => { text += token; },
+    onReset: () => { text = ''; },
+  });
+  if (recovered.provider !== 'local' || text !== reply.content) {
+    throw new Error('Stream did not recover from a provider failing part way');
+  }
+  console.log('✅ stream recovered after a provider failed part way');
+
+  // Cancelling stops the stream and skips the remaining providers
+  const controller = new AbortController();
+  let received = 0;
+  try {
+    await streamChat([{ role: 'user', content: 'someone is following me' }], {
+      region: 'IN',
+      signal: controller.signal,
+      onToken: () => {
+        received += 1;
+        controller.abort();
+      },
+    });
+    throw new Error('Cancelled stream kept going');
+  } catch (error) {
+    if (error.name !== 'ChatCancelledError' || received !== 1) throw error;
+  }
+  console.log('✅ cancelled stream stopped after the first token');
+
+  // Multibyte characters split between network chunks come through whole
+  const answer = 'मदद आ रही है 🚓';
+  const body = Buffer.from(
+    `data: ${JSON.stringify({ choices: [{ delta: { content: answer } }] })}\n\ndata: [DONE]\n\n`
+  );
+  const chunks = [];
+  for (let at = 0; at < body.length; at += 5) chunks.push(body.subarray(at, at + 5));
+  const post = axios.post;
+  const apiKey = process.env.MISTRAL_API_KEY;
+  axios.post = async () => ({ data: Readable.from(chunks) });
+  process.env.MISTRAL_API_KEY = apiKey || 'check';
+  try {
+    const decoded = await createMistralProvider().stream([{ role: 'user', content: 'help' }], { onToken: () => {} });
+    if (decoded.content !== answer) {
+      throw new Error(`Streamed characters were corrupted: ${JSON.stringify(decoded.content)}`);
+    }
+  } finally {
+    axios.post = post;
+    if (apiKey === undefined) delete process.env.MISTRAL_API_KEY;
+  }
+  console.log('✅ characters split across stream chunks decoded whole');
+
+  // The actions block is kept out of streamed text, even split across tokens
+  let shown = '';
+  const filter = createProposalFilter(part => { shown += part; });
+  for (const part of ['Stay on the main road. I can ', 'share your location.\n<', 'act', 'ions>[{"type":"start_sos"}]</actions>']) {
+    filter.write(part);
+  }
+  filter.flush();
+  if (shown !== 'Stay on the main road. I can share your location.\n') {
+    throw new Error(`Actions block leaked into streamed text: ${JSON.stringify(shown)}`);
+  }
+  console.log('✅ actions block kept out of streamed text');
+};
+
+check().catch(error => {
+  console.error('❌ Chat fallback check failed:', error.message);
+  process.exitCode = 1;
+});
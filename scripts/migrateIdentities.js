@@ -0,0 +1,57 @@
+/**
+ * One-off migration: move legacy `password` / `googleId` fields on users
+ * into `identities`. Safe to run more than once.
+ *
+ *   node scripts/migrateIdentities.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+  const users = mongoose.connection.collection('users');
+
+  const cursor = users.find({
+    $or: [{ password: { $exists: true } }, { googleId: { $exists: true } }],
+  });
+
+  let migrated = 0;
+  for await (const user of cursor) {
+    const set = {};
+
+    // 'GOOGLE_AUTH' was a placeholder, not a password: those accounts get no password identity
+    if (user.password && user.password !== 'GOOGLE_AUTH' && !user.identities?.password?.hash) {
+      set['identities.password'] = { hash: user.password, setAt: user.updatedAt || new Date() };
+    }
+
+    if (user.googleId && !user.identities?.google?.subject) {
+      set['identities.google'] = {
+        subject: user.googleId,
+        email: user.email,
+        linkedAt: user.updatedAt || new Date(),
+      };
+    }
+
+    await users.updateOne(
+      { _id: user._id },
+      { ...(Object.keys(set).length ? { $set: set } : {}), $unset: { password: '', googleId: '' } }
+    );
+    migrated++;
+  }
+
+  // The old unique index on googleId is replaced by one on identities.google.subject
+  const indexes = await users.indexes();
+  if (indexes.some(index => index.name === 'googleId_1')) {
+    await users.dropIndex('googleId_1');
+  }
+
+  console.log(`✅ Migrated identities for ${migrated} user(s)`);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Identity migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,74 @@
+/**
+ * One-off migration: move SOS records from the old statuses (active,
+ * resolved, cancelled) to the lifecycle states and start their event
+ * timelines. An active SOS becomes acknowledged, dispatched or triggered
+ * depending on how far its escalation got. Safe to run more than once;
+ * records that already have a timeline are skipped.
+ *
+ *   node scripts/migrateSOSStatus.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const statusFor = (sos) => {
+  if (sos.status !== 'active') return sos.status;
+  const escalation = sos.escalation || {};
+  if (escalation.acknowledgedAt) return 'acknowledged';
+  const reached = (escalation.notifications || []).some(notification => notification.success);
+  if (reached || escalation.volunteersAlerted) return 'dispatched';
+  return 'triggered';
+};
+
+// What is known of the history: when it was raised and, if closed, when
+const eventsFor = (sos, status) => {
+  const raisedAt = sos.timestamp || sos.createdAt || new Date();
+  const events = [{ type: 'triggered', to: 'triggered', actor: { kind: 'system' }, note: 'Migrated record', at: raisedAt }];
+  if (sos.escalation && sos.escalation.acknowledgedAt) {
+    events.push({
+      type: 'acknowledge',
+      from: 'triggered',
+      to: 'acknowledged',
+      actor: { kind: 'contact', ...(sos.escalation.acknowledgedBy || {}) },
+      at: sos.escalation.acknowledgedAt,
+    });
+  }
+  if (status === 'resolved' || status === 'cancelled') {
+    events.push({
+      type: status === 'resolved' ? 'resolve' : 'cancel',
+      from: events[events.length - 1].to,
+      to: status,
+      actor: { kind: status === 'cancelled' ? 'owner' : 'system' },
+      at: sos.resolvedAt || sos.updatedAt || raisedAt,
+    });
+  }
+  return events;
+};
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+  const sosCollection = mongoose.connection.collection('sos');
+
+  const counts = {};
+  for await (const sos of sosCollection.find({ 'events.0': { $exists: false } })) {
+    const status = statusFor(sos);
+    counts[status] = (counts[status] || 0) + 1;
+    if (!dryRun) {
+      await sosCollection.updateOne(
+        { _id: sos._id, 'events.0': { $exists: false } },
+        { $set: { status, events: eventsFor(sos, status) } }
+      );
+    }
+  }
+
+  console.log(`${dryRun ? '🔍 Dry run: would migrate' : '✅ Migrated'} SOS records:`, counts);
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ SOS status migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,133 @@
+/**
+ * One-off migration: copy emergency contacts and guardians into the trusted
+ * circle (trustedcontacts). Safe to run more than once; the old collections
+ * are left in place. A guardian with the same number as one of the user's
+ * contacts is merged into that member.
+ *
+ *   node scripts/migrateTrustedCircle.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { normalizePhoneNumber, regionForUser } = require('../services/phoneNumberService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const GUARDIAN_FIELDS = ['email', 'relationship', 'trustScore', 'notificationPreferences', 'responseHistory', 'responseStats'];
+
+const migrate = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+  const db = mongoose.connection;
+  const users = db.collection('users');
+  const contacts = db.collection('contacts');
+  const guardians = db.collection('guardians');
+  const members = db.collection('trustedcontacts');
+
+  const regions = new Map();
+  const regionFor = async (userId) => {
+    const key = String(userId);
+    if (!regions.has(key)) {
+      const user = await users.findOne({ _id: userId }, { projection: { identities: 1, mobile: 1 } });
+      regions.set(key, regionForUser(user));
+    }
+    return regions.get(key);
+  };
+  // Numbers that do not normalise are kept as entered and reported
+  const unparsed = [];
+  const phoneFor = async (doc) => {
+    const phone = normalizePhoneNumber(doc.phone, { region: await regionFor(doc.userId) });
+    if (!phone) unparsed.push(String(doc._id));
+    return phone || String(doc.phone || '').trim();
+  };
+
+  const counts = { contacts: 0, guardiansInserted: 0, guardiansMerged: 0, skipped: 0 };
+
+  for await (const contact of contacts.find({})) {
+    if (await members.countDocuments({ _id: contact._id }, { limit: 1 })) {
+      counts.skipped++;
+      continue;
+    }
+
+    const { _id, __v, ...fields } = contact;
+    const member = {
+      ...fields,
+      phone: await phoneFor(contact),
+      relationship: 'other',
+      isActive: true,
+      legacy: { contactId: _id },
+    };
+    if (!dryRun) {
+      await members.updateOne({ _id }, { $setOnInsert: member }, { upsert: true });
+    }
+    counts.contacts++;
+  }
+
+  for await (const guardian of guardians.find({ deletedAt: null })) {
+    if (await members.countDocuments({ 'legacy.guardianId': guardian.guardianId }, { limit: 1 })) {
+      counts.skipped++;
+      continue;
+    }
+
+    const phone = await phoneFor(guardian);
+    const fromGuardian = Object.fromEntries(
+      GUARDIAN_FIELDS.filter(field => guardian[field] !== undefined).map(field => [field, guardian[field]])
+    );
+    if (guardian.lastKnownLocation && Array.isArray(guardian.lastKnownLocation.coordinates)
+      && guardian.lastKnownLocation.coordinates.length === 2) {
+      fromGuardian.lastKnownLocation = guardian.lastKnownLocation;
+    }
+
+    const existing = await members.findOne({ userId: guardian.userId, phone, 'legacy.guardianId': null });
+    if (existing) {
+      if (!dryRun) {
+        await members.updateOne(
+          { _id: existing._id },
+          { $set: { ...fromGuardian, 'legacy.guardianId': guardian.guardianId } }
+        );
+      }
+      counts.guardiansMerged++;
+      continue;
+    }
+
+    const now = new Date();
+    const member = {
+      _id: guardian._id,
+      userId: guardian.userId,
+      name: guardian.name,
+      relation: (guardian.relationship || 'other').replace('_', ' ').replace(/^\w/, char => char.toUpperCase()),
+      relationship: 'other',
+      phone,
+      tier: 1,
+      channels: ['sms'],
+      isActive: guardian.isActive !== false,
+      // Verified guardians had already agreed to be contacted
+      status: guardian.isVerified ? 'confirmed' : 'pending',
+      statusChangedAt: guardian.updatedAt || now,
+      ...(guardian.isVerified ? { confirmedAt: guardian.updatedAt || now } : {}),
+      ...fromGuardian,
+      legacy: { guardianId: guardian.guardianId },
+      createdAt: guardian.addedAt || guardian.createdAt || now,
+      updatedAt: now,
+    };
+    if (!dryRun) {
+      await members.updateOne({ _id: member._id }, { $setOnInsert: member }, { upsert: true });
+    }
+    counts.guardiansInserted++;
+  }
+
+  console.log(
+    `${dryRun ? '🔎 Dry run: would migrate' : '✅ Migrated'} ${counts.contacts} contact(s), `
+    + `${counts.guardiansInserted} guardian(s) as new members, ${counts.guardiansMerged} merged into contacts; `
+    + `${counts.skipped} already migrated`
+  );
+  if (unparsed.length) {
+    console.warn(`⚠️ ${unparsed.length} number(s) could not be normalised and were kept as entered: ${unparsed.join(', ')}`);
+  }
+};
+
+migrate()
+  .catch(error => {
+    console.error('❌ Trusted circle migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,36 @@
+/**
+ * Set a user's role from the command line, e.g. to create the first super admin.
+ *
+ *   node scripts/setRole.js <email-or-phone> <role>
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../config/permissions');
+
+const [identifier, role] = process.argv.slice(2);
+
+const setRole = async () => {
+  if (!identifier || !ROLES.includes(role)) {
+    throw new Error(`Usage: node scripts/setRole.js <email-or-phone> <${ROLES.join('|')}>`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+
+  const user = await User.findOneAndUpdate(
+    { $or: [{ email: identifier }, { 'identities.phone.number': identifier }] },
+    { role },
+    { new: true }
+  );
+  if (!user) throw new Error(`No user found for ${identifier}`);
+
+  console.log(`✅ ${identifier} is now ${user.role}`);
+};
+
+setRole()
+  .catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
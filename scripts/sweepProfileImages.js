@@ -0,0 +1,27 @@
+/**
+ * Delete profile images that no user references any more (replaced uploads,
+ * deleted accounts). Files newer than an hour are kept.
+ *
+ *   node scripts/sweepProfileImages.js [--dry-run]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { sweepOrphanProfileImages } = require('../services/imageService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const sweep = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+
+  const { scanned, removed, kept } = await sweepOrphanProfileImages({ dryRun });
+  for (const name of removed) console.log(`${dryRun ? '🔍 Would remove' : '🗑️ Removed'} ${name}`);
+  console.log(`✅ Scanned ${scanned} files: ${removed.length} orphaned, ${kept} kept${dryRun ? ' (dry run)' : ''}`);
+};
+
+sweep()
+  .catch(error => {
+    console.error('❌ Profile image sweep failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
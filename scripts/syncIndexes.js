@@ -0,0 +1,29 @@
+/**
+ * Rebuild MongoDB indexes to match the schemas (drops indexes the schemas no
+ * longer declare). Run after deploying schema index changes, e.g. the
+ * optional, sparse `email` index that allows phone-only accounts.
+ *
+ *   node scripts/syncIndexes.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const MODELS = ['User', 'Session', 'PhoneOtp', 'LoginAttempt', 'SOSEvidence', 'MedicalAccessLog', 'EmergencyCard', 'RateLimitCounter', 'Contact', 'SOS', 'TrustedContact', 'Conversation', 'CrisisDecision', 'LocationShare', 'CheckIn'];
+
+const sync = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/smartsensrty');
+
+  for (const name of MODELS) {
+    const model = require(`../models/${name}`);
+    const dropped = await model.syncIndexes();
+    console.log(`✅ ${name}: indexes synced${dropped.length ? `, dropped ${dropped.join(', ')}` : ''}`);
+  }
+};
+
+sync()
+  .catch(error => {
+    console.error('❌ Index sync failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
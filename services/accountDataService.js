@@ -0,0 +1,229 @@
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const archiver = require('archiver');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const Guardian = require('../models/Guardian');
+const TrustedContact = require('../models/TrustedContact');
+const SOS = require('../models/SOS');
+const EmotionLog = require('../models/EmotionLog');
+const SOSEvidence = require('../models/SOSEvidence');
+const Session = require('../models/Session');
+const PhoneOtp = require('../models/PhoneOtp');
+const MedicalAccessLog = require('../models/MedicalAccessLog');
+const EmergencyCard = require('../models/EmergencyCard');
+const Conversation = require('../models/Conversation');
+const CrisisDecision = require('../models/CrisisDecision');
+const LocationShare = require('../models/LocationShare');
+const CheckIn = require('../models/CheckIn');
+const { deleteProfileImages, profileStorageKey } = require('./imageService');
+const { readBlob } = require('./storageService');
+const { openEvidenceFile, deleteEvidenceFiles } = require('./evidenceService');
+const { ownerView, OWNER_HIDDEN_TYPES } = require('./duressService');
+const { isOpen } = require('./sosLifecycleService');
+
+const EXPORT_FORMAT_VERSION = 1;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Keep zip entry names to one safe path segment
+const safeName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+/**
+ * Stream a zip of everything stored about the user into `output` (e.g. the
+ * response). manifest.json lists every entry with its size and SHA-256.
+ * Assistant conversations are only included when asked for.
+ * Resolves once the archive is finalized.
+ */
+const writeExport = async (userId, output, { includeConversations = false } = {}) => {
+  const user = await User.findById(userId).lean();
+  if (!user) throw new Error('User not found');
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const manifest = {
+    format: 'smartsensrty-export',
+    version: EXPORT_FORMAT_VERSION,
+    userId: String(user._id),
+    generatedAt: new Date().toISOString(),
+    entries: [],
+    excluded: includeConversations ? [] : ['conversations'],
+  };
+
+  const addEntry = (name, data, details = {}) => {
+    const buffer = Buffer.isBuffer(data) ? data : Buffer.from(JSON.stringify(data, null, 2));
+    archive.append(buffer, { name });
+    manifest.entries.push({ path: name, size: buffer.length, sha256: sha256(buffer), ...details });
+  };
+
+  // Large files are streamed in one at a time, hashing as they go
+  const addStreamEntry = async (name, stream, details = {}) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    const hashing = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        size += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    const written = new Promise((resolve, reject) => {
+      const onEntry = (entry) => {
+        if (entry.name !== name) return;
+        archive.off('entry', onEntry);
+        resolve();
+      };
+      archive.on('entry', onEntry);
+      stream.on('error', reject);
+    });
+    archive.append(stream.pipe(hashing), { name });
+    await written;
+
+    manifest.entries.push({ path: name, size, sha256: hash.digest('hex'), ...details });
+  };
+
+  archive.on('warning', error => console.warn('⚠️ Export warning:', error.message));
+  archive.pipe(output);
+
+  addEntry('profile.json', user, { type: 'profile' });
+
+  const imageKey = profileStorageKey(user.profileImage);
+  const image = imageKey && (await readBlob(imageKey));
+  if (image) {
+    addEntry(`profile/${path.basename(imageKey)}`, image, { type: 'profile_image' });
+  }
+
+  const circle = await TrustedContact.find({ userId }).lean();
+  addEntry('trusted-circle.json', circle, { type: 'trusted_circle', count: circle.length });
+
+  // The export reaches whoever holds the account, who may be the one coercing
+  // the owner, so SOS history reads exactly as the owner's own views show it
+  const sosRecords = await SOS.find({ userId, type: { $nin: OWNER_HIDDEN_TYPES } }).sort({ timestamp: -1 }).lean();
+  const sosHistory = sosRecords.map(({ duress, duressAt, silentBeforeDuress, ...sos }) => {
+    const view = ownerView({ ...sos, duressAt, silentBeforeDuress });
+    if (!duressAt || !isOpen(sos)) return { ...sos, ...view };
+    // Shown cancelled, so the alerts still going out stay out of it too
+    const { escalation, responders, ...shown } = sos;
+    return { ...shown, ...view };
+  });
+  addEntry('sos-history.json', sosHistory, { type: 'sos', count: sosHistory.length });
+
+  const locationShares = await LocationShare.find({ userId }).sort({ createdAt: -1 }).lean();
+  addEntry('location-shares.json', locationShares, { type: 'location_shares', count: locationShares.length });
+
+  const checkIns = await CheckIn.find({ userId }).sort({ createdAt: -1 }).lean();
+  addEntry('check-ins.json', checkIns, { type: 'check_ins', count: checkIns.length });
+
+  const emotionLogs = await EmotionLog.find({ userId }).sort({ timestamp: -1 }).lean();
+  addEntry('emotion-logs.json', emotionLogs, { type: 'emotion_logs', count: emotionLogs.length });
+
+  // One evidence record and one file at a time: recordings can be large
+  const evidenceIndex = [];
+  for await (const evidence of SOSEvidence.find({ userId }).sort({ timestamp: -1 }).lean().cursor()) {
+    const files = [];
+    for (const [index, file] of (evidence.evidenceFiles || []).entries()) {
+      const { data, ...metadata } = file;
+      const blob = await openEvidenceFile(file);
+      if (!blob) {
+        files.push({ ...metadata, path: null, missing: true });
+        continue;
+      }
+
+      const name = `evidence/${evidence._id}/${index}_${safeName(file.filename)}`;
+      await addStreamEntry(name, blob.stream, {
+        type: 'evidence_file',
+        evidenceId: String(evidence._id),
+        mimeType: file.mimeType,
+      });
+      files.push({ ...metadata, path: name });
+    }
+    evidenceIndex.push({ ...evidence, evidenceFiles: files });
+  }
+  addEntry('evidence.json', evidenceIndex, { type: 'evidence', count: evidenceIndex.length });
+
+  if (includeConversations) {
+    const conversations = await Conversation.find({ userId }).sort({ lastMessageAt: -1 }).lean();
+    addEntry('conversations.json', conversations, { type: 'conversations', count: conversations.length });
+
+    // Crisis checks quote the chat messages they were made on
+    const crisisDecisions = await CrisisDecision.find({ userId }).sort({ createdAt: -1 }).lean();
+    addEntry('crisis-decisions.json', crisisDecisions, { type: 'crisis_decisions', count: crisisDecisions.length });
+  }
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+
+  return manifest;
+};
+
+/**
+ * Delete the account and the data behind it. Evidence under legal hold is
+ * kept untouched, together with the SOS records it belongs to, and the user
+ * becomes an anonymised tombstone so those references stay valid.
+ * Resolves with counts of what was removed.
+ */
+const deleteAccount = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new Error('User not found');
+
+  const held = await SOSEvidence.find({ userId, 'legalHold.active': true }).select('sosId').lean();
+  const heldSosIds = held.map(evidence => evidence.sosId).filter(Boolean);
+
+  // Stored files go first, while the records still say where they are
+  const unheld = SOSEvidence.find({ userId, 'legalHold.active': { $ne: true } })
+    .select('evidenceFiles.storageKey')
+    .lean()
+    .cursor();
+  for await (const evidence of unheld) await deleteEvidenceFiles(evidence);
+
+  // Legacy contacts and guardians go too, whether or not they were migrated
+  const [trustedCircle, , , emotionLogs, conversations, evidence, sos] = await Promise.all([
+    TrustedContact.deleteMany({ userId }),
+    Contact.deleteMany({ userId }),
+    Guardian.deleteMany({ userId }),
+    EmotionLog.deleteMany({ userId }),
+    Conversation.deleteMany({ userId }),
+    SOSEvidence.deleteMany({ userId, 'legalHold.active': { $ne: true } }),
+    SOS.deleteMany({ userId, _id: { $nin: heldSosIds } }),
+  ]);
+
+  if (held.length) {
+    await SOSEvidence.updateMany({ userId, 'legalHold.active': true }, { $set: { ownerDeletedAt: new Date() } });
+  }
+
+  await Session.deleteMany({ userId });
+  await MedicalAccessLog.deleteMany({ userId });
+  await EmergencyCard.deleteMany({ userId });
+  await CrisisDecision.deleteMany({ userId });
+  await LocationShare.deleteMany({ userId });
+  await CheckIn.deleteMany({ userId });
+  if (user.identities && user.identities.phone && user.identities.phone.number) {
+    await PhoneOtp.deleteOne({ phone: user.identities.phone.number });
+  }
+
+  await deleteProfileImages(user.profileImage, user.profileImageThumbnail);
+
+  if (held.length) {
+    // Drop every personal field; only the id and the deletion date remain
+    await User.replaceOne({ _id: user._id }, { name: 'Deleted user', deletedAt: new Date() });
+  } else {
+    await User.deleteOne({ _id: user._id });
+  }
+
+  return {
+    trustedCircle: trustedCircle.deletedCount,
+    emotionLogs: emotionLogs.deletedCount,
+    conversations: conversations.deletedCount,
+    evidence: evidence.deletedCount,
+    sos: sos.deletedCount,
+    evidenceOnLegalHold: held.length,
+    userRetainedAsTombstone: held.length > 0,
+  };
+};
+
+module.exports = {
+  EXPORT_FORMAT_VERSION,
+  writeExport,
+  deleteAccount,
+};
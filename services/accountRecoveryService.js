@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const { createOneTimeToken, hashToken, revokeAllSessions } = require('./tokenService');
+const { sendMail } = require('./mailService');
+const mailTemplates = require('./mailTemplates');
+const { setPasswordIdentity } = require('./identityService');
+
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const PASSWORD_RESET_TTL_MINUTES = 30;
+const MIN_PASSWORD_LENGTH = 8;
+
+const trimSlash = (url) => url.replace(/\/$/, '');
+const getApiBaseUrl = () =>
+  trimSlash(process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`);
+const getFrontendUrl = () => trimSlash(process.env.FRONTEND_URL || 'http://localhost:3000');
+
+/**
+ * Email the user a fresh verification link. Any earlier link stops working.
+ */
+const sendVerificationEmail = async (user) => {
+  const { token, tokenHash, expiresAt } = createOneTimeToken(
+    EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    { emailVerificationToken: tokenHash, emailVerificationTokenExpires: expiresAt }
+  );
+
+  await sendMail(
+    user.email,
+    mailTemplates.verifyEmail({
+      name: user.name,
+      url: `${getApiBaseUrl()}/auth/verify-email?token=${token}`,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    })
+  );
+};
+
+/**
+ * Mark the email behind a verification token as verified.
+ * Resolves with the user, or null if the token is unknown or expired.
+ */
+const verifyEmail = async (token) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  return User.findOneAndUpdate(
+    {
+      emailVerificationToken: hashToken(token),
+      emailVerificationTokenExpires: { $gt: new Date() },
+    },
+    {
+      emailVerified: true,
+      $unset: { emailVerificationToken: 1, emailVerificationTokenExpires: 1 },
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Email a password reset link if the address belongs to an account.
+ * Google-only accounts get one too, which is how they set a real password.
+ */
+const requestPasswordReset = async (email) => {
+  if (typeof email !== 'string' || !email) return false;
+
+  const user = await User.findOne({ email: email.trim() });
+  if (!user) return false;
+
+  const { token, tokenHash, expiresAt } = createOneTimeToken(PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+  await User.updateOne(
+    { _id: user._id },
+    { passwordResetToken: tokenHash, passwordResetTokenExpires: expiresAt }
+  );
+
+  await sendMail(
+    user.email,
+    mailTemplates.passwordReset({
+      name: user.name,
+      url: `${getFrontendUrl()}/reset-password?token=${token}`,
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+    })
+  );
+  return true;
+};
+
+/**
+ * Set a new password from a reset token and sign out every device.
+ * Resolves with the user, or null if the token is unknown or expired.
+ */
+const resetPassword = async (token, password) => {
+  if (typeof token !== 'string' || !token) return null;
+
+  // Claim the token in the lookup itself so it can only ever be used once
+  const user = await User.findOneAndUpdate(
+    {
+      passwordResetToken: hashToken(token),
+      passwordResetTokenExpires: { $gt: new Date() },
+    },
+    { $unset: { passwordResetToken: 1, passwordResetTokenExpires: 1 } },
+    { new: true }
+  );
+  if (!user) return null;
+
+  // Links a password identity for Google-only accounts, replaces it otherwise
+  await setPasswordIdentity(user, password);
+  // Opening the link proves the user controls the mailbox
+  user.emailVerified = true;
+  await user.save();
+
+  await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+  sendMail(user.email, mailTemplates.passwordChanged({ name: user.name })).catch(() => {});
+
+  return user;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  getApiBaseUrl,
+  getFrontendUrl,
+  sendVerificationEmail,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,334 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const TrustedContact = require('../models/TrustedContact');
+const User = require('../models/User');
+const { raiseChatSOS } = require('./crisisService');
+const { parseMemberInput } = require('./trustedCircleService');
+const { sendInvite } = require('./contactConsentService');
+const { regionForUser } = require('./phoneNumberService');
+const { parseShareMinutes, findShareableMember, startShare } = require('./locationShareService');
+const { parseCheckInInput, startCheckIn } = require('./checkInService');
+
+/**
+ * Actions the assistant may propose in a chat reply. Nothing runs until the
+ * user confirms the proposal in the app; every proposal and its outcome is
+ * kept on the conversation as its audit trail.
+ *
+ * The model proposes actions by ending its reply with
+ *   <actions>[{ "type": "share_location", "params": { ... } }]</actions>
+ * which is stripped from the text the user sees. Each action type has:
+ *   validate(params, { userId, region }) -> { params, summary } or { error }
+ *   execute(user, params, { coordinates }) -> result stored on the action
+ * Params are validated when proposed and again when confirmed.
+ */
+
+const ACTIONS_TAG = 'actions';
+// A proposal left unconfirmed this long can no longer be run
+const PROPOSAL_TTL_MS = 10 * 60 * 1000;
+const MAX_PROPOSALS_PER_REPLY = 3;
+const DEFAULT_CONTACT_RELATION = 'Other';
+
+// Errors whose message is safe to show the user as the reason an action failed
+const USER_FACING_ERRORS = ['InvalidShareError', 'InvalidCheckInError', 'CheckInActiveError'];
+
+const actionError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const ACTIONS = {
+  start_sos: {
+    validate: async ({ silent } = {}) => {
+      if (silent !== undefined && typeof silent !== 'boolean') {
+        return { error: 'silent must be true or false' };
+      }
+      return {
+        params: { silent: Boolean(silent) },
+        summary: silent
+          ? 'Start a silent SOS and alert your trusted circle'
+          : 'Start an SOS and alert your trusted circle',
+      };
+    },
+    execute: async (user, params, { coordinates }) => {
+      const { sos, created } = await raiseChatSOS(user, { coordinates, silent: params.silent });
+      return { sosId: sos._id, created };
+    },
+  },
+
+  share_location: {
+    validate: async ({ memberId, minutes } = {}, { userId }) => {
+      const duration = parseShareMinutes(minutes);
+      if (duration.error) return { error: duration.error };
+      const member = await findShareableMember(userId, memberId);
+      if (!member) return { error: 'memberId must be an active, confirmed member of the trusted circle' };
+      return {
+        params: { memberId: String(member._id), minutes: duration.minutes },
+        summary: `Share your live location with ${member.name} for ${duration.minutes} minutes`,
+      };
+    },
+    execute: async (user, params, { coordinates }) => {
+      const { share, delivered } = await startShare(user, { ...params, coordinates, source: 'assistant' });
+      return { shareId: share._id, expiresAt: share.expiresAt, delivered };
+    },
+  },
+
+  start_checkin: {
+    validate: async (params = {}) => {
+      const { minutes, note, error } = parseCheckInInput(params);
+      if (error) return { error };
+      return {
+        params: { minutes, note },
+        summary: `Start a ${minutes}-minute check-in; your trusted circle is alerted if you don't check in`,
+      };
+    },
+    execute: async (user, params) => {
+      const checkIn = await startCheckIn(user, { ...params, source: 'assistant' });
+      return { checkInId: checkIn._id, dueAt: checkIn.dueAt };
+    },
+  },
+
+  add_contact: {
+    validate: async ({ name, phone, relation } = {}, { userId, region }) => {
+      const { input, error } = parseMemberInput(
+        { name, phone, relation: relation || DEFAULT_CONTACT_RELATION },
+        { region }
+      );
+      if (error) return { error };
+      if (await TrustedContact.exists({ userId, phone: input.phone })) {
+        return { error: `${input.phone} is already in the trusted circle` };
+      }
+      return {
+        params: { name: input.name, phone: input.phone, relation: input.relation },
+        summary: `Add ${input.name} (${input.phone}) to your trusted circle and invite them`,
+      };
+    },
+    execute: async (user, params) => {
+      const contact = await TrustedContact.create({ userId: user._id, ...params });
+      try {
+        await sendInvite(contact, user);
+      } catch (inviteError) {
+        // The contact is kept; the invite can be re-sent
+        console.error('❌ Failed to send contact invitation:', inviteError.message);
+      }
+      return { memberId: contact._id };
+    },
+  },
+};
+
+const ACTION_TYPES = Object.keys(ACTIONS);
+
+const describeAction = (action) => ({
+  _id: action._id,
+  type: action.type,
+  params: action.params,
+  summary: action.summary || null,
+  // Proposals are expired lazily, when read or confirmed
+  status: action.status === 'proposed' && action.expiresAt <= new Date() ? 'expired' : action.status,
+  messageId: action.messageId || null,
+  proposedAt: action.proposedAt,
+  expiresAt: action.expiresAt,
+  decidedAt: action.decidedAt || null,
+  executedAt: action.executedAt || null,
+  result: action.result || null,
+  error: action.error || null,
+});
+
+/**
+ * Split a model reply into the text shown to the user and the action
+ * proposals at its end. Malformed blocks are dropped.
+ */
+const extractProposals = (content) => {
+  const proposals = [];
+  const text = String(content || '')
+    .replace(new RegExp(`<${ACTIONS_TAG}>([\\s\\S]*?)</${ACTIONS_TAG}>`, 'gi'), (block, json) => {
+      try {
+        const parsed = JSON.parse(json);
+        for (const entry of Array.isArray(parsed) ? parsed : [parsed]) {
+          if (entry && typeof entry === 'object') proposals.push(entry);
+        }
+      } catch (error) {
+        console.warn('⚠️ Ignoring malformed assistant actions:', error.message);
+      }
+      return '';
+    })
+    // A block the model never closed
+    .replace(new RegExp(`<${ACTIONS_TAG}>[\\s\\S]*$`, 'i'), '')
+    .trim();
+  return { content: text, proposals };
+};
+
+/**
+ * Wrap onText for a streamed reply so the <actions> block never reaches the
+ * user: text that might be the start of the tag is held back until it
+ * can't be, and everything from the tag on is dropped. Call flush() at the
+ * end for any held-back text; reset() when the reply starts over.
+ */
+const createProposalFilter = (onText) => {
+  const open = `<${ACTIONS_TAG}>`;
+  let held = '';
+  let closed = false;
+
+  const write = (text) => {
+    if (closed) return;
+    held += text;
+
+    const tagAt = held.toLowerCase().indexOf(open);
+    if (tagAt !== -1) {
+      if (tagAt > 0) onText(held.slice(0, tagAt));
+      held = '';
+      closed = true;
+      return;
+    }
+
+    // Keep back a trailing "<", "<act"... that the next token may complete
+    const lastOpen = held.lastIndexOf('<');
+    const keep = lastOpen !== -1 && open.startsWith(held.slice(lastOpen).toLowerCase()) ? held.length - lastOpen : 0;
+    if (held.length > keep) onText(held.slice(0, held.length - keep));
+    held = held.slice(held.length - keep);
+  };
+
+  return {
+    write,
+    flush: () => {
+      if (held && !closed) onText(held);
+      held = '';
+    },
+    reset: () => {
+      held = '';
+      closed = false;
+    },
+  };
+};
+
+/**
+ * Validate proposals and add them to the conversation (not saved here).
+ * Invalid ones are kept as 'invalid' for the audit trail. Returns the
+ * actions waiting for the user's confirmation.
+ */
+const proposeActions = async (conversation, proposals, { userId, region, messageId }) => {
+  const proposed = [];
+  for (const proposal of proposals.slice(0, MAX_PROPOSALS_PER_REPLY)) {
+    const handler = ACTIONS[proposal.type];
+    const now = new Date();
+    const checked = handler
+      ? await handler.validate(proposal.params || {}, { userId, region })
+      : { error: `Unknown action type ${String(proposal.type).slice(0, 40)}` };
+
+    conversation.actions.push({
+      type: handler ? proposal.type : 'unknown',
+      params: checked.error ? undefined : checked.params,
+      summary: checked.summary,
+      status: checked.error ? 'invalid' : 'proposed',
+      error: checked.error,
+      messageId,
+      proposedAt: now,
+      expiresAt: new Date(now.getTime() + PROPOSAL_TTL_MS),
+    });
+    const action = conversation.actions[conversation.actions.length - 1];
+    if (action.status === 'proposed') proposed.push(action);
+  }
+  return proposed;
+};
+
+const findAction = async (userId, conversationId, actionId) => {
+  const conversation = mongoose.isValidObjectId(conversationId) && mongoose.isValidObjectId(actionId)
+    && (await Conversation.findOne({ _id: conversationId, userId, 'actions._id': actionId }).select('actions'));
+  if (!conversation) {
+    throw actionError('ActionNotFoundError', 'Action not found');
+  }
+  return conversation.actions.id(actionId);
+};
+
+// Move a proposal to `status` if it is still open; explains why not otherwise
+const decideAction = async (userId, conversationId, actionId, status) => {
+  const now = new Date();
+  const conversation = mongoose.isValidObjectId(conversationId) && mongoose.isValidObjectId(actionId)
+    && (await Conversation.findOneAndUpdate(
+      {
+        _id: conversationId,
+        userId,
+        actions: { $elemMatch: { _id: actionId, status: 'proposed', expiresAt: { $gt: now } } },
+      },
+      { $set: { 'actions.$.status': status, 'actions.$.decidedAt': now } },
+      { new: true, projection: { actions: 1 } }
+    ));
+  if (conversation) return conversation.actions.id(actionId);
+
+  const action = await findAction(userId, conversationId, actionId);
+  if (action.status === 'proposed') {
+    await Conversation.updateOne(
+      { _id: conversationId, actions: { $elemMatch: { _id: actionId, status: 'proposed' } } },
+      { $set: { 'actions.$.status': 'expired' } }
+    );
+    throw actionError('ActionExpiredError', 'This suggestion has expired. Ask again if you still need it.');
+  }
+  throw actionError('ActionDecidedError', `This action is already ${action.status}`);
+};
+
+const recordOutcome = (conversationId, actionId, fields) =>
+  Conversation.updateOne(
+    { _id: conversationId, 'actions._id': actionId },
+    { $set: Object.fromEntries(Object.entries(fields).map(([key, value]) => [`actions.$.${key}`, value])) }
+  );
+
+/**
+ * Run a proposal the user confirmed. The proposal is claimed first, so a
+ * double tap runs it once; its params are checked again against the
+ * current data. Resolves with the action, 'executed' or 'failed' with the
+ * reason.
+ */
+const confirmAction = async (userId, conversationId, actionId, { coordinates } = {}) => {
+  const action = await decideAction(userId, conversationId, actionId, 'executing');
+  const handler = ACTIONS[action.type];
+
+  let outcome;
+  try {
+    const user = await User.findById(userId);
+    const checked = user && (await handler.validate(action.params || {}, { userId, region: regionForUser(user) }));
+    if (!checked || checked.error) {
+      outcome = { status: 'failed', error: (checked && checked.error) || 'User not found' };
+    } else {
+      const result = await handler.execute(user, checked.params, { coordinates });
+      outcome = { status: 'executed', executedAt: new Date(), result };
+      console.log(`✅ Assistant action ${action.type} ${action._id} run for user ${userId}`);
+    }
+  } catch (error) {
+    console.error(`❌ Assistant action ${action.type} ${action._id} failed:`, error.message);
+    outcome = {
+      status: 'failed',
+      error: USER_FACING_ERRORS.includes(error.name) ? error.message : 'This action could not be completed',
+    };
+  }
+
+  await recordOutcome(conversationId, actionId, outcome);
+  Object.assign(action, outcome);
+  return action;
+};
+
+const rejectAction = (userId, conversationId, actionId) =>
+  decideAction(userId, conversationId, actionId, 'rejected');
+
+/**
+ * Every action proposed in the conversation, newest first
+ */
+const listActions = async (userId, conversationId) => {
+  const conversation = mongoose.isValidObjectId(conversationId)
+    && (await Conversation.findOne({ _id: conversationId, userId }).select('actions'));
+  if (!conversation) {
+    throw actionError('ConversationNotFoundError', 'Conversation not found');
+  }
+  return conversation.actions.map(describeAction).reverse();
+};
+
+module.exports = {
+  ACTIONS_TAG,
+  ACTION_TYPES,
+  describeAction,
+  extractProposals,
+  createProposalFilter,
+  proposeActions,
+  confirmAction,
+  rejectAction,
+  listActions,
+};
@@ -0,0 +1,130 @@
+const User = require('../models/User');
+const TrustedContact = require('../models/TrustedContact');
+const SOS = require('../models/SOS');
+const { regionForUser } = require('./phoneNumberService');
+const { OPEN_STATUSES } = require('./sosLifecycleService');
+
+// A location older than this is not "where the user is"
+const RECENT_LOCATION_MS = 60 * 60 * 1000;
+// Two decimal places is roughly 1 km: enough for local advice, not an address
+const COORDINATE_DECIMALS = 2;
+const MAX_MEMBERS = 10;
+const MAX_LABEL_LENGTH = 30;
+const MAX_CLIENT_CONTEXT_LENGTH = 2000;
+
+const CLIENT_CONTEXT_TAG = 'untrusted_client_context';
+
+const roundCoordinate = (value) => Number(Number(value).toFixed(COORDINATE_DECIMALS));
+
+// Free text the user typed (names, labels) is cut down to a short plain label
+const cleanLabel = (value) =>
+  String(value || '').replace(/[^\p{L}\p{N} '-]/gu, '').trim().slice(0, MAX_LABEL_LENGTH) || null;
+
+const minutesSince = (date) => Math.max(0, Math.round((Date.now() - new Date(date)) / 60000));
+
+const describeLocation = ({ latitude, longitude }, at, source) => ({
+  latitude: roundCoordinate(latitude),
+  longitude: roundCoordinate(longitude),
+  minutesAgo: minutesSince(at),
+  source,
+});
+
+// The newest fix from an SOS or the volunteer check-in, if recent
+const findRecentLocation = (user, sos) => {
+  const since = Date.now() - RECENT_LOCATION_MS;
+
+  const sosAt = sos && (sos.timestamp || sos.createdAt);
+  if (sos && sos.coordinates && sos.coordinates.latitude != null && new Date(sosAt) >= since) {
+    return describeLocation(sos.coordinates, sosAt, 'sos');
+  }
+
+  const volunteer = user.volunteerLocation;
+  const [longitude, latitude] = (volunteer && volunteer.coordinates) || [];
+  if (user.isVolunteer && (longitude || latitude) && user.volunteerLastActive >= since) {
+    return describeLocation({ latitude, longitude }, user.volunteerLastActive, 'volunteer');
+  }
+  return null;
+};
+
+/**
+ * What the assistant may know about the user, built from the server's own
+ * records. Fields are allow-listed: a first name, the region, a summary of
+ * the trusted circle (ids, labels, tiers and status, no names or numbers), the
+ * active SOS if any, and a recent location rounded to about 1 km.
+ * Medical details, contact details and addresses are never included.
+ */
+const buildChatContext = async (userId) => {
+  const user = await User.findById(userId)
+    .select('name mobile identities.phone isVolunteer volunteerLocation volunteerLastActive medicalProfile.updatedAt')
+    .lean();
+  if (!user) return null;
+
+  const [members, sos] = await Promise.all([
+    TrustedContact.find({ userId, isActive: true })
+      .select('relation tier status')
+      .sort({ tier: 1, createdAt: 1 })
+      .lean(),
+    // A duress SOS must look cancelled to whoever holds the phone, so the
+    // assistant is never told about one
+    SOS.findOne({ userId, status: { $in: OPEN_STATUSES }, duress: { $ne: true } })
+      .select('type status silent timestamp createdAt coordinates escalation.tier escalation.acknowledgedAt')
+      .sort({ timestamp: -1 })
+      .lean(),
+  ]);
+
+  const count = (status) => members.filter(member => (member.status || 'pending') === status).length;
+
+  return {
+    user: {
+      firstName: cleanLabel(String(user.name || '').split(' ')[0]),
+      region: regionForUser(user),
+      hasMedicalProfile: Boolean(user.medicalProfile && user.medicalProfile.updatedAt),
+      isVolunteer: Boolean(user.isVolunteer),
+    },
+    trustedCircle: {
+      total: members.length,
+      confirmed: count('confirmed'),
+      pending: count('pending'),
+      unreachable: count('declined') + count('bouncing'),
+      members: members.slice(0, MAX_MEMBERS).map(member => ({
+        // Lets the assistant name a member in a proposed action
+        id: String(member._id),
+        relation: cleanLabel(member.relation),
+        tier: member.tier || 1,
+        status: member.status || 'pending',
+      })),
+    },
+    activeSOS: sos
+      ? {
+        type: sos.type,
+        status: sos.status,
+        silent: Boolean(sos.silent),
+        minutesAgo: minutesSince(sos.timestamp || sos.createdAt),
+        tierAlerted: (sos.escalation && sos.escalation.tier) || null,
+        acknowledged: Boolean(sos.escalation && sos.escalation.acknowledgedAt),
+      }
+      : null,
+    recentLocation: findRecentLocation(user, sos),
+  };
+};
+
+/**
+ * Context sent by the app, as a user message wrapped in tags the system
+ * prompt tells the model never to obey. Returns null when there is none.
+ */
+const wrapClientContext = (clientContext) => {
+  if (clientContext === undefined || clientContext === null || clientContext === '') return null;
+
+  const text = (typeof clientContext === 'string' ? clientContext : JSON.stringify(clientContext))
+    .slice(0, MAX_CLIENT_CONTEXT_LENGTH)
+    // The text must not be able to close the block early
+    .replace(new RegExp(`</?${CLIENT_CONTEXT_TAG}>`, 'gi'), '');
+
+  return `<${CLIENT_CONTEXT_TAG}>\n${text}\n</${CLIENT_CONTEXT_TAG}>`;
+};
+
+module.exports = {
+  CLIENT_CONTEXT_TAG,
+  buildChatContext,
+  wrapClientContext,
+};
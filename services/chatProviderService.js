@@ -0,0 +1,230 @@
+const { StringDecoder } = require('string_decoder');
+const axios = require('axios');
+const { searchKnowledgeBase, emergencyNumberFor } = require('./knowledgeBaseService');
+
+/**
+ * Chat model providers for the Smart Sentry assistant. Pick one with
+ * CHAT_PROVIDER:
+ * - mistral (default): Mistral's chat API (MISTRAL_API_KEY, MISTRAL_MODEL),
+ *                      falling back to the local provider when it fails
+ * - local:             the bundled safety knowledge base only; no network
+ *
+ * Every provider implements:
+ *   name
+ *   offline            true when answers come from canned content
+ *   complete(messages, { region, maxTokens, temperature, timeoutMs }) -> { content, model }
+ * and may implement
+ *   stream(messages, { onToken, signal, ...complete options }) -> { content, model }
+ * which calls onToken(text) as the answer arrives and stops when `signal`
+ * aborts. messages are [{ role: 'system' | 'user' | 'assistant', content }].
+ */
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.CHAT_TIMEOUT_MS) || 15000;
+const MISTRAL_URL = 'https://api.mistral.ai/v1/chat/completions';
+
+const providerError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const cancelledError = () => providerError('ChatCancelledError', 'The chat request was cancelled');
+
+/**
+ * Read an OpenAI-style SSE body ("data: {json}" lines, ending with
+ * "data: [DONE]") and call onToken with each content delta
+ */
+const readCompletionStream = async (body, onToken) => {
+  // A character may be split across network chunks; the decoder holds its
+  // first bytes back until the rest arrive
+  const decoder = new StringDecoder('utf8');
+  let buffered = '';
+  let content = '';
+  for await (const chunk of body) {
+    buffered += decoder.write(chunk);
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+
+    for (const line of lines) {
+      const data = line.trim().replace(/^data:\s*/, '');
+      if (!line.trim().startsWith('data:') || !data) continue;
+      if (data === '[DONE]') return content;
+
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onToken(delta);
+      }
+    }
+  }
+  return content;
+};
+
+const createMistralProvider = () => {
+  const apiKey = process.env.MISTRAL_API_KEY;
+  if (!apiKey) {
+    throw new Error('MISTRAL_API_KEY is required for the mistral chat provider');
+  }
+
+  const request = (messages, { maxTokens = 500, temperature = 0.7, timeoutMs = REQUEST_TIMEOUT_MS, stream = false, signal }) =>
+    axios.post(MISTRAL_URL, {
+      model: process.env.MISTRAL_MODEL || 'mistral-medium',
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream,
+    }, {
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+      },
+      timeout: timeoutMs,
+      signal,
+      responseType: stream ? 'stream' : 'json',
+    });
+
+  return {
+    name: 'mistral',
+    offline: false,
+    complete: async (messages, options = {}) => {
+      const response = await request(messages, options);
+      return { content: response.data.choices[0].message.content, model: 'mistral-ai' };
+    },
+    stream: async (messages, { onToken, ...options } = {}) => {
+      const response = await request(messages, { ...options, stream: true });
+      const content = await readCompletionStream(response.data, onToken);
+      return { content, model: 'mistral-ai' };
+    },
+  };
+};
+
+// Answers the latest user message with the best knowledge base article
+const answerFromKnowledgeBase = (messages, { region } = {}) => {
+  const question = [...messages].reverse().find(message => message.role === 'user');
+  const [best, ...related] = searchKnowledgeBase(question ? question.content : '', { region });
+  const emergencyNumber = emergencyNumberFor(region);
+
+  const parts = best
+    ? [best.article.title, best.article.body]
+    : ["I couldn't find guidance on that in my offline safety guide. I can help with being followed, unsafe rides, harassment, domestic violence, first aid and helpline numbers."];
+  if (related.length) {
+    parts.push(`Related: ${related.map(({ article }) => article.title).join('; ')}.`);
+  }
+  parts.push(`If you are in danger now, press SOS in the app or call ${emergencyNumber}.`);
+  parts.push("(Offline safety guide: the full assistant isn't reachable right now.)");
+
+  return { content: parts.join('\n\n'), model: 'safety-knowledge-base' };
+};
+
+const createLocalProvider = () => ({
+  name: 'local',
+  offline: true,
+  complete: async (messages, options) => answerFromKnowledgeBase(messages, options),
+  // Sends the same answer word by word, yielding between words so a
+  // cancelled request stops part way like a remote stream would
+  stream: async (messages, { onToken, signal, ...options } = {}) => {
+    const answer = answerFromKnowledgeBase(messages, options);
+    for (const word of answer.content.match(/\S+\s*/g) || []) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) throw cancelledError();
+      onToken(word);
+    }
+    return answer;
+  },
+});
+
+let providers = null;
+
+/**
+ * The providers to try, in order
+ */
+const getChatProviders = () => {
+  if (providers) return providers;
+
+  const local = createLocalProvider();
+  if (process.env.CHAT_PROVIDER === 'local') {
+    providers = [local];
+  } else {
+    try {
+      providers = [createMistralProvider(), local];
+    } catch (error) {
+      console.warn(`⚠️ ${error.message}; the assistant will answer from the offline safety guide`);
+      providers = [local];
+    }
+  }
+
+  console.log(`✅ Chat providers: ${providers.map(provider => provider.name).join(' -> ')}`);
+  return providers;
+};
+
+// Swap the providers at runtime (e.g. in scripts/checkChatFallback.js)
+const setChatProviders = (customProviders) => {
+  providers = customProviders;
+};
+
+/**
+ * Ask each provider in turn until one answers. Resolves with
+ * { content, model, provider, offline }. With `fallback: false` only the
+ * first provider is tried. Rejects with the last provider's error.
+ */
+const completeChat = async (messages, { fallback = true, ...options } = {}) => {
+  const candidates = fallback ? getChatProviders() : getChatProviders().slice(0, 1);
+
+  let lastError;
+  for (const provider of candidates) {
+    try {
+      const result = await provider.complete(messages, options);
+      return { ...result, provider: provider.name, offline: provider.offline };
+    } catch (error) {
+      lastError = error;
+      console.error(`❌ Chat provider ${provider.name} failed:`, error.response?.data || error.message);
+    }
+  }
+  throw lastError;
+};
+
+/**
+ * Like completeChat, but calls onToken(text) as the answer arrives. A
+ * provider without `stream` answers in one piece. When a provider fails
+ * part way through, onReset() is called before the next one starts so the
+ * partial text can be thrown away. Rejects with ChatCancelledError once
+ * `signal` aborts, without trying further providers.
+ */
+const streamChat = async (messages, { onToken, onReset = () => {}, signal, fallback = true, ...options } = {}) => {
+  const candidates = fallback ? getChatProviders() : getChatProviders().slice(0, 1);
+
+  let lastError;
+  for (const provider of candidates) {
+    let sent = false;
+    const forward = (text) => {
+      sent = true;
+      onToken(text);
+    };
+
+    try {
+      let result;
+      if (provider.stream) {
+        result = await provider.stream(messages, { ...options, onToken: forward, signal });
+      } else {
+        result = await provider.complete(messages, { ...options, signal });
+        forward(result.content);
+      }
+      return { ...result, provider: provider.name, offline: provider.offline };
+    } catch (error) {
+      if (signal && signal.aborted) throw cancelledError();
+      lastError = error;
+      console.error(`❌ Chat provider ${provider.name} failed while streaming:`, error.response?.status || error.message);
+      if (sent) onReset();
+    }
+  }
+  throw lastError;
+};
+
+module.exports = {
+  createMistralProvider,
+  createLocalProvider,
+  getChatProviders,
+  setChatProviders,
+  completeChat,
+  streamChat,
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const CheckIn = require('../models/CheckIn');
+const SOS = require('../models/SOS');
+const { triggerOfflineAlerts } = require('./offlineService');
+
+const MIN_CHECKIN_MINUTES = 5;
+const MAX_CHECKIN_MINUTES = 720;
+const MAX_NOTE_LENGTH = 140;
+const POLL_INTERVAL_MS = Number(process.env.CHECKIN_POLL_SECONDS || 30) * 1000;
+
+const checkInError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const describeCheckIn = (checkIn) => ({
+  _id: checkIn._id,
+  status: checkIn.status,
+  dueAt: checkIn.dueAt,
+  note: checkIn.note || null,
+  completedAt: checkIn.completedAt || null,
+  cancelledAt: checkIn.cancelledAt || null,
+  missedAt: checkIn.missedAt || null,
+  sosId: checkIn.sosId || null,
+  source: checkIn.source,
+  createdAt: checkIn.createdAt,
+});
+
+/**
+ * Validate a new check-in. Returns { minutes, note } or { error }.
+ */
+const parseCheckInInput = ({ minutes, note } = {}) => {
+  const value = Number(minutes);
+  if (!Number.isInteger(value) || value < MIN_CHECKIN_MINUTES || value > MAX_CHECKIN_MINUTES) {
+    return { error: `minutes must be a whole number from ${MIN_CHECKIN_MINUTES} to ${MAX_CHECKIN_MINUTES}` };
+  }
+  if (note !== undefined && note !== null && typeof note !== 'string') {
+    return { error: 'note must be text' };
+  }
+  const text = String(note || '').trim();
+  if (text.length > MAX_NOTE_LENGTH) {
+    return { error: `Keep the note under ${MAX_NOTE_LENGTH} characters` };
+  }
+  return { minutes: value, note: text || undefined };
+};
+
+const listCheckIns = async (userId, { limit = 10 } = {}) => {
+  const checkIns = await CheckIn.find({ userId }).sort({ createdAt: -1 }).limit(limit);
+  return checkIns.map(describeCheckIn);
+};
+
+/**
+ * Start a check-in timer. A user has one active check-in at a time.
+ */
+const startCheckIn = async (user, { minutes, note, source = 'app' } = {}) => {
+  const input = parseCheckInInput({ minutes, note });
+  if (input.error) {
+    throw checkInError('InvalidCheckInError', input.error);
+  }
+
+  const active = await CheckIn.findOne({ userId: user._id, status: 'active' });
+  if (active) {
+    throw checkInError('CheckInActiveError', 'You already have a check-in running. Check in or cancel it first.');
+  }
+
+  const checkIn = await CheckIn.create({
+    userId: user._id,
+    dueAt: new Date(Date.now() + input.minutes * 60 * 1000),
+    note: input.note,
+    source,
+  });
+  console.log(`⏱️ Check-in ${checkIn._id} started for user ${user._id}, due ${checkIn.dueAt.toISOString()}`);
+  return checkIn;
+};
+
+// Move the user's active check-in to `status`; anything else is not found
+const closeCheckIn = async (userId, checkInId, status, dateField) => {
+  const checkIn = mongoose.isValidObjectId(checkInId)
+    && (await CheckIn.findOneAndUpdate(
+      { _id: checkInId, userId, status: 'active' },
+      { $set: { status, [dateField]: new Date() } },
+      { new: true }
+    ));
+  if (!checkIn) {
+    throw checkInError('CheckInNotFoundError', 'No running check-in with that id');
+  }
+  return checkIn;
+};
+
+/**
+ * "I'm safe": stops the timer
+ */
+const completeCheckIn = (userId, checkInId) => closeCheckIn(userId, checkInId, 'completed', 'completedAt');
+
+const cancelCheckIn = (userId, checkInId) => closeCheckIn(userId, checkInId, 'cancelled', 'cancelledAt');
+
+// Raise an SOS for a missed check-in and alert the trusted circle
+const raiseMissedCheckIn = async (checkIn) => {
+  const sos = await SOS.create({
+    userId: checkIn.userId,
+    type: 'checkin',
+    location: checkIn.note ? `Missed check-in: ${checkIn.note}` : 'Missed check-in',
+  });
+  await CheckIn.updateOne({ _id: checkIn._id }, { $set: { sosId: sos._id } });
+  console.warn(`🚨 Check-in ${checkIn._id} missed by user ${checkIn.userId}, SOS ${sos._id}`);
+
+  await triggerOfflineAlerts(checkIn.userId, {
+    sosId: sos._id,
+    emergencyType: checkIn.note ? `Missed check-in (${checkIn.note})` : 'Missed check-in',
+  });
+  return sos;
+};
+
+/**
+ * Raise an SOS for every check-in past its due time. Each is claimed by
+ * marking it missed first, so two workers never alert for the same one;
+ * a check-in whose SOS could not be created goes back to active and is
+ * retried on the next poll.
+ */
+const processDueCheckIns = async () => {
+  let processed = 0;
+  for (;;) {
+    const now = new Date();
+    const checkIn = await CheckIn.findOneAndUpdate(
+      { status: 'active', dueAt: { $lte: now } },
+      { $set: { status: 'missed', missedAt: now } },
+      { new: true }
+    );
+    if (!checkIn) return processed;
+
+    try {
+      await raiseMissedCheckIn(checkIn);
+    } catch (error) {
+      console.error(`❌ Missed check-in alert failed for ${checkIn._id}:`, error.message);
+      // Once the SOS exists the escalation takes over; before that, retry later
+      await CheckIn.updateOne({ _id: checkIn._id, sosId: null }, { $set: { status: 'active' }, $unset: { missedAt: 1 } });
+      return processed;
+    }
+    processed += 1;
+  }
+};
+
+let workerTimer = null;
+
+/**
+ * Poll for missed check-ins every CHECKIN_POLL_SECONDS (default 30)
+ */
+const startCheckInWorker = () => {
+  if (workerTimer) return workerTimer;
+  workerTimer = setInterval(() => {
+    processDueCheckIns().catch(error => console.error('❌ Check-in worker error:', error.message));
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  return workerTimer;
+};
+
+const stopCheckInWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+module.exports = {
+  MIN_CHECKIN_MINUTES,
+  MAX_CHECKIN_MINUTES,
+  describeCheckIn,
+  parseCheckInInput,
+  listCheckIns,
+  startCheckIn,
+  completeCheckIn,
+  cancelCheckIn,
+  processDueCheckIns,
+  startCheckInWorker,
+  stopCheckInWorker,
+};
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const TrustedContact = require('../models/TrustedContact');
+const { hashToken } = require('./tokenService');
+const { sendSMS, isDeliveryError } = require('./offlineService');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+
+// Reply keywords accepted from an invited number, optionally followed by the invite code
+const CONFIRM_KEYWORDS = ['YES', 'Y', 'CONFIRM', 'OK'];
+const DECLINE_KEYWORDS = ['NO', 'N', 'DECLINE'];
+// Carrier-level opt-out words: the number is declined for every user
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+
+// Unambiguous characters for the code people type back
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 4;
+
+const consentError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const generateInviteCode = () =>
+  Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+
+const consentUrl = (token) => `${getApiBaseUrl()}/api/trusted-circle/consent/${token}`;
+
+// Twilio posts delivery updates for messages to this contact here
+const deliveryStatusCallback = (contact) =>
+  `${getApiBaseUrl()}/api/trusted-circle/sms/status?contactId=${contact._id}`;
+
+
+/**
+ * Text the contact an invitation with a confirm/decline link and reply
+ * keywords, and reset them to pending. Any earlier link stops working.
+ * A number Twilio refuses marks the contact as bouncing instead of throwing.
+ */
+const sendInvite = async (contact, user) => {
+  const token = crypto.randomBytes(24).toString('base64url');
+  const code = generateInviteCode();
+  const firstName = String(user.name || '').split(' ')[0] || 'Someone';
+
+  contact.inviteTokenHash = hashToken(token);
+  contact.inviteCode = code;
+  contact.invitedAt = new Date();
+  contact.status = 'pending';
+  contact.statusChangedAt = new Date();
+  contact.confirmedAt = null;
+  contact.declinedAt = null;
+  contact.deliveryError = null;
+  await contact.save();
+
+  try {
+    await sendSMS(
+      contact.phone,
+      `${firstName} added you as an emergency contact on SmartSensrty. If they raise an SOS you will get an alert by SMS. ` +
+        `Confirm or decline: ${consentUrl(token)}\nOr reply YES ${code} to agree, NO ${code} to decline.`,
+      { statusCallback: deliveryStatusCallback(contact) }
+    );
+  } catch (error) {
+    if (!isDeliveryError(error)) throw error;
+    await recordDeliveryFailure(contact._id, error.message);
+    contact.status = 'bouncing';
+    contact.deliveryError = error.message;
+  }
+
+  return contact;
+};
+
+const setStatus = async (filter, status, extra = {}) => {
+  const now = new Date();
+  const update = { status, statusChangedAt: now };
+  if (status === 'confirmed') Object.assign(update, { confirmedAt: now, declinedAt: null });
+  if (status === 'declined') Object.assign(update, { declinedAt: now, confirmedAt: null });
+  if (status !== 'bouncing') update.deliveryError = null;
+  return TrustedContact.updateMany(filter, { ...update, ...extra });
+};
+
+/**
+ * Resolve an invitation link token to the contact. Rejects with
+ * InvalidInviteError once the link was replaced or the contact removed.
+ */
+const resolveInvite = async (token) => {
+  if (typeof token !== 'string' || token.length > 64) {
+    throw consentError('InvalidInviteError', 'This invitation link is not valid');
+  }
+
+  const contact = await TrustedContact.findOne({ inviteTokenHash: hashToken(token) }).populate('userId', 'name');
+  if (!contact) {
+    throw consentError('InvalidInviteError', 'This invitation link is not valid');
+  }
+  return contact;
+};
+
+/**
+ * Record the contact's answer. They can change it later with the same
+ * link, so a confirmed contact can still withdraw.
+ */
+const respondToInvite = async (contact, decision) => {
+  if (!['confirm', 'decline'].includes(decision)) {
+    throw consentError('InvalidDecisionError', 'Decision must be confirm or decline');
+  }
+
+  const status = decision === 'confirm' ? 'confirmed' : 'declined';
+  await setStatus({ _id: contact._id }, status);
+  contact.status = status;
+  return contact;
+};
+
+/**
+ * Handle an SMS reply from `from` (E.164). Returns the text to answer with.
+ * Without a code the reply only applies when one invitation is pending for
+ * that number.
+ */
+const handleInboundReply = async (from, body) => {
+  const [keyword = '', code] = String(body || '').trim().toUpperCase().split(/\s+/);
+
+  if (OPT_OUT_KEYWORDS.includes(keyword)) {
+    const result = await setStatus({ phone: from }, 'declined');
+    return result.modifiedCount
+      ? 'You will not receive SmartSensrty emergency alerts.'
+      : null;
+  }
+
+  const isConfirm = CONFIRM_KEYWORDS.includes(keyword);
+  if (!isConfirm && !DECLINE_KEYWORDS.includes(keyword)) {
+    return 'Reply YES <code> to agree to emergency alerts, or NO <code> to decline.';
+  }
+
+  const filter = { phone: from, inviteCode: { $ne: null } };
+  if (code) {
+    filter.inviteCode = code;
+  } else {
+    filter.status = { $in: ['pending', 'bouncing'] };
+  }
+
+  const contacts = await TrustedContact.find(filter).populate('userId', 'name').limit(2);
+  if (contacts.length === 0) {
+    return code
+      ? 'That code does not match an invitation to this number.'
+      : 'There is no pending invitation for this number.';
+  }
+  if (contacts.length > 1) {
+    return 'You have more than one invitation. Reply YES or NO followed by the code from the message.';
+  }
+
+  const [contact] = contacts;
+  await respondToInvite(contact, isConfirm ? 'confirm' : 'decline');
+  const ownerName = (contact.userId && contact.userId.name) || 'this person';
+  return isConfirm
+    ? `Thanks. You will be alerted if ${ownerName} raises an SOS. Reply NO ${contact.inviteCode} to stop.`
+    : `You will not receive emergency alerts for ${ownerName}.`;
+};
+
+/**
+ * Mark the contact as bouncing after a failed delivery. A declined contact
+ * keeps its answer.
+ */
+const recordDeliveryFailure = async (contactId, reason) => {
+  if (!contactId) return;
+  await setStatus(
+    { _id: contactId, status: { $ne: 'declined' } },
+    'bouncing',
+    { deliveryError: String(reason || 'Message could not be delivered').slice(0, 200) }
+  );
+};
+
+/**
+ * A message reached a bouncing contact again: restore the status it had.
+ */
+const recordDelivered = async (contactId) => {
+  const contact = await TrustedContact.findOne({ _id: contactId, status: 'bouncing' });
+  if (!contact) return;
+  // Keep the original confirmation date
+  await setStatus({ _id: contact._id }, contact.confirmedAt ? 'confirmed' : 'pending', {
+    confirmedAt: contact.confirmedAt || null,
+  });
+};
+
+module.exports = {
+  deliveryStatusCallback,
+  sendInvite,
+  resolveInvite,
+  respondToInvite,
+  handleInboundReply,
+  recordDeliveryFailure,
+  recordDelivered,
+};
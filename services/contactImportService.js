@@ -0,0 +1,291 @@
+const TrustedContact = require('../models/TrustedContact');
+const { normalizePhoneNumber, regionForUser } = require('./phoneNumberService');
+const { sendInvite } = require('./contactConsentService');
+const { describeMember } = require('./trustedCircleService');
+
+const MAX_IMPORT_ENTRIES = 500;
+// Each new contact is sent an invitation SMS, so one import adds only a few
+const MAX_IMPORT_CREATES = 25;
+const DEFAULT_RELATION = 'Other';
+
+const importError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const cleanText = (value, max = 100) => String(value || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+// ============ vCard 3.0 / 4.0 ============
+
+const unescapeVCard = (value) =>
+  value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? ' ' : char));
+
+// "item1.TEL;TYPE=cell,pref:+1 555..." -> { name: 'TEL', params: { type: ['cell', 'pref'] }, value }
+const parseVCardLine = (line) => {
+  const colon = line.indexOf(':');
+  if (colon === -1) return null;
+
+  const [rawName, ...rawParams] = line.slice(0, colon).split(';');
+  const params = {};
+  for (const param of rawParams) {
+    const [key, value] = param.includes('=') ? param.split('=') : ['TYPE', param];
+    const values = value.replace(/"/g, '').toLowerCase().split(',');
+    params[key.toLowerCase()] = [...(params[key.toLowerCase()] || []), ...values];
+  }
+
+  return { name: rawName.split('.').pop().toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+// The number to import from a card: preferred, then mobile, then the first
+const pickPhone = (phones) => {
+  const score = ({ params }) => {
+    const types = params.type || [];
+    if (types.includes('pref') || params.pref) return 0;
+    if (types.includes('cell') || types.includes('mobile') || types.includes('iphone')) return 1;
+    return 2;
+  };
+  const [best] = [...phones].sort((a, b) => score(a) - score(b));
+  return best ? best.value : '';
+};
+
+const parseVCards = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const entries = [];
+  let card = null;
+
+  for (const line of lines) {
+    const property = parseVCardLine(line.trim());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VCARD') {
+      card = { fn: '', n: '', org: '', phones: [] };
+    } else if (property.name === 'END' && card) {
+      const [family = '', given = ''] = card.n.split(';');
+      entries.push({
+        name: cleanText(unescapeVCard(card.fn || `${given} ${family}`.trim() || card.org)),
+        phone: pickPhone(card.phones),
+        relation: '',
+      });
+      card = null;
+    } else if (card && property.name === 'FN') {
+      card.fn = property.value;
+    } else if (card && property.name === 'N') {
+      card.n = property.value;
+    } else if (card && property.name === 'ORG') {
+      card.org = property.value.split(';')[0];
+    } else if (card && property.name === 'TEL') {
+      card.phones.push({ params: property.params, value: property.value.replace(/^tel:/i, '') });
+    }
+  }
+
+  return entries;
+};
+
+// ============ CSV ============
+
+// RFC 4180: quoted fields may hold the delimiter, doubled quotes and newlines
+const parseCSVRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+
+  return rows.filter(cells => cells.some(cell => cell.trim()));
+};
+
+// Header names used by common exports (Google, Outlook, other safety apps)
+const CSV_COLUMNS = {
+  name: ['name', 'full name', 'display name', 'contact name'],
+  firstName: ['first name', 'given name'],
+  lastName: ['last name', 'family name', 'surname'],
+  phone: ['phone', 'phone number', 'mobile', 'mobile phone', 'mobile number', 'cell', 'telephone', 'tel', 'primary phone', 'phone 1 - value'],
+  relation: ['relation', 'relationship'],
+};
+
+const parseCSV = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  // Spreadsheets in many locales export with semicolons
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const [header = [], ...rows] = parseCSVRows(text, delimiter);
+
+  const headers = header.map(cell => cell.trim().toLowerCase().replace(/\s+/g, ' '));
+  const column = (field) => headers.findIndex(cell => CSV_COLUMNS[field].includes(cell));
+  const columns = Object.fromEntries(Object.keys(CSV_COLUMNS).map(field => [field, column(field)]));
+
+  if (columns.phone === -1 || (columns.name === -1 && columns.firstName === -1)) {
+    throw importError('ImportFormatError', 'The CSV needs a header row with a name and a phone column');
+  }
+
+  const cell = (row, field) => (columns[field] === -1 ? '' : row[columns[field]] || '');
+  return rows.map(row => ({
+    name: cleanText(cell(row, 'name') || `${cell(row, 'firstName')} ${cell(row, 'lastName')}`),
+    phone: cell(row, 'phone').trim(),
+    relation: cleanText(cell(row, 'relation'), 50),
+  }));
+};
+
+/**
+ * Parse an uploaded file into { format, entries: [{ name, phone, relation }] }.
+ * The format comes from the file name or type, else from the content.
+ */
+const parseContactFile = (text, { filename = '', mimetype = '' } = {}) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const isVCard = /\.(vcf|vcard)$/i.test(filename)
+    || /vcard/i.test(mimetype)
+    || /^\s*BEGIN:VCARD/i.test(content);
+
+  const format = isVCard ? 'vcard' : 'csv';
+  const entries = isVCard ? parseVCards(content) : parseCSV(content);
+
+  if (entries.length === 0) {
+    throw importError('ImportFormatError', 'No contacts found in the file');
+  }
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw importError('ImportTooLargeError', `Import at most ${MAX_IMPORT_ENTRIES} contacts at a time`);
+  }
+  return { format, entries };
+};
+
+// Phones already in the user's circle, as E.164, mapped to the member holding them
+const loadExistingPhones = async (userId, region) => {
+  const members = await TrustedContact.find({ userId }).select('name phone legacy').lean();
+
+  const existing = new Map();
+  for (const member of members) {
+    const phone = normalizePhoneNumber(member.phone, { region });
+    // Members migrated from guardians are still reported as such
+    const source = member.legacy && member.legacy.guardianId && !member.legacy.contactId ? 'guardian' : 'contact';
+    if (phone) existing.set(phone, { source, id: member._id, name: member.name });
+  }
+  return existing;
+};
+
+/**
+ * Classify each entry without writing anything. Numbers are normalised in
+ * the user's region; an entry is `create`, `duplicate` (of a member of the
+ * trusted circle, or of an earlier row) or `invalid`.
+ */
+const previewImport = async (user, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw importError('ImportFormatError', 'No contacts to import');
+  }
+  if (entries.length > MAX_IMPORT_ENTRIES) {
+    throw importError('ImportTooLargeError', `Import at most ${MAX_IMPORT_ENTRIES} contacts at a time`);
+  }
+
+  const region = regionForUser(user);
+  const existing = await loadExistingPhones(user._id, region);
+  const seen = new Map();
+
+  const rows = entries.map((entry, index) => {
+    const name = cleanText(entry && entry.name);
+    const relation = cleanText(entry && entry.relation, 50) || DEFAULT_RELATION;
+    const rawPhone = entry && entry.phone != null ? String(entry.phone).trim() : '';
+    const phone = normalizePhoneNumber(rawPhone, { region });
+    const row = { index, name, relation, phone, rawPhone };
+
+    if (!name) return { ...row, action: 'invalid', reason: 'Missing name' };
+    if (!phone) return { ...row, action: 'invalid', reason: rawPhone ? 'Not a valid phone number' : 'Missing phone number' };
+
+    const duplicateOf = existing.get(phone) || seen.get(phone);
+    if (duplicateOf) {
+      return { ...row, action: 'duplicate', duplicateOf, nameDiffers: duplicateOf.name !== name };
+    }
+
+    seen.set(phone, { source: 'import', index, name });
+    return { ...row, action: 'create' };
+  });
+
+  const count = (action) => rows.filter(row => row.action === action).length;
+  return {
+    region,
+    summary: { total: rows.length, create: count('create'), duplicate: count('duplicate'), invalid: count('invalid') },
+    entries: rows,
+  };
+};
+
+// One at a time, after the response: an import can invite a couple of dozen
+const sendImportInvites = async (contacts, user) => {
+  for (const contact of contacts) {
+    try {
+      await sendInvite(contact, user);
+    } catch (error) {
+      console.error(`❌ Failed to invite imported contact ${contact._id}:`, error.message);
+    }
+  }
+  console.log(`📨 Invited ${contacts.length} imported contacts for user ${user._id}`);
+};
+
+/**
+ * Create the `create` rows of a fresh preview of `entries` and invite each
+ * new contact in the background. Duplicates and invalid rows are skipped,
+ * so re-sending the same import is harmless. Rejects with
+ * ImportTooLargeError when more than MAX_IMPORT_CREATES would be created.
+ */
+const commitImport = async (user, entries) => {
+  const preview = await previewImport(user, entries);
+  const toCreate = preview.entries.filter(row => row.action === 'create');
+  if (toCreate.length > MAX_IMPORT_CREATES) {
+    throw importError('ImportTooLargeError', `Add at most ${MAX_IMPORT_CREATES} new contacts per import`);
+  }
+
+  const contacts = toCreate.length
+    ? await TrustedContact.insertMany(toCreate.map(row => ({
+      userId: user._id,
+      name: row.name,
+      relation: row.relation,
+      phone: row.phone,
+    })))
+    : [];
+
+  if (contacts.length) {
+    setImmediate(() => {
+      sendImportInvites(contacts, user).catch(error =>
+        console.error('❌ Imported contact invitations failed:', error.message)
+      );
+    });
+  }
+
+  return {
+    summary: { ...preview.summary, created: contacts.length },
+    created: contacts.map(describeMember),
+    skipped: preview.entries.filter(row => row.action !== 'create'),
+  };
+};
+
+module.exports = {
+  MAX_IMPORT_ENTRIES,
+  MAX_IMPORT_CREATES,
+  parseContactFile,
+  previewImport,
+  commitImport,
+};
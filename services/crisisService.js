@@ -0,0 +1,279 @@
+const SOS = require('../models/SOS');
+const User = require('../models/User');
+const CrisisDecision = require('../models/CrisisDecision');
+const { HELPLINES } = require('../config/safetyKnowledgeBase');
+const { completeChat, getChatProviders } = require('./chatProviderService');
+const { emergencyNumberFor } = require('./knowledgeBaseService');
+const { DEFAULT_REGION } = require('./phoneNumberService');
+const { triggerOfflineAlerts } = require('./offlineService');
+const { OPEN_STATUSES } = require('./sosLifecycleService');
+
+const CATEGORIES = ['imminent_danger', 'self_harm'];
+// A category at or above this score gets the crisis reply
+const OFFER_THRESHOLD = 0.6;
+// Imminent danger this certain raises a silent SOS, for users who opted in
+const SILENT_SOS_THRESHOLD = 0.85;
+// Weaker signals are still logged so reviewers can spot misses
+const LOG_THRESHOLD = 0.3;
+const MODEL_TIMEOUT_MS = parseInt(process.env.CRISIS_MODEL_TIMEOUT_MS) || 5000;
+const EXCERPT_LENGTH = 500;
+
+const crisisError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+// Each matching rule adds evidence; scores combine as 1 - (1 - a)(1 - b)...
+const RULES = [
+  // ============ IMMINENT DANGER ============
+  {
+    id: 'intruder_outside',
+    category: 'imminent_danger',
+    weight: 0.9,
+    pattern: /\b(?:he|she|they|someone|somebody|a man|a guy|my (?:ex|husband|boyfriend|partner|father|stepfather))(?:'s| is| are|'re)? (?:outside|banging on|kicking|trying to open|breaking) (?:my|the) (?:door|window|house|room|flat|apartment|car)\b/,
+  },
+  { id: 'someone_at_door', category: 'imminent_danger', weight: 0.4, pattern: /\b(?:someone|somebody|a man|a stranger) (?:is )?at (?:my|the) (?:door|window)\b/ },
+  { id: 'break_in', category: 'imminent_danger', weight: 0.85, pattern: /\b(?:breaking|broke|trying to (?:break|get|force his way|force their way)) in(?:to)?\b/ },
+  { id: 'weapon', category: 'imminent_danger', weight: 0.85, pattern: /\b(?:has|had|with|holding|pulled|got) (?:a |an )?(?:gun|knife|weapon|blade|pistol)\b/ },
+  {
+    id: 'threat',
+    category: 'imminent_danger',
+    weight: 0.9,
+    // A person as the subject, so "the deadline is going to kill me" doesn't count
+    pattern: /\b(?:he|she|they|someone|somebody|a man|a guy|this (?:man|guy)|my (?:ex|husband|boyfriend|partner|father|stepfather))(?:'s| is| are|'re| has| said he| said she)? (?:going to|gonna|will|wants to|threatening to|threatened to|trying to|about to) (?:kill|hurt|rape|attack|kidnap|beat|stab|shoot) me\b/,
+  },
+  { id: 'under_attack', category: 'imminent_danger', weight: 0.85, pattern: /\b(?:being|getting) (?:attacked|assaulted|raped|kidnapped|abducted|beaten|strangled)\b/ },
+  { id: 'followed_now', category: 'imminent_danger', weight: 0.6, pattern: /\b(?:is|are|keeps?) (?:following|chasing|stalking) me\b|\b(?:following|chasing) me (?:right )?now\b/ },
+  { id: 'trapped', category: 'imminent_danger', weight: 0.7, pattern: /\b(?:locked|trapped) (?:me )?(?:in|inside)\b|\bcan'?t (?:get out|escape|get away)\b/ },
+  { id: 'hiding', category: 'imminent_danger', weight: 0.8, pattern: /\b(?:i'?m|i am) hiding\b/ },
+  { id: 'fear_for_life', category: 'imminent_danger', weight: 0.85, pattern: /\b(?:scared|afraid|fear(?:ing)?) for my life\b/ },
+  { id: 'urgent_help', category: 'imminent_danger', weight: 0.5, pattern: /\b(?:help me|please help|need help) (?:now|right now|quick|fast|asap|please)\b|\bcall (?:the )?police\b/ },
+  { id: 'scared', category: 'imminent_danger', weight: 0.3, pattern: /\b(?:i'?m|i am) (?:so |really )?(?:scared|terrified)\b/ },
+
+  // ============ SELF-HARM ============
+  { id: 'harm_self', category: 'self_harm', weight: 0.9, pattern: /\b(?:kill|hurt|harm|cut|hang|poison) myself\b|\bend (?:my life|it all)\b|\btake my (?:own )?life\b/ },
+  { id: 'suicide', category: 'self_harm', weight: 0.8, pattern: /\bsuicid(?:e|al)\b/ },
+  { id: 'want_to_die', category: 'self_harm', weight: 0.85, pattern: /\b(?:want|wanna|going) to die\b|\bbetter off (?:dead|without me)\b|\bwish i (?:was|were) dead\b/ },
+  { id: 'no_will_to_live', category: 'self_harm', weight: 0.8, pattern: /\b(?:don'?t|do not|no longer) want to (?:live|be alive|be here|exist|wake up)\b|\bno (?:reason|point) (?:to|in) (?:live|living|going on)\b/ },
+  { id: 'overdose', category: 'self_harm', weight: 0.9, pattern: /\boverdos(?:e|ed|ing)\b|\btook (?:all|a lot of|too many) (?:of )?(?:my |the )?(?:pills|tablets|meds|medicine)\b/ },
+  { id: 'cant_go_on', category: 'self_harm', weight: 0.5, pattern: /\bcan'?t (?:go on|take (?:it|this) anymore)\b|\bsaying goodbye\b/ },
+];
+
+const SCORING_PROMPT = `You screen messages sent to a personal safety assistant.
+Rate how likely it is that the sender (or someone with them) is in danger right now,
+and how likely it is that they are at risk of suicide or self-harm.
+Reply with JSON only: {"imminent_danger": <0 to 1>, "self_harm": <0 to 1>}`;
+
+const normalize = (text) => String(text || '').toLowerCase().replace(/[‘’`]/g, "'").replace(/\s+/g, ' ');
+
+/**
+ * Score a message with the rules alone. Synchronous, so it works with no
+ * model at all.
+ */
+const scoreWithRules = (text) => {
+  const normalized = normalize(text);
+  const matched = RULES.filter(rule => rule.pattern.test(normalized));
+
+  const scores = {};
+  for (const category of CATEGORIES) {
+    const miss = matched
+      .filter(rule => rule.category === category)
+      .reduce((product, rule) => product * (1 - rule.weight), 1);
+    scores[category] = Number((1 - miss).toFixed(3));
+  }
+  return { scores, matchedRules: matched.map(rule => rule.id) };
+};
+
+// Ask the chat model for its own scores; throws when it can't give usable ones
+const scoreWithModel = async (text) => {
+  const { content, provider } = await completeChat([
+    { role: 'system', content: SCORING_PROMPT },
+    { role: 'user', content: text },
+  ], { fallback: false, maxTokens: 40, temperature: 0, timeoutMs: MODEL_TIMEOUT_MS });
+
+  const json = String(content).match(/\{[\s\S]*\}/);
+  const parsed = json ? JSON.parse(json[0]) : {};
+  const clamp = (value) => Math.min(1, Math.max(0, Number(value)));
+  if (!Number.isFinite(Number(parsed.imminent_danger)) || !Number.isFinite(Number(parsed.self_harm))) {
+    throw new Error('Unusable scores from the model');
+  }
+  return { provider, imminent_danger: clamp(parsed.imminent_danger), self_harm: clamp(parsed.self_harm) };
+};
+
+const modelScoringEnabled = () =>
+  process.env.CRISIS_MODEL_SCORING === 'true' && !getChatProviders()[0].offline;
+
+/**
+ * Classify a chat message. Rules always run; with CRISIS_MODEL_SCORING=true
+ * the chat model scores it too and each category takes the higher score, so
+ * the model can catch what the rules miss but never clears a rule hit.
+ * Resolves with { categories, scores, matchedRules, model, topScore }.
+ */
+const assessMessage = async (text) => {
+  const { scores, matchedRules } = scoreWithRules(text);
+
+  let model = null;
+  if (modelScoringEnabled()) {
+    try {
+      const modelScores = await scoreWithModel(text);
+      model = { provider: modelScores.provider, imminentDanger: modelScores.imminent_danger, selfHarm: modelScores.self_harm };
+      for (const category of CATEGORIES) {
+        scores[category] = Math.max(scores[category], modelScores[category]);
+      }
+    } catch (error) {
+      console.error('❌ Crisis model scoring failed:', error.message);
+      model = { error: error.message };
+    }
+  }
+
+  return {
+    categories: CATEGORIES.filter(category => scores[category] >= OFFER_THRESHOLD),
+    scores,
+    matchedRules,
+    model,
+    topScore: Math.max(...Object.values(scores)),
+  };
+};
+
+const helplinesFor = (region, categories) =>
+  (HELPLINES[region] || HELPLINES[DEFAULT_REGION])
+    .filter(helpline => helpline.categories.some(category => categories.includes(category)))
+    .map(({ name, number }) => ({ name, number, tel: `tel:${number.replace(/[^\d+]/g, '')}` }));
+
+const buildCrisisReply = (categories, { emergencyNumber, helplines, decision }) => {
+  const parts = [];
+  if (categories.includes('imminent_danger')) {
+    if (decision === 'silent_sos') {
+      parts.push(`Your trusted circle has been sent a silent SOS. If you can, call ${emergencyNumber}.`);
+    } else if (decision === 'sos_already_active') {
+      parts.push(`Your SOS is still active and your trusted circle has been alerted. If you can, call ${emergencyNumber}.`);
+    } else {
+      parts.push(`This sounds urgent. If you are in danger right now, press "Send SOS" to alert your trusted circle, or call ${emergencyNumber}.`);
+    }
+    parts.push('Get somewhere others can see you, or lock yourself in a room, and keep your phone with you.');
+  }
+  if (categories.includes('self_harm')) {
+    const crisisLine = helplines.find(helpline => helpline.name !== 'Emergency');
+    parts.push("I'm really sorry you're going through this. You don't have to face it alone.");
+    parts.push(crisisLine
+      ? `Please talk to ${crisisLine.name} on ${crisisLine.number} now. It's free and confidential.`
+      : 'Please talk to someone you trust now.');
+    parts.push(`If you might act on these thoughts, call ${emergencyNumber} or go to the nearest hospital.`);
+  }
+  return parts.join(' ');
+};
+
+/**
+ * Reuse the active SOS if there is one; otherwise raise one from the chat and
+ * alert the trusted circle. Silent unless `silent: false` (an SOS the user
+ * confirmed from an assistant proposal). A duress SOS is never reused: to
+ * whoever holds the phone it was cancelled, so the chat acts as if nothing
+ * were running.
+ */
+const raiseChatSOS = async (user, { coordinates, silent = true } = {}) => {
+  const active = await SOS.findOne({ userId: user._id, status: { $in: OPEN_STATUSES }, duress: { $ne: true } })
+    .sort({ timestamp: -1 });
+  if (active) return { sos: active, created: false };
+
+  const sos = await SOS.create({
+    userId: user._id,
+    type: 'chat',
+    location: 'Reported in assistant chat',
+    coordinates,
+    silent,
+  });
+  console.warn(`🚨 Danger reported in chat by user ${user._id}, ${silent ? 'silent ' : ''}SOS ${sos._id}`);
+
+  setImmediate(() => {
+    triggerOfflineAlerts(user._id, {
+      sosId: sos._id,
+      emergencyType: silent ? 'Danger reported in chat (silent)' : 'Danger reported in chat',
+      userLocation: coordinates,
+    }).catch(err => console.error('❌ Chat SOS alert failed:', err.message));
+  });
+  return { sos, created: true };
+};
+
+/**
+ * Act on an assessment: work out the crisis reply, raise a silent SOS when
+ * the user opted in and the danger is clear, and log the decision. Resolves
+ * with { reply, crisis } for a positive assessment, or null.
+ */
+const respondToCrisis = async (userId, assessment, { message, conversationId, region = DEFAULT_REGION, coordinates } = {}) => {
+  const { categories } = assessment;
+  let decision = categories.length ? 'offered_help' : 'none';
+  let sos = null;
+
+  if (categories.includes('imminent_danger') && assessment.scores.imminent_danger >= SILENT_SOS_THRESHOLD) {
+    const user = await User.findById(userId).select('chatSafety');
+    if (user && user.chatSafety && user.chatSafety.autoSilentSOS) {
+      const raised = await raiseChatSOS(user, { coordinates });
+      sos = raised.sos;
+      decision = raised.created ? 'silent_sos' : 'sos_already_active';
+    }
+  }
+
+  let logged = null;
+  if (assessment.topScore >= LOG_THRESHOLD) {
+    try {
+      logged = await CrisisDecision.create({
+        userId,
+        conversationId,
+        messageExcerpt: String(message || '').slice(0, EXCERPT_LENGTH),
+        region,
+        categories,
+        scores: { imminentDanger: assessment.scores.imminent_danger, selfHarm: assessment.scores.self_harm },
+        matchedRules: assessment.matchedRules,
+        model: assessment.model || undefined,
+        decision,
+        sosId: sos ? sos._id : undefined,
+      });
+    } catch (error) {
+      console.error('❌ Failed to log crisis decision:', error.message);
+    }
+  }
+  if (!categories.length) return null;
+
+  const emergencyNumber = emergencyNumberFor(region);
+  const helplines = helplinesFor(region, categories);
+  return {
+    reply: buildCrisisReply(categories, { emergencyNumber, helplines, decision }),
+    crisis: {
+      categories,
+      decisionId: logged ? logged._id : null,
+      actions: [
+        { type: 'start_sos', label: 'Send SOS', method: 'POST', endpoint: '/api/sos/start', body: { type: 'panic' } },
+        { type: 'call', label: `Call ${emergencyNumber}`, tel: `tel:${emergencyNumber}` },
+      ],
+      helplines,
+      sos: sos ? { sosId: sos._id, started: decision === 'silent_sos', silent: Boolean(sos.silent) } : null,
+    },
+  };
+};
+
+const getChatSafety = (user) => ({
+  autoSilentSOS: Boolean(user.chatSafety && user.chatSafety.autoSilentSOS),
+  updatedAt: (user.chatSafety && user.chatSafety.updatedAt) || null,
+});
+
+const updateChatSafety = async (userId, { autoSilentSOS } = {}) => {
+  if (typeof autoSilentSOS !== 'boolean') {
+    throw crisisError('InvalidChatSafetyError', 'autoSilentSOS must be true or false');
+  }
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { 'chatSafety.autoSilentSOS': autoSilentSOS, 'chatSafety.updatedAt': new Date() } },
+    { new: true }
+  ).select('chatSafety');
+  return user ? getChatSafety(user) : null;
+};
+
+module.exports = {
+  scoreWithRules,
+  assessMessage,
+  respondToCrisis,
+  raiseChatSOS,
+  getChatSafety,
+  updateChatSafety,
+};
@@ -0,0 +1,135 @@
+const bcrypt = require('bcryptjs');
+const SOS = require('../models/SOS');
+const { triggerOfflineAlerts } = require('./offlineService');
+const { OPEN_STATUSES, isOpen } = require('./sosLifecycleService');
+const { checkAttempt, recordFailure, recordSuccess } = require('./loginAttemptService');
+
+const PIN_PATTERN = /^\d{4,8}$/;
+
+const isValidPin = (pin) => typeof pin === 'string' && PIN_PATTERN.test(pin);
+
+const hashPin = async (pin) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(pin, salt);
+};
+
+/**
+ * Compare a PIN against the user's normal and duress PINs.
+ * Returns 'normal', 'duress' or null. Both hashes are always checked so the
+ * response time does not reveal which PIN was entered.
+ * The user must be loaded with `.select('+pin +duressPin')`.
+ */
+const matchPin = async (user, pin) => {
+  if (typeof pin !== 'string') return null;
+
+  const [isNormal, isDuress] = await Promise.all([
+    user.pin ? bcrypt.compare(pin, user.pin) : Promise.resolve(false),
+    user.duressPin ? bcrypt.compare(pin, user.duressPin) : Promise.resolve(false),
+  ]);
+
+  if (isDuress) return 'duress';
+  if (isNormal) return 'normal';
+  return null;
+};
+
+/**
+ * matchPin for a PIN entered in the app, with wrong guesses backing off per
+ * user like failed logins. Resolves { match, retryAfter }; retryAfter is set
+ * while the user is locked out, and then only the duress PIN still matches,
+ * so the caller can raise its alarm and answer exactly as for any PIN.
+ */
+const checkPin = async (user, pin, { ip } = {}) => {
+  const attempt = { account: `pin:${user._id}`, ip };
+  const { allowed, retryAfter } = await checkAttempt(attempt);
+  const match = await matchPin(user, pin);
+
+  if (!allowed) return { match: match === 'duress' ? 'duress' : null, retryAfter };
+
+  if (match) await recordSuccess(attempt);
+  else await recordFailure(attempt);
+  return { match, retryAfter: 0 };
+};
+
+/**
+ * Keep (or create) a silent SOS for a user who entered their duress PIN.
+ * Pass `sos` when the duress PIN was used to "cancel" or "resolve" an
+ * existing alarm; otherwise the user's latest open SOS is reused. A closed
+ * SOS is never reopened: a new one is created instead.
+ * Contacts are alerted in the background so the caller can answer at once.
+ */
+const raiseDuressSOS = async (user, { sos, coordinates, location } = {}) => {
+  let sosRecord = sos && isOpen(sos)
+    ? sos
+    : await SOS.findOne({ userId: user._id, status: { $in: OPEN_STATUSES } }).sort({ timestamp: -1 });
+
+  if (sosRecord) {
+    if (!sosRecord.duressAt) {
+      sosRecord.duressAt = new Date();
+      sosRecord.silentBeforeDuress = Boolean(sosRecord.silent);
+    }
+    sosRecord.silent = true;
+    sosRecord.duress = true;
+    if (coordinates && !sosRecord.coordinates?.latitude) sosRecord.coordinates = coordinates;
+    await sosRecord.save();
+  } else {
+    sosRecord = await SOS.create({
+      userId: user._id,
+      type: 'duress',
+      location: location || 'Unknown location',
+      coordinates,
+      silent: true,
+      duress: true,
+      duressAt: new Date(),
+    });
+  }
+
+  console.warn(`🚨 Duress PIN used by user ${user._id}, silent SOS ${sosRecord._id}`);
+
+  setImmediate(() => {
+    triggerOfflineAlerts(user._id, {
+      sosId: sosRecord._id,
+      emergencyType: 'Duress (silent)',
+      userLocation: sosRecord.coordinates || coordinates,
+    }).catch(err => console.error('❌ Duress alert failed:', err.message));
+  });
+
+  return sosRecord;
+};
+
+/**
+ * How an SOS looks to its owner, who may be the one being coerced. An open
+ * SOS touched by the duress PIN is shown cancelled, with a cancel event at
+ * the moment the PIN was entered; once it is really closed it is shown as
+ * it is. SOS records the duress PIN raised on its own never reach the owner
+ * (see OWNER_HIDDEN_TYPES).
+ */
+const ownerView = (sos) => {
+  const events = sos.events || [];
+  if (!sos.duressAt || !isOpen(sos)) {
+    return { status: sos.status, silent: sos.silent, resolvedAt: sos.resolvedAt || null, events };
+  }
+  const before = events.filter(event => event.at <= sos.duressAt);
+  const last = before[before.length - 1];
+  return {
+    status: 'cancelled',
+    silent: Boolean(sos.silentBeforeDuress),
+    resolvedAt: sos.duressAt,
+    events: [
+      ...before,
+      { type: 'cancel', from: (last && last.to) || 'triggered', to: 'cancelled', actor: { kind: 'owner' }, at: sos.duressAt },
+    ],
+  };
+};
+
+// The owner never saw these start, so their own views leave them out
+const OWNER_HIDDEN_TYPES = ['duress'];
+
+module.exports = {
+  OWNER_HIDDEN_TYPES,
+  ownerView,
+  isValidPin,
+  hashPin,
+  matchPin,
+  checkPin,
+  raiseDuressSOS,
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const EmergencyCard = require('../models/EmergencyCard');
+const SOS = require('../models/SOS');
+const User = require('../models/User');
+const { hashToken } = require('./tokenService');
+const { triggerOfflineAlerts } = require('./offlineService');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+const { OPEN_STATUSES } = require('./sosLifecycleService');
+
+const MAX_ACTIVE_CARDS = 5;
+// Presses within this window add to the same SOS instead of alerting again
+const DEDUPE_WINDOW_MS = 30 * 60 * 1000;
+// The help form must be submitted from a page loaded 2s - 30min earlier
+const FORM_MIN_AGE_MS = 2 * 1000;
+const FORM_MAX_AGE_MS = 30 * 60 * 1000;
+
+const cardError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const getFormSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const cardUrl = (token) => `${getApiBaseUrl()}/api/emergency-cards/scan/${token}`;
+
+const describeCard = (card) => ({
+  id: card._id,
+  label: card.label,
+  active: !card.revokedAt,
+  createdAt: card.createdAt,
+  revokedAt: card.revokedAt || null,
+  lastUsedAt: card.lastUsedAt || null,
+  alertCount: card.alertCount,
+});
+
+/**
+ * Create a card for printing. The token (and URL for the QR code or NFC
+ * tag) is returned only here; the database keeps its hash.
+ */
+const createCard = async (user, { label } = {}) => {
+  const active = await EmergencyCard.countDocuments({ userId: user._id, revokedAt: null });
+  if (active >= MAX_ACTIVE_CARDS) {
+    throw cardError('CardLimitError', `You can have at most ${MAX_ACTIVE_CARDS} active cards`);
+  }
+
+  // 16 bytes keeps the URL short enough for small NFC tags
+  const token = crypto.randomBytes(16).toString('base64url');
+  const card = await EmergencyCard.create({
+    userId: user._id,
+    label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 60) : undefined,
+    tokenHash: hashToken(token),
+  });
+
+  return { card: describeCard(card), token, url: cardUrl(token) };
+};
+
+const listCards = async (userId) => {
+  const cards = await EmergencyCard.find({ userId }).sort({ createdAt: -1 });
+  return cards.map(describeCard);
+};
+
+const revokeCard = async (userId, cardId) => {
+  const card = await EmergencyCard.findOneAndUpdate(
+    { _id: cardId, userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  return card ? describeCard(card) : null;
+};
+
+/**
+ * Resolve a scanned token to { card, user }. Rejects with
+ * InvalidCardError for unknown or revoked cards.
+ */
+const resolveCard = async (token) => {
+  if (typeof token !== 'string' || token.length > 64) {
+    throw cardError('InvalidCardError', 'This card is not valid');
+  }
+
+  const card = await EmergencyCard.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  const user = card && (await User.findById(card.userId));
+  if (!card || !user || user.deletedAt) {
+    throw cardError('InvalidCardError', 'This card is not valid');
+  }
+  return { card, user };
+};
+
+// Proof that the help button was pressed on the page we served, not scripted blind
+const signForm = (card, issuedAt) =>
+  crypto.createHmac('sha256', getFormSecret()).update(`${card._id}:${issuedAt}`).digest('base64url');
+
+const issueFormToken = (card) => {
+  const issuedAt = Date.now();
+  return `${issuedAt}.${signForm(card, issuedAt)}`;
+};
+
+const verifyFormToken = (card, formToken) => {
+  const [issuedAtText, signature] = String(formToken || '').split('.');
+  const issuedAt = Number(issuedAtText);
+  if (!issuedAt || !signature) return false;
+
+  const expected = Buffer.from(signForm(card, issuedAt));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return false;
+
+  const age = Date.now() - issuedAt;
+  return age >= FORM_MIN_AGE_MS && age <= FORM_MAX_AGE_MS;
+};
+
+const parseCoordinates = ({ latitude, longitude }) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  if (latitude == null || longitude == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+  return { latitude: lat, longitude: lng };
+};
+
+/**
+ * Raise a 'card' SOS for the card owner and alert their contacts. A second
+ * press within DEDUPE_WINDOW_MS updates the open SOS (e.g. a better
+ * location) without alerting again. Resolves with { sos, deduplicated }.
+ */
+const raiseCardSOS = async (card, user, { coordinates, accuracy, ip, userAgent }) => {
+  const validAccuracy = Number.isFinite(Number(accuracy)) && Number(accuracy) >= 0 ? Number(accuracy) : undefined;
+
+  const open = await SOS.findOne({
+    userId: user._id,
+    type: 'card',
+    status: { $in: OPEN_STATUSES },
+    createdAt: { $gt: new Date(Date.now() - DEDUPE_WINDOW_MS) },
+  }).sort({ createdAt: -1 });
+
+  card.lastUsedAt = new Date();
+
+  if (open) {
+    if (coordinates) {
+      open.coordinates = coordinates;
+      open.location = `${coordinates.latitude}, ${coordinates.longitude}`;
+      if (validAccuracy !== undefined) open.bystander.accuracy = validAccuracy;
+    }
+    open.bystander.reports = (open.bystander.reports || 1) + 1;
+    await Promise.all([open.save(), card.save()]);
+    return { sos: open, deduplicated: true };
+  }
+
+  const sos = await SOS.create({
+    userId: user._id,
+    type: 'card',
+    location: coordinates ? `${coordinates.latitude}, ${coordinates.longitude}` : 'Location not shared by bystander',
+    coordinates: coordinates || undefined,
+    bystander: { cardId: card._id, ip, userAgent, accuracy: validAccuracy, reports: 1 },
+  });
+
+  card.alertCount += 1;
+  await card.save();
+
+  console.warn(`🚨 Bystander raised card SOS ${sos._id} for user ${user._id}`);
+
+  setImmediate(() => {
+    triggerOfflineAlerts(user._id, {
+      sosId: sos._id,
+      emergencyType: 'Bystander reported via emergency card',
+      userLocation: coordinates,
+    }).catch(err => console.error('❌ Card SOS alert failed:', err.message));
+  });
+
+  return { sos, deduplicated: false };
+};
+
+module.exports = {
+  MAX_ACTIVE_CARDS,
+  createCard,
+  listCards,
+  revokeCard,
+  resolveCard,
+  issueFormToken,
+  verifyFormToken,
+  parseCoordinates,
+  raiseCardSOS,
+};
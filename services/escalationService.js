@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const TrustedContact = require('../models/TrustedContact');
+const SOS = require('../models/SOS');
+const User = require('../models/User');
+const { sendSMS, sendEmergencySMS, placeCall } = require('./offlineService');
+const { deliveryStatusCallback, recordDeliveryFailure } = require('./contactConsentService');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+const { recordAlerted, recordResponse } = require('./trustedCircleService');
+const { OPEN_STATUSES, isOpen, advanceStatus } = require('./sosLifecycleService');
+
+const DEFAULT_POLICY = {
+  tierWaitMinutes: 5,
+  notifyVolunteers: true,
+  volunteerRadiusMeters: 5000,
+};
+
+const MAX_VOLUNTEERS = 10;
+// A worker that claims a due escalation holds it this long before another may retry
+const CLAIM_LEASE_MS = 2 * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.ESCALATION_POLL_SECONDS || 30) * 1000;
+
+const escalationError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const getAckSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+/**
+ * The user's policy with defaults filled in
+ */
+const getPolicy = (user) => {
+  const stored = (user && user.escalationPolicy) || {};
+  return {
+    tierWaitMinutes: stored.tierWaitMinutes || DEFAULT_POLICY.tierWaitMinutes,
+    notifyVolunteers: stored.notifyVolunteers !== undefined ? stored.notifyVolunteers : DEFAULT_POLICY.notifyVolunteers,
+    volunteerRadiusMeters: stored.volunteerRadiusMeters || DEFAULT_POLICY.volunteerRadiusMeters,
+  };
+};
+
+/**
+ * Validate a policy update. Returns { policy } or { error }.
+ */
+const validatePolicy = (input = {}) => {
+  const policy = {};
+  const { tierWaitMinutes, notifyVolunteers, volunteerRadiusMeters } = input;
+
+  if (tierWaitMinutes !== undefined) {
+    if (!Number.isInteger(tierWaitMinutes) || tierWaitMinutes < 1 || tierWaitMinutes > 60) {
+      return { error: 'tierWaitMinutes must be a whole number from 1 to 60' };
+    }
+    policy.tierWaitMinutes = tierWaitMinutes;
+  }
+  if (notifyVolunteers !== undefined) {
+    if (typeof notifyVolunteers !== 'boolean') {
+      return { error: 'notifyVolunteers must be true or false' };
+    }
+    policy.notifyVolunteers = notifyVolunteers;
+  }
+  if (volunteerRadiusMeters !== undefined) {
+    if (!Number.isFinite(volunteerRadiusMeters) || volunteerRadiusMeters < 500 || volunteerRadiusMeters > 20000) {
+      return { error: 'volunteerRadiusMeters must be between 500 and 20000' };
+    }
+    policy.volunteerRadiusMeters = volunteerRadiusMeters;
+  }
+
+  return { policy };
+};
+
+const updatePolicy = async (userId, input) => {
+  const { policy, error } = validatePolicy(input);
+  if (error) throw escalationError('InvalidPolicyError', error);
+
+  const $set = { 'escalationPolicy.updatedAt': new Date() };
+  for (const [key, value] of Object.entries(policy)) $set[`escalationPolicy.${key}`] = value;
+
+  const user = await User.findByIdAndUpdate(userId, { $set }, { new: true });
+  return user ? getPolicy(user) : null;
+};
+
+// Signed "<sosId>.<contactId>.<hmac>" token behind a contact's acknowledge link
+const signAck = (sosId, contactId) => {
+  const payload = `${sosId}.${contactId}`;
+  const mac = crypto.createHmac('sha256', getAckSecret()).update(`ack:${payload}`).digest('base64url');
+  return `${payload}.${mac}`;
+};
+
+const verifyAck = (token) => {
+  const [sosId, contactId, mac] = String(token || '').split('.');
+  if (!sosId || !contactId || !mac) return null;
+
+  const expected = signAck(sosId, contactId).split('.')[2];
+  const a = Buffer.from(mac);
+  const b = Buffer.from(expected);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+  return { sosId, contactId };
+};
+
+const ackUrl = (sos, contact) => `${getApiBaseUrl()}/api/trusted-circle/alerts/${signAck(sos._id, contact._id)}`;
+
+// Members grouped by tier, lowest first; declined and paused members are never alerted
+const loadTiers = async (userId) => {
+  const contacts = await TrustedContact.find({ userId, status: { $ne: 'declined' }, isActive: { $ne: false } })
+    .sort({ tier: 1, createdAt: 1 });
+  const tiers = new Map();
+  for (const contact of contacts) {
+    const tier = contact.tier || 1;
+    if (!tiers.has(tier)) tiers.set(tier, []);
+    tiers.get(tier).push(contact);
+  }
+  return tiers;
+};
+
+// The longest wait any contact in the tier asked for
+const tierWaitMs = (contacts, policy) =>
+  Math.max(...contacts.map(contact => contact.waitMinutes || policy.tierWaitMinutes)) * 60 * 1000;
+
+const callMessage = (userName, emergencyType) =>
+  `Emergency alert from SmartSensrty. ${userName} needs help. ${emergencyType}. Check your text messages for their location.`;
+
+/**
+ * Alert one group of contacts on each of their channels. Numbers Twilio
+ * refused are flagged as bouncing. Resolves with the sendEmergencySMS
+ * result plus `notifications` entries for the SOS.
+ */
+const alertContacts = async (user, contacts, alertData, { sos, tier } = {}) => {
+  const smsContacts = contacts.filter(contact => (contact.channels || ['sms']).includes('sms'));
+  const callContacts = contacts.filter(contact => (contact.channels || []).includes('call'));
+
+  const smsResult = await sendEmergencySMS(
+    smsContacts.map(contact => ({
+      id: String(contact._id),
+      name: contact.name,
+      phone: contact.phone,
+      status: contact.status,
+      statusCallback: deliveryStatusCallback(contact),
+      ackUrl: sos ? ackUrl(sos, contact) : undefined,
+    })),
+    { ...alertData, userName: user.name, phoneNumber: user.mobile }
+  );
+
+  const now = new Date();
+  const notifications = (smsResult.results || []).map(result => ({
+    contactId: result.id,
+    name: result.contact,
+    tier,
+    channel: 'sms',
+    sentAt: now,
+    success: result.success,
+    unconfirmed: result.unconfirmed,
+    error: result.error,
+  }));
+
+  for (const contact of callContacts) {
+    const entry = { contactId: contact._id, name: contact.name, tier, channel: 'call', sentAt: now, unconfirmed: contact.status !== 'confirmed' };
+    try {
+      await placeCall(contact.phone, callMessage(user.name, alertData.emergencyType));
+      notifications.push({ ...entry, success: true });
+    } catch (error) {
+      console.error(`❌ Failed to call ${contact.name}:`, error.message);
+      notifications.push({ ...entry, success: false, error: error.message });
+    }
+  }
+
+  for (const result of smsResult.results || []) {
+    if (result.deliveryError) await recordDeliveryFailure(result.id, result.error);
+  }
+  await recordAlerted(contacts.map(contact => contact._id));
+
+  return { ...smsResult, calls: callContacts.length, notifications };
+};
+
+/**
+ * Alert the lowest contact tier for a new SOS and schedule the next one.
+ * Resolves with the tier's alert result.
+ */
+const startEscalation = async (sosId, user, alertData = {}) => {
+  const sos = await SOS.findById(sosId);
+  if (!sos) throw new Error('SOS not found');
+
+  const tiers = await loadTiers(user._id);
+  const policy = getPolicy(user);
+  sos.escalation = { emergencyType: alertData.emergencyType, notifications: [] };
+
+  if (tiers.size === 0) {
+    console.warn(`⚠️ No emergency contacts for SOS ${sos._id}, going straight to volunteers`);
+    sos.escalation.nextAt = new Date();
+    await sos.save();
+    return { sent: 0, failed: 0, unconfirmed: 0, results: [], notifications: [] };
+  }
+
+  const [tier, contacts] = tiers.entries().next().value;
+  const result = await alertContacts(user, contacts, alertData, { sos, tier });
+
+  sos.escalation.tier = tier;
+  sos.escalation.notifications = result.notifications;
+  // Nobody could be reached: don't wait before trying the next tier
+  const reached = result.notifications.some(notification => notification.success);
+  sos.escalation.nextAt = new Date(Date.now() + (reached ? tierWaitMs(contacts, policy) : 0));
+  await sos.save();
+  if (reached) await advanceStatus(sos._id, 'dispatch');
+
+  console.log(`📣 SOS ${sos._id}: tier ${tier} alerted, next step at ${sos.escalation.nextAt.toISOString()}`);
+  return result;
+};
+
+const alertVolunteers = async (sos, user, policy) => {
+  const { coordinates } = sos;
+  if (!policy.notifyVolunteers || !coordinates || coordinates.latitude == null) return 0;
+
+  const volunteers = await User.find({
+    _id: { $ne: user._id },
+    isVolunteer: true,
+    mobile: { $exists: true, $ne: '' },
+    volunteerLastActive: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+    volunteerLocation: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: [coordinates.longitude, coordinates.latitude] },
+        $maxDistance: policy.volunteerRadiusMeters,
+      },
+    },
+  })
+    .select('name mobile')
+    .limit(MAX_VOLUNTEERS);
+
+  const mapsUrl = `https://maps.google.com/?q=${coordinates.latitude},${coordinates.longitude}`;
+  const results = await Promise.allSettled(volunteers.map(volunteer =>
+    sendSMS(
+      volunteer.mobile,
+      `🚨 SmartSensrty volunteer alert: someone near you needs help and their contacts have not responded.\nType: ${sos.escalation.emergencyType || sos.type}\nLocation: ${mapsUrl}`
+    )
+  ));
+  return results.filter(result => result.status === 'fulfilled').length;
+};
+
+/**
+ * Take the next step for one claimed SOS: the next contact tier, then
+ * volunteers, then stop.
+ */
+const advanceEscalation = async (sos) => {
+  const user = await User.findById(sos.userId);
+  if (!user || !isOpen(sos) || sos.escalation.acknowledgedAt) {
+    sos.escalation.nextAt = undefined;
+    sos.escalation.completedAt = new Date();
+    await sos.save();
+    return;
+  }
+
+  const policy = getPolicy(user);
+  const tiers = await loadTiers(user._id);
+  const next = [...tiers.entries()].find(([tier]) => tier > (sos.escalation.tier || 0));
+  const alertData = {
+    emergencyType: `${sos.escalation.emergencyType || sos.type} (no response from earlier contacts)`,
+    userLocation: sos.coordinates,
+  };
+
+  if (next) {
+    const [tier, contacts] = next;
+    const result = await alertContacts(user, contacts, alertData, { sos, tier });
+    const reached = result.notifications.some(notification => notification.success);
+    sos.escalation.tier = tier;
+    sos.escalation.notifications = [...(sos.escalation.notifications || []), ...result.notifications];
+    sos.escalation.nextAt = new Date(Date.now() + (reached ? tierWaitMs(contacts, policy) : 0));
+    await sos.save();
+    if (reached) await advanceStatus(sos._id, 'dispatch');
+    console.log(`📣 SOS ${sos._id}: escalated to tier ${tier}`);
+    return;
+  }
+
+  if (!sos.escalation.volunteersAlertedAt) {
+    sos.escalation.volunteersAlerted = await alertVolunteers(sos, user, policy);
+    sos.escalation.volunteersAlertedAt = new Date();
+    console.log(`📣 SOS ${sos._id}: escalated to ${sos.escalation.volunteersAlerted} volunteers`);
+  }
+  sos.escalation.nextAt = undefined;
+  sos.escalation.completedAt = new Date();
+  await sos.save();
+  if (sos.escalation.volunteersAlerted) await advanceStatus(sos._id, 'dispatch');
+};
+
+/**
+ * Advance every escalation that is due. Each SOS is claimed atomically, so
+ * several instances can run this side by side.
+ */
+const processDueEscalations = async () => {
+  let processed = 0;
+  for (;;) {
+    const now = new Date();
+    const sos = await SOS.findOneAndUpdate(
+      { 'escalation.nextAt': { $lte: now }, 'escalation.completedAt': null },
+      { $set: { 'escalation.nextAt': new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!sos) return processed;
+
+    try {
+      await advanceEscalation(sos);
+    } catch (error) {
+      // The lease runs out and the step is retried
+      console.error(`❌ Escalation step failed for SOS ${sos._id}:`, error.message);
+    }
+    processed += 1;
+  }
+};
+
+let workerTimer = null;
+
+/**
+ * Poll for due escalations every ESCALATION_POLL_SECONDS (default 30)
+ */
+const startEscalationWorker = () => {
+  if (workerTimer) return workerTimer;
+  workerTimer = setInterval(() => {
+    processDueEscalations().catch(error => console.error('❌ Escalation worker error:', error.message));
+  }, POLL_INTERVAL_MS);
+  workerTimer.unref();
+  return workerTimer;
+};
+
+const stopEscalationWorker = () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+};
+
+/**
+ * Record a contact's acknowledgement. The first one stops the escalation
+ * and moves the SOS to acknowledged; later ones are accepted without
+ * changing who acknowledged first.
+ */
+const acknowledgeAlert = async ({ sosId, contactId }) => {
+  const contact = await TrustedContact.findById(contactId);
+  const sos = contact && (await SOS.findOne({ _id: sosId, userId: contact.userId }).populate('userId', 'name'));
+  if (!sos || !sos.escalation) {
+    throw escalationError('InvalidAckError', 'This alert link is not valid');
+  }
+
+  if (!sos.escalation.acknowledgedAt) {
+    await SOS.updateOne(
+      { _id: sos._id, 'escalation.acknowledgedAt': null },
+      {
+        $set: {
+          'escalation.acknowledgedAt': new Date(),
+          'escalation.acknowledgedBy': { contactId: contact._id, name: contact.name },
+          'escalation.completedAt': new Date(),
+        },
+        $unset: { 'escalation.nextAt': 1 },
+      }
+    );
+    console.log(`✅ SOS ${sos._id} acknowledged by contact ${contact._id}`);
+    await advanceStatus(sos._id, 'acknowledge', { kind: 'contact', contactId: contact._id, name: contact.name });
+  }
+
+  const notification = (sos.escalation.notifications || [])
+    .find(entry => String(entry.contactId) === String(contact._id));
+  const alreadyRecorded = contact.responseHistory.some(entry => entry.sosEventId === String(sos._id));
+  if (!alreadyRecorded) {
+    await recordResponse(contact._id, { sosId: sos._id, notifiedAt: notification && notification.sentAt });
+  }
+
+  return { sos, contact };
+};
+
+/**
+ * ACK by SMS: acknowledge the most recent open escalation that alerted this number
+ */
+const acknowledgeBySMS = async (from) => {
+  const contacts = await TrustedContact.find({ phone: from }).select('_id');
+  if (contacts.length === 0) return null;
+
+  const sos = await SOS.findOne({
+    status: { $in: OPEN_STATUSES },
+    'escalation.completedAt': null,
+    'escalation.notifications.contactId': { $in: contacts.map(contact => contact._id) },
+  }).sort({ createdAt: -1 });
+  if (!sos) return null;
+
+  const notified = sos.escalation.notifications.find(notification =>
+    contacts.some(contact => String(contact._id) === String(notification.contactId))
+  );
+  return acknowledgeAlert({ sosId: sos._id, contactId: notified.contactId });
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  verifyAck,
+  alertContacts,
+  startEscalation,
+  processDueEscalations,
+  startEscalationWorker,
+  stopEscalationWorker,
+  acknowledgeAlert,
+  acknowledgeBySMS,
+};
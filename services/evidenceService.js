@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { getStorage, signedUrl } = require('./storageService');
+
+// Evidence links are short-lived; the app asks again when it needs a new one
+const EVIDENCE_URL_TTL_SECONDS = 15 * 60;
+
+const safeName = (name) => String(name || 'file').replace(/[^\w.-]+/g, '_').slice(0, 100);
+
+const evidenceFileKey = (userId, evidenceId, filename) =>
+  `evidence/${userId}/${evidenceId}/${crypto.randomBytes(6).toString('hex')}_${safeName(filename)}`;
+
+/**
+ * Open one evidence file for reading, from blob storage or, for older
+ * records, from its base64 `data`. Resolves with { stream, contentType, size } or null.
+ */
+const openEvidenceFile = async (file) => {
+  if (file.storageKey) {
+    const blob = await getStorage().get(file.storageKey);
+    return blob && { ...blob, contentType: file.mimeType || blob.contentType };
+  }
+  if (file.data) {
+    const buffer = Buffer.from(file.data, 'base64');
+    return { stream: Readable.from([buffer]), contentType: file.mimeType, size: buffer.length };
+  }
+  return null;
+};
+
+// What the app gets for a file: metadata and a signed, expiring download URL
+const describeEvidenceFile = (file) => ({
+  type: file.type,
+  filename: file.filename,
+  mimeType: file.mimeType,
+  size: file.size,
+  sha256: file.sha256,
+  url: file.storageKey
+    ? signedUrl(file.storageKey, { expiresIn: EVIDENCE_URL_TTL_SECONDS, filename: file.filename })
+    : file.secureUrl || null,
+  urlExpiresIn: file.storageKey ? EVIDENCE_URL_TTL_SECONDS : undefined,
+});
+
+// Remove an evidence record's blobs (the caller deletes the record)
+const deleteEvidenceFiles = async (evidence) => {
+  for (const file of evidence.evidenceFiles || []) {
+    if (file.storageKey) await getStorage().delete(file.storageKey);
+  }
+};
+
+module.exports = {
+  EVIDENCE_URL_TTL_SECONDS,
+  evidenceFileKey,
+  openEvidenceFile,
+  describeEvidenceFile,
+  deleteEvidenceFiles,
+};
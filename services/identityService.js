@@ -0,0 +1,220 @@
+const bcrypt = require('bcryptjs');
+const { OAuth2Client } = require('google-auth-library');
+const User = require('../models/User');
+const { revokeAllSessions } = require('./tokenService');
+
+const PROVIDERS = ['password', 'google', 'phone'];
+
+const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+
+// Android, iOS and web builds each have their own OAuth client id
+const getGoogleAudiences = () =>
+  (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+
+const identityError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+const hasIdentity = (user, provider) => {
+  const identities = user.identities || {};
+  if (provider === 'password') return Boolean(identities.password && identities.password.setAt);
+  if (provider === 'google') return Boolean(identities.google && identities.google.subject);
+  if (provider === 'phone') return Boolean(identities.phone && identities.phone.number);
+  return false;
+};
+
+const linkedProviders = (user) => PROVIDERS.filter(provider => hasIdentity(user, provider));
+
+/**
+ * Check a password against the user's password identity.
+ * Always false when no password is linked (e.g. Google-only accounts).
+ * The user must be loaded with `.select('+identities.password.hash')`.
+ */
+const verifyPassword = async (user, password) => {
+  const hash = user.identities && user.identities.password && user.identities.password.hash;
+  if (!hasIdentity(user, 'password') || !hash || typeof password !== 'string') return false;
+  return bcrypt.compare(password, hash);
+};
+
+const setPasswordIdentity = async (user, password) => {
+  user.set('identities.password', { hash: await hashPassword(password), setAt: new Date() });
+};
+
+/**
+ * Verify a Google ID token from the mobile or web app.
+ * Resolves with the Google profile or rejects if the token is invalid.
+ */
+const verifyGoogleIdToken = async (idToken) => {
+  const ticket = await googleClient.verifyIdToken({ idToken, audience: getGoogleAudiences() });
+  const payload = ticket.getPayload();
+
+  return {
+    subject: payload.sub,
+    email: payload.email,
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    name: payload.name,
+    picture: payload.picture,
+  };
+};
+
+/**
+ * Attach a Google account to a user. Fails if that Google account already
+ * belongs to someone else.
+ */
+const linkGoogleIdentity = async (user, profile) => {
+  const owner = await User.findOne({ 'identities.google.subject': profile.subject }).select('_id');
+  if (owner && !owner._id.equals(user._id)) {
+    throw identityError('IdentityInUseError', 'This Google account is linked to another user');
+  }
+
+  user.set('identities.google', {
+    subject: profile.subject,
+    email: profile.email,
+    linkedAt: new Date(),
+  });
+  if (!user.profilePic && profile.picture) user.profilePic = profile.picture;
+  await user.save();
+  return user;
+};
+
+/**
+ * Shared by Passport and both /google handlers: find the user linked to a
+ * Google account, link it to an existing account with the same verified
+ * email, or create a new Google-only account.
+ */
+const findOrCreateGoogleUser = async (profile) => {
+  let user = await User.findOne({ 'identities.google.subject': profile.subject });
+  if (user) return user;
+
+  if (!profile.email) {
+    throw identityError('InvalidIdentityError', 'Google account has no email');
+  }
+
+  user = await User.findOne({ email: profile.email });
+  if (user) {
+    // Only a Google-verified address proves the caller owns the existing account
+    if (!profile.emailVerified) {
+      throw identityError('IdentityInUseError', 'An account with this email already exists');
+    }
+    if (hasIdentity(user, 'google')) {
+      throw identityError('IdentityInUseError', 'This account is linked to a different Google account');
+    }
+    if (!user.emailVerified) {
+      // Nobody had proved they own this address: whoever registered it may
+      // have done so to wait for the real owner. Drop what they set up.
+      await revokeAllSessions(user._id, { reason: 'account_claimed' });
+      user.set('identities.password', undefined);
+      user.set('identities.phone', undefined);
+      user.set('twoFactor', { enabled: false });
+      user.emailVerified = true;
+      console.warn(`⚠️ Google sign-in claimed unverified account ${user._id}: other sign-in methods removed`);
+    }
+    return linkGoogleIdentity(user, profile);
+  }
+
+  return User.create({
+    name: profile.name || profile.email.split('@')[0],
+    email: profile.email,
+    mobile: '',
+    profilePic: profile.picture || null,
+    emailVerified: profile.emailVerified,
+    identities: {
+      google: {
+        subject: profile.subject,
+        email: profile.email,
+        linkedAt: new Date(),
+      },
+    },
+  });
+};
+
+/**
+ * Attach an SMS-verified phone number to a user. Fails if the number
+ * already signs in to another account.
+ */
+const linkPhoneIdentity = async (user, phone) => {
+  const owner = await User.findOne({ 'identities.phone.number': phone }).select('_id');
+  if (owner && !owner._id.equals(user._id)) {
+    throw identityError('IdentityInUseError', 'This phone number is linked to another user');
+  }
+
+  const now = new Date();
+  user.set('identities.phone', { number: phone, verifiedAt: now, linkedAt: now });
+  if (!user.mobile) user.mobile = phone;
+  await user.save();
+  return user;
+};
+
+/**
+ * Find the user an SMS-verified number signs in to, or create a phone-only
+ * account. Resolves with { user, isNewUser }.
+ */
+const findOrCreatePhoneUser = async (phone, { name } = {}) => {
+  const user = await User.findOne({ 'identities.phone.number': phone });
+  if (user) return { user, isNewUser: false };
+
+  const now = new Date();
+  const created = await User.create({
+    name: (typeof name === 'string' && name.trim()) || 'SmartSensrty user',
+    mobile: phone,
+    identities: {
+      phone: { number: phone, verifiedAt: now, linkedAt: now },
+    },
+  });
+  return { user: created, isNewUser: true };
+};
+
+/**
+ * Remove a sign-in method. The last remaining one cannot be removed.
+ */
+const unlinkIdentity = async (user, provider) => {
+  if (!PROVIDERS.includes(provider) || !hasIdentity(user, provider)) {
+    throw identityError('InvalidIdentityError', `No ${provider} identity linked`);
+  }
+
+  if (linkedProviders(user).length <= 1) {
+    throw identityError('LastIdentityError', 'Cannot remove the only sign-in method');
+  }
+
+  user.set(`identities.${provider}`, undefined);
+  await user.save();
+  return user;
+};
+
+const describeIdentities = (user) => ({
+  password: hasIdentity(user, 'password')
+    ? { linked: true, setAt: user.identities.password.setAt }
+    : { linked: false },
+  google: hasIdentity(user, 'google')
+    ? { linked: true, email: user.identities.google.email, linkedAt: user.identities.google.linkedAt }
+    : { linked: false },
+  phone: hasIdentity(user, 'phone')
+    ? { linked: true, number: user.identities.phone.number, linkedAt: user.identities.phone.linkedAt }
+    : { linked: false },
+});
+
+module.exports = {
+  PROVIDERS,
+  hashPassword,
+  hasIdentity,
+  linkedProviders,
+  verifyPassword,
+  setPasswordIdentity,
+  verifyGoogleIdToken,
+  linkGoogleIdentity,
+  findOrCreateGoogleUser,
+  linkPhoneIdentity,
+  findOrCreatePhoneUser,
+  unlinkIdentity,
+  describeIdentities,
+};
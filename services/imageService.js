@@ -0,0 +1,151 @@
+const sharp = require('sharp');
+const User = require('../models/User');
+const { getStorage } = require('./storageService');
+
+// Stored under this storage prefix, served publicly from the matching /uploads path
+const PROFILE_STORAGE_PREFIX = 'profile_images/';
+const PROFILE_PUBLIC_PREFIX = '/uploads/profile_images/';
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+// Guards against decompression bombs: 40 megapixels is well above any phone camera
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Every profile image is re-encoded to these square JPEGs
+const PROFILE_VARIANTS = {
+  avatar: { size: 512, quality: 82 },
+  thumbnail: { size: 128, quality: 78 },
+};
+
+const imageError = (message) => {
+  const error = new Error(message);
+  error.name = 'InvalidImageError';
+  return error;
+};
+
+/**
+ * Identify an image by its magic bytes; the file name and the client's
+ * Content-Type are not trusted. Returns 'jpeg' | 'png' | 'webp' | 'gif' | null.
+ */
+const sniffImageType = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+  if (['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) return 'gif';
+  return null;
+};
+
+/**
+ * Decode a `data:image/...;base64,` URL. The declared type is ignored;
+ * the bytes are sniffed like any upload.
+ */
+const decodeDataUrl = (dataUrl) => {
+  const matches = String(dataUrl).match(/^data:[^;,]*;base64,(.+)$/s);
+  if (!matches) throw imageError('Image must be a base64 data URL');
+  // base64 is 4 chars per 3 bytes; check before allocating the buffer
+  if (matches[1].length * 0.75 > MAX_IMAGE_BYTES) throw imageError('Image is larger than 5 MB');
+  return Buffer.from(matches[1], 'base64');
+};
+
+// Only our own files; Google profile pictures and other URLs are left alone
+const profileStorageKey = (publicPath) => {
+  if (typeof publicPath !== 'string' || !publicPath.startsWith(PROFILE_PUBLIC_PREFIX)) return null;
+  const name = publicPath.slice(PROFILE_PUBLIC_PREFIX.length);
+  return /^[\w.-]+$/.test(name) ? `${PROFILE_STORAGE_PREFIX}${name}` : null;
+};
+
+/**
+ * Validate and re-encode an uploaded profile image into every variant.
+ * EXIF orientation is applied and all metadata (including GPS) is dropped.
+ * Resolves with the public path of each variant, e.g. { avatar, thumbnail }.
+ */
+const saveProfileImage = async (userId, buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) throw imageError('Image is empty');
+  if (buffer.length > MAX_IMAGE_BYTES) throw imageError('Image is larger than 5 MB');
+  if (!sniffImageType(buffer)) throw imageError('Only JPEG, PNG, WebP and GIF images are accepted');
+
+  const image = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' });
+  try {
+    await image.metadata();
+  } catch (error) {
+    throw imageError('Image could not be read');
+  }
+
+  const stamp = Date.now();
+  const saved = {};
+  for (const [variant, { size, quality }] of Object.entries(PROFILE_VARIANTS)) {
+    const filename = `${userId}_${stamp}_${variant}.jpg`;
+    const output = await image
+      .clone()
+      .rotate()
+      .resize(size, size, { fit: 'cover', position: 'attention' })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+    await getStorage().put(`${PROFILE_STORAGE_PREFIX}${filename}`, output, { contentType: 'image/jpeg' });
+    saved[variant] = `${PROFILE_PUBLIC_PREFIX}${filename}`;
+  }
+
+  return saved;
+};
+
+// Remove the stored files behind the given public paths; missing files are fine
+const deleteProfileImages = async (...publicPaths) => {
+  for (const publicPath of publicPaths) {
+    const key = profileStorageKey(publicPath);
+    if (!key) continue;
+    try {
+      await getStorage().delete(key);
+    } catch (error) {
+      console.error(`❌ Could not delete ${key}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Delete stored profile images that no user references.
+ * Files younger than `graceMs` are kept so an upload in flight is not lost.
+ * Resolves with { scanned, removed: [keys], kept }.
+ */
+const sweepOrphanProfileImages = async ({ graceMs = 60 * 60 * 1000, dryRun = false } = {}) => {
+  const referenced = new Set();
+  const users = User.find(
+    {
+      $or: [
+        { profileImage: { $regex: `^${PROFILE_PUBLIC_PREFIX}` } },
+        { profileImageThumbnail: { $regex: `^${PROFILE_PUBLIC_PREFIX}` } },
+        { profilePic: { $regex: `^${PROFILE_PUBLIC_PREFIX}` } },
+      ],
+    },
+    'profileImage profileImageThumbnail profilePic'
+  ).lean().cursor();
+  for await (const user of users) {
+    for (const publicPath of [user.profileImage, user.profileImageThumbnail, user.profilePic]) {
+      const key = profileStorageKey(publicPath);
+      if (key) referenced.add(key);
+    }
+  }
+
+  const blobs = await getStorage().list(PROFILE_STORAGE_PREFIX);
+  const removed = [];
+  for (const { key, lastModified } of blobs) {
+    if (referenced.has(key)) continue;
+    if (Date.now() - new Date(lastModified).getTime() < graceMs) continue;
+
+    if (!dryRun) await getStorage().delete(key);
+    removed.push(key);
+  }
+
+  return { scanned: blobs.length, removed, kept: blobs.length - removed.length };
+};
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  PROFILE_VARIANTS,
+  profileStorageKey,
+  sniffImageType,
+  decodeDataUrl,
+  saveProfileImage,
+  deleteProfileImages,
+  sweepOrphanProfileImages,
+};
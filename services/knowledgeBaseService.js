@@ -0,0 +1,87 @@
+const { EMERGENCY_NUMBERS, ARTICLES } = require('../config/safetyKnowledgeBase');
+const { DEFAULT_REGION } = require('./phoneNumberService');
+
+// BM25 parameters: term frequency saturation and document length normalisation
+const K1 = 1.2;
+const B = 0.75;
+// Title and tag words count this many times over body words
+const FIELD_BOOST = 3;
+// Weaker matches are not worth showing
+const MIN_SCORE = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'get', 'has', 'have', 'help', 'how', 'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'me', 'my',
+  'of', 'on', 'or', 'please', 'should', 'so', 'that', 'the', 'their', 'them', 'there', 'they', 'this',
+  'to', 'up', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your',
+]);
+
+// Crude suffix stripping so "following", "followed" and "follows" match
+const stem = (token) => (token.length > 4 ? token.replace(/(ing|ed|es|s)$/, '') : token);
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !STOP_WORDS.has(token))
+    .map(stem);
+
+const buildIndex = (articles) => {
+  const documents = articles.map((article) => {
+    const boosted = tokenize(`${article.title} ${article.tags.join(' ')}`);
+    const tokens = [...Array(FIELD_BOOST).fill(boosted).flat(), ...tokenize(article.body)];
+    const frequencies = new Map();
+    for (const token of tokens) frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    return { article, frequencies, length: tokens.length };
+  });
+
+  const documentFrequency = new Map();
+  for (const { frequencies } of documents) {
+    for (const token of frequencies.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length;
+  return { documents, documentFrequency, averageLength };
+};
+
+const index = buildIndex(ARTICLES);
+
+const idf = (token) => {
+  const df = index.documentFrequency.get(token) || 0;
+  return Math.log(1 + (index.documents.length - df + 0.5) / (df + 0.5));
+};
+
+/**
+ * Articles matching `query`, best first: [{ article, score }]. Articles
+ * limited to other regions are left out. Ties keep the knowledge base order,
+ * so the same query always gives the same answer.
+ */
+const searchKnowledgeBase = (query, { region = DEFAULT_REGION, limit = 3 } = {}) => {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  return index.documents
+    .filter(({ article }) => !article.regions || article.regions.includes(region))
+    .map(({ article, frequencies, length }) => {
+      const score = terms.reduce((sum, term) => {
+        const tf = frequencies.get(term) || 0;
+        if (!tf) return sum;
+        return sum + idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / index.averageLength)));
+      }, 0);
+      return { article, score };
+    })
+    .filter(({ score }) => score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+const emergencyNumberFor = (region) => EMERGENCY_NUMBERS[region] || EMERGENCY_NUMBERS[DEFAULT_REGION];
+
+module.exports = {
+  searchKnowledgeBase,
+  emergencyNumberFor,
+};
@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const LocationShare = require('../models/LocationShare');
+const TrustedContact = require('../models/TrustedContact');
+const { hashToken } = require('./tokenService');
+const { sendSMS } = require('./offlineService');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+const { deliveryStatusCallback } = require('./contactConsentService');
+const { parseCoordinates } = require('./emergencyCardService');
+
+const DEFAULT_SHARE_MINUTES = 60;
+const MIN_SHARE_MINUTES = 5;
+const MAX_SHARE_MINUTES = 480;
+
+const shareError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const viewUrl = (token) => `${getApiBaseUrl()}/api/location-shares/view/${token}`;
+
+const isLive = (share) => !share.stoppedAt && share.expiresAt > new Date();
+
+const describeShare = (share) => ({
+  _id: share._id,
+  memberId: share.memberId && share.memberId._id ? share.memberId._id : share.memberId,
+  memberName: share.memberId && share.memberId.name ? share.memberId.name : undefined,
+  expiresAt: share.expiresAt,
+  stoppedAt: share.stoppedAt || null,
+  active: isLive(share),
+  lastLocation: share.lastLocation && share.lastLocation.at ? share.lastLocation : null,
+  source: share.source,
+  createdAt: share.createdAt,
+});
+
+/**
+ * Validate the minutes a share should last. Returns { minutes } or { error }.
+ */
+const parseShareMinutes = (value) => {
+  if (value === undefined || value === null) return { minutes: DEFAULT_SHARE_MINUTES };
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < MIN_SHARE_MINUTES || minutes > MAX_SHARE_MINUTES) {
+    return { error: `minutes must be a whole number from ${MIN_SHARE_MINUTES} to ${MAX_SHARE_MINUTES}` };
+  }
+  return { minutes };
+};
+
+/**
+ * The member a location may be shared with: the user's own, active, and
+ * confirmed, so a live location never goes to a number that hasn't agreed
+ * to be in the circle. Returns null otherwise.
+ */
+const findShareableMember = async (userId, memberId) => {
+  if (!mongoose.isValidObjectId(memberId)) return null;
+  return TrustedContact.findOne({ _id: memberId, userId, isActive: { $ne: false }, status: 'confirmed' });
+};
+
+/**
+ * Start sharing the user's live location with one trusted circle member for
+ * `minutes`, and text them the viewing link. Rejects with InvalidShareError
+ * for bad input or a member who can't receive it.
+ */
+const startShare = async (user, { memberId, minutes, coordinates, source = 'app' } = {}) => {
+  const duration = parseShareMinutes(minutes);
+  if (duration.error) {
+    throw shareError('InvalidShareError', duration.error);
+  }
+  const location = coordinates ? parseCoordinates(coordinates) : null;
+  if (coordinates && !location) {
+    throw shareError('InvalidShareError', 'coordinates must be a valid latitude and longitude');
+  }
+
+  const member = await findShareableMember(user._id, memberId);
+  if (!member) {
+    throw shareError('InvalidShareError', 'Choose an active member of your trusted circle who has accepted their invitation');
+  }
+
+  const token = crypto.randomBytes(24).toString('base64url');
+  const share = await LocationShare.create({
+    userId: user._id,
+    memberId: member._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + duration.minutes * 60 * 1000),
+    lastLocation: location ? { ...location, at: new Date() } : undefined,
+    source,
+  });
+
+  const firstName = String(user.name || '').split(' ')[0] || 'Someone';
+  try {
+    await sendSMS(
+      member.phone,
+      `${firstName} is sharing their live location with you on SmartSensrty for the next ${duration.minutes} minutes: ${viewUrl(token)}`,
+      { statusCallback: deliveryStatusCallback(member) }
+    );
+  } catch (error) {
+    // The share stays live; the app can show the failure and stop it
+    console.error(`❌ Failed to send location share ${share._id}:`, error.message);
+    return { share, member, delivered: false };
+  }
+
+  console.log(`📍 Location share ${share._id} started for user ${user._id} with member ${member._id}`);
+  return { share, member, delivered: true };
+};
+
+const findOwnShare = async (userId, shareId) => {
+  const share = mongoose.isValidObjectId(shareId)
+    && (await LocationShare.findOne({ _id: shareId, userId }).populate('memberId', 'name'));
+  if (!share) {
+    throw shareError('ShareNotFoundError', 'Location share not found');
+  }
+  return share;
+};
+
+const listShares = async (userId) => {
+  const shares = await LocationShare.find({ userId, stoppedAt: null, expiresAt: { $gt: new Date() } })
+    .populate('memberId', 'name')
+    .sort({ createdAt: -1 });
+  return shares.map(describeShare);
+};
+
+/**
+ * Record the user's latest position on a live share
+ */
+const updateShareLocation = async (userId, shareId, { latitude, longitude, accuracy } = {}) => {
+  const location = parseCoordinates({ latitude, longitude });
+  if (!location) {
+    throw shareError('InvalidShareError', 'latitude and longitude are required');
+  }
+
+  const share = await findOwnShare(userId, shareId);
+  if (!isLive(share)) {
+    throw shareError('ShareEndedError', 'This location share has ended');
+  }
+
+  share.lastLocation = {
+    ...location,
+    accuracy: Number.isFinite(Number(accuracy)) ? Number(accuracy) : undefined,
+    at: new Date(),
+  };
+  await share.save();
+  return share;
+};
+
+const stopShare = async (userId, shareId) => {
+  const share = await findOwnShare(userId, shareId);
+  if (isLive(share)) {
+    share.stoppedAt = new Date();
+    await share.save();
+  }
+  return share;
+};
+
+/**
+ * What the viewing link shows: the owner's first name and, while the share
+ * is live, their latest position. Resolves with null for an unknown token.
+ */
+const viewShare = async (token) => {
+  const share = await LocationShare.findOne({ tokenHash: hashToken(String(token || '')) })
+    .populate('userId', 'name');
+  if (!share) return null;
+
+  const active = isLive(share);
+  return {
+    ownerName: String((share.userId && share.userId.name) || '').split(' ')[0] || 'Someone',
+    active,
+    expiresAt: share.expiresAt,
+    // Nothing is shown once the share has ended
+    location: active && share.lastLocation && share.lastLocation.at ? share.lastLocation : null,
+  };
+};
+
+module.exports = {
+  MIN_SHARE_MINUTES,
+  MAX_SHARE_MINUTES,
+  describeShare,
+  parseShareMinutes,
+  findShareableMember,
+  startShare,
+  listShares,
+  updateShareLocation,
+  stopShare,
+  viewShare,
+};
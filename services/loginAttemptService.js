@@ -0,0 +1,220 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const { sendMail } = require('./mailService');
+const mailTemplates = require('./mailTemplates');
+const { sendSMS } = require('./offlineService');
+const { getFrontendUrl } = require('./accountRecoveryService');
+
+/**
+ * Failed sign-in counters with exponential backoff, kept per account and per IP.
+ *
+ * Only the login handlers consult this. Authenticated requests (including
+ * the SOS endpoints) never do, so a locked-out account keeps working on
+ * devices that are already signed in.
+ *
+ * Stores, picked with LOGIN_ATTEMPT_STORE:
+ * - mongo:  LoginAttempt collection, shared by every instance (default)
+ * - memory: per-process Map, for a single instance or local runs
+ */
+
+const POLICIES = {
+  // An account tolerates a few typos before it backs off
+  account: { freeAttempts: 5, baseLockMs: 60 * 1000 },
+  // One IP may be a whole office or carrier NAT, so allow more
+  ip: { freeAttempts: 20, baseLockMs: 60 * 1000 },
+};
+const MAX_LOCK_MS = 60 * 60 * 1000;
+// Counters reset after a day without failures
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// The memory stores drop expired keys at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const records = new Map();
+  let lastSweep = Date.now();
+
+  const live = (key) => {
+    const now = Date.now();
+    // Keys that are never looked up again would otherwise stay forever
+    if (now - lastSweep >= SWEEP_INTERVAL_MS) {
+      lastSweep = now;
+      for (const [staleKey, record] of records) {
+        if (record.expiresAt <= now) records.delete(staleKey);
+      }
+    }
+
+    const record = records.get(key);
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+    return record || null;
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => live(key),
+    increment: async (key) => {
+      const record = live(key) || { failures: 0, lockedUntil: null };
+      record.failures += 1;
+      record.expiresAt = Date.now() + FORGET_AFTER_MS;
+      records.set(key, record);
+      return { ...record };
+    },
+    lock: async (key, lockedUntil) => {
+      const record = live(key);
+      if (record) record.lockedUntil = lockedUntil;
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+const createMongoStore = () => ({
+  name: 'mongo',
+  get: async (key) => LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+  // Atomic, so concurrent failures on several instances are all counted
+  increment: async (key) => {
+    const now = new Date();
+    const existing = await LoginAttempt.findOne({ key }).select('expiresAt').lean();
+    if (existing && existing.expiresAt <= now) await LoginAttempt.deleteOne({ key });
+
+    const bump = () => LoginAttempt.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER_MS) },
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    try {
+      return await bump();
+    } catch (error) {
+      // Two first failures raced to insert the record; the loser counts on the winner's
+      if (error.code !== 11000) throw error;
+      return bump();
+    }
+  },
+  lock: async (key, lockedUntil) => {
+    await LoginAttempt.updateOne({ key }, { $set: { lockedUntil } });
+  },
+  reset: async (key) => {
+    await LoginAttempt.deleteOne({ key });
+  },
+});
+
+let store = null;
+
+const getStore = () => {
+  if (store) return store;
+  store = process.env.LOGIN_ATTEMPT_STORE === 'memory' ? createMemoryStore() : createMongoStore();
+  console.log(`✅ Login attempt store: ${store.name}`);
+  return store;
+};
+
+// Swap the store at runtime (e.g. a memory store in a script)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+const accountKey = (identifier) => `account:${String(identifier).trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip || 'unknown'}`;
+
+// 1, 2, 4, 8 ... minutes after the free attempts are used up, capped at an hour
+const lockDuration = (policy, failures) => {
+  const over = failures - policy.freeAttempts;
+  if (over < 0) return 0;
+  return Math.min(policy.baseLockMs * 2 ** over, MAX_LOCK_MS);
+};
+
+const retryAfterSeconds = (lockedUntil) =>
+  lockedUntil ? Math.max(0, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000)) : 0;
+
+/**
+ * Check whether a sign-in may be attempted for this account from this IP.
+ * `account` is whatever identifies the target: an email, a phone number or
+ * a user id. Resolves with { allowed, retryAfter }.
+ */
+const checkAttempt = async ({ account, ip }) => {
+  const keys = [ipKey(ip)];
+  if (account) keys.push(accountKey(account));
+
+  const records = await Promise.all(keys.map(key => getStore().get(key)));
+  const retryAfter = Math.max(0, ...records.map(record => retryAfterSeconds(record && record.lockedUntil)));
+
+  return { allowed: retryAfter === 0, retryAfter };
+};
+
+// Tell the owner by email, or by SMS for phone-only accounts
+const notifyLockout = async (user, retryAfter) => {
+  const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+  const duration = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+  if (user.email) {
+    await sendMail(user.email, mailTemplates.accountLocked({
+      name: user.name,
+      duration,
+      resetUrl: `${getFrontendUrl()}/forgot-password`,
+    }));
+  } else if (user.mobile) {
+    await sendSMS(
+      user.mobile,
+      `SmartSensrty: several failed sign-ins on your account. New sign-ins are paused for ${duration}. If this was not you, change your password.`
+    );
+  }
+};
+
+/**
+ * Count a failed sign-in. When `user` is given and this failure first locks
+ * the account, its owner is notified (once per lockout sequence).
+ * Resolves with { accountLocked, retryAfter }.
+ */
+const recordFailure = async ({ account, ip, user }) => {
+  const targets = [{ key: ipKey(ip), policy: POLICIES.ip }];
+  if (account) targets.push({ key: accountKey(account), policy: POLICIES.account, isAccount: true });
+
+  let accountLocked = false;
+  let retryAfter = 0;
+
+  for (const { key, policy, isAccount } of targets) {
+    const record = await getStore().increment(key);
+    const duration = lockDuration(policy, record.failures);
+    if (!duration) continue;
+
+    const lockedUntil = new Date(Date.now() + duration);
+    await getStore().lock(key, lockedUntil);
+    retryAfter = Math.max(retryAfter, retryAfterSeconds(lockedUntil));
+    if (isAccount && record.failures === policy.freeAttempts) accountLocked = true;
+  }
+
+  if (accountLocked) {
+    console.warn(`🔒 Sign-in locked for ${accountKey(account)} (${retryAfter}s)`);
+    if (user) {
+      notifyLockout(user, retryAfter).catch(error =>
+        console.error('❌ Lockout notification failed:', error.message)
+      );
+    }
+  }
+
+  return { accountLocked, retryAfter };
+};
+
+/**
+ * Clear the account counter after a successful sign-in. The IP counter is
+ * left alone so signing in to one's own account cannot reset a spray.
+ */
+const recordSuccess = async ({ account }) => {
+  if (account) await getStore().reset(accountKey(account));
+};
+
+module.exports = {
+  POLICIES,
+  checkAttempt,
+  recordFailure,
+  recordSuccess,
+  setStore,
+  createMemoryStore,
+  createMongoStore,
+};
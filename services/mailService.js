@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Mail transports. Pick one with MAIL_TRANSPORT:
+ * - smtp:    real delivery through nodemailer (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - file:    writes each message as JSON to MAIL_OUTBOX_DIR, for offline testing
+ * - console: logs each message (default when SMTP is not configured)
+ */
+const createSmtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    },
+  };
+};
+
+const createFileTransport = () => {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../mail-outbox');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      if (!fs.existsSync(outboxDir)) fs.mkdirSync(outboxDir, { recursive: true });
+      const id = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+      const filePath = path.join(outboxDir, `${id}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { id, path: filePath };
+    },
+  };
+};
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 [mail] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+    return { id: `console_${Date.now()}` };
+  },
+});
+
+let transport = null;
+
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (name === 'smtp') transport = createSmtpTransport();
+  else if (name === 'file') transport = createFileTransport();
+  else transport = createConsoleTransport();
+
+  console.log(`✅ Mail transport: ${transport.name}`);
+  return transport;
+};
+
+// Swap the transport at runtime (e.g. a file transport in a test script)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Send an email built by one of the templates in mailTemplates.js.
+ * Resolves with the transport result; failures are logged and rethrown.
+ */
+const sendMail = async (to, { subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'SmartSensrty <no-reply@smartsensrty.app>',
+    to,
+    subject,
+    text,
+    html,
+  };
+
+  try {
+    return await getTransport().send(message);
+  } catch (error) {
+    console.error(`❌ Failed to send "${subject}" to ${to}:`, error.message);
+    throw error;
+  }
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
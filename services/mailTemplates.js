@@ -0,0 +1,94 @@
+/**
+ * Email templates. Each returns { subject, text, html } for mailService.sendMail.
+ */
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+  }[c]));
+
+const layout = (title, bodyHtml) => `<!doctype html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto; padding: 24px;">
+    <h2 style="color: #c92a2a;">SmartSensrty</h2>
+    <h3>${escapeHtml(title)}</h3>
+    ${bodyHtml}
+    <p style="color: #868e96; font-size: 12px;">If you did not request this, you can ignore this email.</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #c92a2a; color: #fff; padding: 10px 18px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const verifyEmail = ({ name, url, expiresInHours }) => ({
+  subject: 'Verify your SmartSensrty email',
+  text: `Hi ${name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in ${expiresInHours} hours.`,
+  html: layout(
+    'Verify your email',
+    `<p>Hi ${escapeHtml(name)},</p>
+    <p>Please confirm your email address so we can reach you about your account.</p>
+    ${button(url, 'Verify email')}
+    <p>The link expires in ${expiresInHours} hours.</p>`
+  ),
+});
+
+const passwordReset = ({ name, url, expiresInMinutes }) => ({
+  subject: 'Reset your SmartSensrty password',
+  text: `Hi ${name},\n\nUse this link to set a new password:\n${url}\n\nThe link expires in ${expiresInMinutes} minutes. All signed-in devices will be signed out.`,
+  html: layout(
+    'Reset your password',
+    `<p>Hi ${escapeHtml(name)},</p>
+    <p>Use the button below to set a new password. All signed-in devices will be signed out.</p>
+    ${button(url, 'Set new password')}
+    <p>The link expires in ${expiresInMinutes} minutes.</p>`
+  ),
+});
+
+const passwordChanged = ({ name }) => ({
+  subject: 'Your SmartSensrty password was changed',
+  text: `Hi ${name},\n\nYour password was just changed and all devices were signed out. If this was not you, reset your password immediately.`,
+  html: layout(
+    'Password changed',
+    `<p>Hi ${escapeHtml(name)},</p>
+    <p>Your password was just changed and all devices were signed out.</p>
+    <p>If this was not you, reset your password immediately.</p>`
+  ),
+});
+
+const accountLocked = ({ name, duration, resetUrl }) => ({
+  subject: 'Sign-in to your SmartSensrty account was paused',
+  text: `Hi ${name},\n\nThere were several failed attempts to sign in to your account, so new sign-ins are paused for ${duration}. Devices that are already signed in, and their SOS features, keep working.\n\nIf this was not you, reset your password:\n${resetUrl}`,
+  html: layout(
+    'Sign-in paused',
+    `<p>Hi ${escapeHtml(name)},</p>
+    <p>There were several failed attempts to sign in to your account, so new sign-ins are paused for ${duration}.</p>
+    <p>Devices that are already signed in, and their SOS features, keep working.</p>
+    <p>If this was not you, reset your password.</p>
+    ${button(resetUrl, 'Reset password')}`
+  ),
+});
+
+const medicalCardAccessed = ({ name, when }) => ({
+  subject: 'Your SmartSensrty medical card was scanned',
+  text: `Hi ${name},\n\nYour medical card was opened by someone scanning its QR code at ${when}. They saw your medical summary and emergency contact.\n\nIf this was not expected, revoke the card in the app and issue a new one.`,
+  html: layout(
+    'Medical card scanned',
+    `<p>Hi ${escapeHtml(name)},</p>
+    <p>Your medical card was opened by someone scanning its QR code at ${escapeHtml(when)}. They saw your medical summary and emergency contact.</p>
+    <p>If this was not expected, revoke the card in the app and issue a new one.</p>`
+  ),
+});
+
+module.exports = {
+  escapeHtml,
+  layout,
+  verifyEmail,
+  passwordReset,
+  passwordChanged,
+  accountLocked,
+  medicalCardAccessed,
+};
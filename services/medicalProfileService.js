@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const TrustedContact = require('../models/TrustedContact');
+const MedicalAccessLog = require('../models/MedicalAccessLog');
+const { sendMail } = require('./mailService');
+const mailTemplates = require('./mailTemplates');
+const { sendSMS } = require('./offlineService');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+
+const BLOOD_TYPES = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-', 'unknown'];
+const LIST_FIELDS = ['allergies', 'medications', 'conditions'];
+const MAX_LIST_ITEMS = 30;
+const MAX_ITEM_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+
+const MEDICAL_CARD_PURPOSE = 'medical_card';
+// Many scans during one emergency produce one notification
+const NOTIFY_COOLDOWN_MS = 10 * 60 * 1000;
+
+const getCardSecret = () => process.env.MEDICAL_CARD_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const medicalError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const cleanList = (field, value, errors) => {
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be a list`);
+    return undefined;
+  }
+  if (value.length > MAX_LIST_ITEMS) {
+    errors.push(`${field} can have at most ${MAX_LIST_ITEMS} items`);
+    return undefined;
+  }
+
+  const items = [];
+  for (const item of value) {
+    if (typeof item !== 'string' || !item.trim()) {
+      errors.push(`${field} items must be non-empty text`);
+      return undefined;
+    }
+    if (item.trim().length > MAX_ITEM_LENGTH) {
+      errors.push(`${field} items must be at most ${MAX_ITEM_LENGTH} characters`);
+      return undefined;
+    }
+    if (!items.includes(item.trim())) items.push(item.trim());
+  }
+  return items;
+};
+
+const cleanText = (field, value, errors) => {
+  if (typeof value !== 'string') {
+    errors.push(`${field} must be text`);
+    return undefined;
+  }
+  if (value.trim().length > MAX_TEXT_LENGTH) {
+    errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+    return undefined;
+  }
+  return value.trim();
+};
+
+/**
+ * Validate medical profile input. With `partial`, only the given fields are
+ * checked (PATCH); otherwise missing fields are cleared (PUT).
+ * Returns { value, errors }.
+ */
+const validateMedicalProfile = (input, { partial = false } = {}) => {
+  const errors = [];
+  const value = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value, errors: ['Medical profile must be an object'] };
+  }
+
+  const unknown = Object.keys(input).filter(
+    key => !['bloodType', 'emergencyContact', 'notes', ...LIST_FIELDS].includes(key)
+  );
+  if (unknown.length) errors.push(`Unknown fields: ${unknown.join(', ')}`);
+
+  if (input.bloodType !== undefined && input.bloodType !== null) {
+    if (!BLOOD_TYPES.includes(input.bloodType)) {
+      errors.push(`bloodType must be one of: ${BLOOD_TYPES.join(', ')}`);
+    } else {
+      value.bloodType = input.bloodType;
+    }
+  } else if (!partial || input.bloodType === null) {
+    value.bloodType = undefined;
+  }
+
+  for (const field of LIST_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null) {
+      value[field] = cleanList(field, input[field], errors);
+    } else if (!partial || input[field] === null) {
+      value[field] = [];
+    }
+  }
+
+  for (const field of ['emergencyContact', 'notes']) {
+    if (input[field] !== undefined && input[field] !== null) {
+      value[field] = cleanText(field, input[field], errors);
+    } else if (!partial || input[field] === null) {
+      value[field] = undefined;
+    }
+  }
+
+  return { value, errors };
+};
+
+const describeMedicalProfile = (user) => {
+  const profile = (user.medicalProfile && user.medicalProfile.toObject
+    ? user.medicalProfile.toObject()
+    : user.medicalProfile) || {};
+
+  return {
+    bloodType: profile.bloodType || null,
+    allergies: profile.allergies || [],
+    medications: profile.medications || [],
+    conditions: profile.conditions || [],
+    emergencyContact: profile.emergencyContact || null,
+    notes: profile.notes || null,
+    updatedAt: profile.updatedAt || null,
+  };
+};
+
+const updateMedicalProfile = async (user, value) => {
+  for (const [field, fieldValue] of Object.entries(value)) {
+    user.set(`medicalProfile.${field}`, fieldValue);
+  }
+  user.set('medicalProfile.updatedAt', new Date());
+  await user.save();
+  return describeMedicalProfile(user);
+};
+
+const clearMedicalProfile = async (user) => {
+  user.medicalProfile = undefined;
+  await user.save();
+};
+
+/**
+ * Issue a new medical card. Any earlier card token stops working.
+ * Returns the signed token and the URL to encode in the QR code.
+ */
+const issueMedicalCard = async (user) => {
+  const cardId = crypto.randomBytes(12).toString('hex');
+  user.medicalCard = { cardId, issuedAt: new Date() };
+  await user.save();
+
+  const token = jwt.sign(
+    { sub: String(user._id), cid: cardId, purpose: MEDICAL_CARD_PURPOSE },
+    getCardSecret()
+  );
+
+  return {
+    token,
+    url: `${getApiBaseUrl()}/api/medical/card/${token}`,
+    issuedAt: user.medicalCard.issuedAt,
+  };
+};
+
+const revokeMedicalCard = async (user) => {
+  if (!user.medicalCard || !user.medicalCard.cardId) return false;
+  user.medicalCard = { revokedAt: new Date() };
+  await user.save();
+  return true;
+};
+
+const describeMedicalCard = (user) => {
+  const card = user.medicalCard || {};
+  return {
+    active: Boolean(card.cardId),
+    issuedAt: card.issuedAt || null,
+    revokedAt: card.revokedAt || null,
+  };
+};
+
+/**
+ * Resolve a scanned card token to its owner. Rejects with
+ * InvalidMedicalCardError for bad signatures and revoked or replaced cards.
+ */
+const resolveMedicalCard = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getCardSecret());
+  } catch (error) {
+    throw medicalError('InvalidMedicalCardError', 'Invalid medical card');
+  }
+  if (decoded.purpose !== MEDICAL_CARD_PURPOSE) {
+    throw medicalError('InvalidMedicalCardError', 'Invalid medical card');
+  }
+
+  const user = await User.findById(decoded.sub);
+  if (!user || user.deletedAt || !user.medicalCard || user.medicalCard.cardId !== decoded.cid) {
+    throw medicalError('InvalidMedicalCardError', 'This medical card is no longer valid');
+  }
+  return user;
+};
+
+/**
+ * What a responder sees: the medical profile, first name and one emergency
+ * contact. Falls back to the first member of the user's trusted circle if
+ * none is set.
+ */
+const buildResponderSummary = async (user) => {
+  const medical = describeMedicalProfile(user);
+
+  let emergencyContact = medical.emergencyContact ? { details: medical.emergencyContact } : null;
+  if (!emergencyContact) {
+    const contact = await TrustedContact.findOne({ userId: user._id, isActive: { $ne: false } })
+      .sort({ tier: 1, createdAt: 1 })
+      .lean();
+    if (contact) {
+      emergencyContact = { name: contact.name, relation: contact.relation, phone: contact.phone };
+    }
+  }
+
+  return {
+    name: String(user.name || '').split(' ')[0],
+    bloodType: medical.bloodType,
+    allergies: medical.allergies,
+    medications: medical.medications,
+    conditions: medical.conditions,
+    notes: medical.notes,
+    emergencyContact,
+    updatedAt: medical.updatedAt,
+  };
+};
+
+// Tell the owner by email, or by SMS for phone-only accounts
+const notifyOwner = async (user, accessedAt) => {
+  const when = accessedAt.toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+
+  if (user.email) {
+    await sendMail(user.email, mailTemplates.medicalCardAccessed({ name: user.name, when }));
+  } else if (user.mobile) {
+    await sendSMS(
+      user.mobile,
+      `SmartSensrty: your medical card was scanned at ${when}. If this was not expected, revoke it in the app.`
+    );
+  }
+};
+
+/**
+ * Log a scan and notify the owner (at most once per cooldown, so a crew
+ * scanning repeatedly sends one message). Notification failures are logged only.
+ */
+const recordMedicalCardAccess = async (user, req) => {
+  const accessedAt = new Date();
+  await MedicalAccessLog.create({
+    userId: user._id,
+    cardId: user.medicalCard.cardId,
+    accessedAt,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  const lastNotifiedAt = user.medicalCard.lastNotifiedAt;
+  if (lastNotifiedAt && accessedAt - lastNotifiedAt < NOTIFY_COOLDOWN_MS) return;
+
+  await User.updateOne({ _id: user._id }, { 'medicalCard.lastNotifiedAt': accessedAt });
+  notifyOwner(user, accessedAt).catch(error =>
+    console.error('❌ Medical card access notification failed:', error.message)
+  );
+};
+
+module.exports = {
+  BLOOD_TYPES,
+  validateMedicalProfile,
+  describeMedicalProfile,
+  updateMedicalProfile,
+  clearMedicalProfile,
+  issueMedicalCard,
+  revokeMedicalCard,
+  describeMedicalCard,
+  resolveMedicalCard,
+  buildResponderSummary,
+  recordMedicalCardAccess,
+};
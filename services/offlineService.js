@@ -11,43 +11,116 @@ const initializeTwilio = () => {
   return twilioClient;
 };
 
-// Send SMS alert to emergency contacts
+// SMS_TRANSPORT=console logs messages instead of sending them (local development)
+const isConsoleSMS = () => process.env.SMS_TRANSPORT === 'console';
+
+// Whether any SMS transport is available
+const canSendSMS = () => isConsoleSMS() || Boolean(initializeTwilio());
+
+// Send one SMS through Twilio, or log it with the console stand-in.
+// `statusCallback` is the URL Twilio posts delivery updates to.
+const sendSMS = async (to, body, { statusCallback } = {}) => {
+  if (isConsoleSMS()) {
+    console.log(`📱 [sms] To: ${to}\n${body}`);
+    return { sid: `console_${Date.now()}` };
+  }
+
+  const client = initializeTwilio();
+  if (!client) {
+    throw new Error('Twilio not configured');
+  }
+
+  return client.messages.create({
+    body,
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to,
+    ...(statusCallback && { statusCallback }),
+  });
+};
+
+// Ring the number and read `message` out (twice) with Twilio's voice
+const placeCall = async (to, message) => {
+  if (isConsoleSMS()) {
+    console.log(`📞 [call] To: ${to}\n${message}`);
+    return { sid: `console_${Date.now()}` };
+  }
+
+  const client = initializeTwilio();
+  if (!client) {
+    throw new Error('Twilio not configured');
+  }
+
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say(message);
+  twiml.pause({ length: 1 });
+  twiml.say(message);
+  return client.calls.create({
+    twiml: twiml.toString(),
+    from: process.env.TWILIO_PHONE_NUMBER,
+    to,
+  });
+};
+
+// Check the X-Twilio-Signature of a webhook posted to `url` (the public URL,
+// query string included). Console SMS has no signer, so anything is accepted.
+const isValidTwilioRequest = (url, signature, params) => {
+  if (isConsoleSMS()) return true;
+  if (!process.env.TWILIO_AUTH_TOKEN || !signature) return false;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params || {});
+};
+
+// Twilio rejected the number itself rather than failing to reach its API
+const isDeliveryError = (error) => Boolean(error && error.code && error.status && error.status < 500);
+
+// Send SMS alert to emergency contacts. Contacts that have not confirmed
+// (status other than 'confirmed', when given) are still alerted, with a note
+// saying so, and counted in `unconfirmed`. A contact's `ackUrl` is appended
+// so they can stop the escalation.
 const sendEmergencySMS = async (contacts, alertData) => {
   try {
-    const client = initializeTwilio();
-    if (!client) {
+    if (!canSendSMS()) {
       console.warn('⚠️ Twilio not configured, skipping SMS alerts');
-      return { sent: 0, failed: contacts.length };
+      return { sent: 0, failed: contacts.length, unconfirmed: 0, results: [] };
     }
 
     const { userName, userLocation, emergencyType, phoneNumber } = alertData;
 
-    const message = `🚨 EMERGENCY ALERT 🚨\n${userName} needs immediate help!\nType: ${emergencyType}\nLocation: https://maps.google.com/?q=${userLocation.latitude},${userLocation.longitude}\nPlease respond urgently!`;
+    const locationText = userLocation && userLocation.latitude != null
+      ? `https://maps.google.com/?q=${userLocation.latitude},${userLocation.longitude}`
+      : 'Unknown';
+
+    const message = `🚨 EMERGENCY ALERT 🚨\n${userName} needs immediate help!\nType: ${emergencyType}\nLocation: ${locationText}\nPlease respond urgently!`;
+    const unconfirmedNote = `\n(You are listed as an emergency contact for ${userName} but have not confirmed yet.)`;
 
     const promises = contacts.map(async (contact) => {
+      const unconfirmed = Boolean(contact.status) && contact.status !== 'confirmed';
+      const outcome = { contact: contact.name, id: contact.id, status: contact.status, unconfirmed };
       try {
-        await client.messages.create({
-          body: message,
-          from: process.env.TWILIO_PHONE_NUMBER,
-          to: contact.phone
+        let body = unconfirmed ? message + unconfirmedNote : message;
+        if (contact.ackUrl) body += `\nResponding? Tap ${contact.ackUrl} or reply ACK.`;
+        await sendSMS(contact.phone, body, {
+          statusCallback: contact.statusCallback,
         });
-        return { success: true, contact: contact.name };
+        return { ...outcome, success: true };
       } catch (error) {
         console.error(`❌ Failed to send SMS to ${contact.name}:`, error.message);
-        return { success: false, contact: contact.name, error: error.message };
+        return { ...outcome, success: false, error: error.message, deliveryError: isDeliveryError(error) };
       }
     });
 
-    const results = await Promise.allSettled(promises);
-    const sent = results.filter(r => r.status === 'fulfilled' && r.value.success).length;
-    const failed = results.length - sent;
+    const results = (await Promise.allSettled(promises))
+      .filter(r => r.status === 'fulfilled')
+      .map(r => r.value);
+    const sent = results.filter(r => r.success).length;
+    const failed = contacts.length - sent;
+    const unconfirmed = results.filter(r => r.unconfirmed).length;
 
-    console.log(`📱 Emergency SMS sent: ${sent} successful, ${failed} failed`);
-    return { sent, failed };
+    console.log(`📱 Emergency SMS sent: ${sent} successful, ${failed} failed, ${unconfirmed} to unconfirmed contacts`);
+    return { sent, failed, unconfirmed, results };
 
   } catch (error) {
     console.error('❌ Emergency SMS error:', error.message);
-    return { sent: 0, failed: contacts.length };
+    return { sent: 0, failed: contacts.length, unconfirmed: 0, results: [] };
   }
 };
 
@@ -85,29 +158,36 @@ const sendMeshAlert = async (devices, alertData) => {
   return { successful, failed };
 };
 
-// Combined offline alert system
+// Combined offline alert system. With `alertData.sosId` the contacts are
+// alerted tier by tier through the escalation policy; without one every
+// contact is alerted at once.
 const triggerOfflineAlerts = async (userId, alertData) => {
   try {
     const User = require('../models/User');
+    const TrustedContact = require('../models/TrustedContact');
+    const { alertContacts, startEscalation } = require('./escalationService');
 
-    // Get user's emergency contacts
-    const user = await User.findById(userId).populate('emergencyContacts');
-    if (!user || !user.emergencyContacts || user.emergencyContacts.length === 0) {
-      console.warn('⚠️ No emergency contacts found for offline alerts');
+    const user = await User.findById(userId);
+    if (!user) {
+      console.warn('⚠️ No user found for offline alerts');
       return { sms: { sent: 0, failed: 0 }, mesh: { successful: 0, failed: 0 } };
     }
 
-    const contacts = user.emergencyContacts.map(contact => ({
-      name: contact.name,
-      phone: contact.phone
-    }));
-
-    // Send SMS alerts
-    const smsResult = await sendEmergencySMS(contacts, {
-      ...alertData,
-      userName: user.name,
-      phoneNumber: user.mobile
-    });
+    let smsResult;
+    let totalContacts;
+    if (alertData.sosId) {
+      smsResult = await startEscalation(alertData.sosId, user, alertData);
+      totalContacts = smsResult.notifications.length;
+    } else {
+      // Get user's trusted circle; declined and paused members are never alerted
+      const contacts = await TrustedContact.find({ userId: user._id, status: { $ne: 'declined' }, isActive: { $ne: false } });
+      if (contacts.length === 0) {
+        console.warn('⚠️ No emergency contacts found for offline alerts');
+        return { sms: { sent: 0, failed: 0 }, mesh: { successful: 0, failed: 0 } };
+      }
+      smsResult = await alertContacts(user, contacts, alertData);
+      totalContacts = contacts.length;
+    }
 
     // Discover nearby devices for mesh networking
     const { devices, meshFormed } = await discoverNearbyDevices(alertData.userLocation);
@@ -121,7 +201,7 @@ const triggerOfflineAlerts = async (userId, alertData) => {
       sms: smsResult,
       mesh: meshResult,
       meshFormed,
-      totalContacts: contacts.length,
+      totalContacts,
       nearbyDevices: devices.length
     };
 
@@ -133,6 +213,11 @@ const triggerOfflineAlerts = async (userId, alertData) => {
 
 module.exports = {
   initializeTwilio,
+  canSendSMS,
+  sendSMS,
+  placeCall,
+  isValidTwilioRequest,
+  isDeliveryError,
   sendEmergencySMS,
   discoverNearbyDevices,
   sendMeshAlert,
@@ -0,0 +1,78 @@
+/**
+ * Phone number normalisation to E.164 (+<country code><number>).
+ * Numbers without a country code are read in a region: the user's own
+ * (see regionForUser) or the default region (India).
+ */
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Calling code and national significant number lengths for the regions the
+// app is used in. Numbers in other countries must be entered with their code.
+const REGIONS = {
+  IN: { callingCode: '91', nationalLengths: [10] },
+  US: { callingCode: '1', nationalLengths: [10] },
+  CA: { callingCode: '1', nationalLengths: [10] },
+  GB: { callingCode: '44', nationalLengths: [9, 10] },
+  AU: { callingCode: '61', nationalLengths: [9] },
+};
+
+const DEFAULT_REGION = REGIONS[process.env.DEFAULT_PHONE_REGION] ? process.env.DEFAULT_PHONE_REGION : 'IN';
+
+// The region owning an E.164 number's calling code, when it is one we know
+const regionForNumber = (number) => {
+  if (typeof number !== 'string' || !E164_PATTERN.test(number)) return null;
+  const match = Object.entries(REGIONS).find(([, { callingCode }]) => number.startsWith(`+${callingCode}`));
+  return match ? match[0] : null;
+};
+
+// A known calling code fixes how long the rest of the number must be
+const hasValidLength = (number) => {
+  const region = regionForNumber(number);
+  if (!region) return true;
+  const { callingCode, nationalLengths } = REGIONS[region];
+  return nationalLengths.includes(number.length - callingCode.length - 1);
+};
+
+/**
+ * Normalise user input such as "098765 43210", "0091-9876543210" or
+ * "tel:+1-555-010-0199". Returns the E.164 string, or null when the number
+ * is not valid.
+ */
+const normalizePhoneNumber = (input, { region = DEFAULT_REGION } = {}) => {
+  if (typeof input !== 'string' && typeof input !== 'number') return null;
+
+  let number = String(input).trim().replace(/^tel:/i, '').replace(/[\s().\-/]/g, '');
+  if (number.startsWith('00')) number = `+${number.slice(2)}`;
+  if (!/^\+?\d+$/.test(number)) return null;
+
+  if (!number.startsWith('+')) {
+    const { callingCode } = REGIONS[String(region).toUpperCase()] || REGIONS[DEFAULT_REGION];
+    // A national number may already carry the country code without "+"
+    if (number.startsWith(callingCode) && hasValidLength(`+${number}`) && !hasValidLength(`+${callingCode}${number}`)) {
+      number = `+${number}`;
+    } else {
+      // Drop the trunk prefix used for national dialling ("0" in India and the UK, "1" in the US)
+      const trunk = callingCode === '1' ? /^1(?=\d{10}$)/ : /^0+/;
+      number = `+${callingCode}${number.replace(trunk, '')}`;
+    }
+  }
+
+  return E164_PATTERN.test(number) && hasValidLength(number) ? number : null;
+};
+
+/**
+ * The region to read a user's national numbers in: the country of their
+ * verified phone, else of their profile mobile, else the default.
+ */
+const regionForUser = (user) => {
+  if (!user) return DEFAULT_REGION;
+  const phone = user.identities && user.identities.phone && user.identities.phone.number;
+  return regionForNumber(phone) || regionForNumber(normalizePhoneNumber(user.mobile)) || DEFAULT_REGION;
+};
+
+module.exports = {
+  DEFAULT_REGION,
+  regionForNumber,
+  regionForUser,
+  normalizePhoneNumber,
+};
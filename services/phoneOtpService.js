@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const PhoneOtp = require('../models/PhoneOtp');
+const { sendSMS } = require('./offlineService');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+const otpError = (name, message, extra = {}) => {
+  const error = new Error(message);
+  error.name = name;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Keyed with the server secret so a leaked hash cannot be brute-forced offline
+const hashOtp = (phone, code) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET || 'your-secret-key')
+    .update(`${phone}:${code}`)
+    .digest('hex');
+
+const generateOtp = () => String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+
+/**
+ * Send a login code to an E.164 number. Rejects with OtpCooldownError or
+ * OtpLimitError (both carry `retryAfter` in seconds) when sending too often.
+ */
+const requestOtp = async (phone) => {
+  const now = Date.now();
+  const code = generateOtp();
+  const fresh = {
+    codeHash: hashOtp(phone, code),
+    expiresAt: new Date(now + OTP_TTL_MS),
+    attempts: 0,
+    lastSentAt: new Date(now),
+  };
+  // The cooldown and the window cap are conditions of the update itself, so
+  // parallel requests can't all pass a check made on the same stale read
+  const cooledDown = { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now - RESEND_COOLDOWN_MS) } }] };
+  const windowStart = new Date(now - SEND_WINDOW_MS);
+
+  let record = await PhoneOtp.findOneAndUpdate(
+    { phone, ...cooledDown, windowStartedAt: { $gt: windowStart }, sendCount: { $lt: MAX_SENDS_PER_WINDOW } },
+    { $set: fresh, $inc: { sendCount: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    try {
+      // No window running (or a new number): start one
+      record = await PhoneOtp.findOneAndUpdate(
+        { phone, ...cooledDown, $and: [{ $or: [{ windowStartedAt: null }, { windowStartedAt: { $lte: windowStart } }] }] },
+        { $set: { ...fresh, windowStartedAt: new Date(now), sendCount: 1 } },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // The number's record exists but matched neither update: another
+      // request sent a code first, or the window is used up
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  if (!record) {
+    const current = await PhoneOtp.findOne({ phone });
+    const windowEnd = current && current.windowStartedAt && current.windowStartedAt.getTime() + SEND_WINDOW_MS;
+    if (windowEnd > now && current.sendCount >= MAX_SENDS_PER_WINDOW) {
+      throw otpError('OtpLimitError', 'Too many codes requested, try again later', {
+        retryAfter: Math.ceil((windowEnd - now) / 1000),
+      });
+    }
+    const lastSentAt = current && current.lastSentAt ? current.lastSentAt.getTime() : now;
+    throw otpError('OtpCooldownError', 'Please wait before requesting another code', {
+      retryAfter: Math.max(1, Math.ceil((lastSentAt + RESEND_COOLDOWN_MS - now) / 1000)),
+    });
+  }
+
+  await sendSMS(phone, `Your SmartSensrty code is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes. Never share it.`);
+
+  return { expiresIn: OTP_TTL_MS / 1000, resendAfter: RESEND_COOLDOWN_MS / 1000 };
+};
+
+/**
+ * Check a code. Resolves true once per sent code; every check counts as an
+ * attempt and the code is burned after MAX_VERIFY_ATTEMPTS.
+ */
+const verifyOtp = async (phone, code) => {
+  // Take an attempt before comparing, atomically, so parallel guesses can't
+  // all read the same count and get more than MAX_VERIFY_ATTEMPTS tries
+  const record = await PhoneOtp.findOneAndUpdate(
+    { phone, codeHash: { $ne: null }, expiresAt: { $gt: new Date() }, attempts: { $lt: MAX_VERIFY_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) return false;
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(phone, String(code || '')), 'hex');
+  const burn = { $unset: { codeHash: 1, expiresAt: 1 } };
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // Only one request may use the code, even when several send it at once
+    const used = await PhoneOtp.updateOne(
+      { _id: record._id, codeHash: record.codeHash },
+      { ...burn, $set: { attempts: 0 } }
+    );
+    return used.modifiedCount === 1;
+  }
+
+  if (record.attempts >= MAX_VERIFY_ATTEMPTS) {
+    await PhoneOtp.updateOne({ _id: record._id, codeHash: record.codeHash }, burn);
+  }
+  return false;
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp,
+};
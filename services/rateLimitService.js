@@ -0,0 +1,117 @@
+const RateLimitCounter = require('../models/RateLimitCounter');
+
+/**
+ * Fixed-window rate limits for unauthenticated endpoints.
+ *
+ * Stores, picked with RATE_LIMIT_STORE:
+ * - mongo:  RateLimitCounter collection, shared by every instance (default)
+ * - memory: per-process Map, for a single instance or local runs
+ */
+
+// The memory store drops expired keys at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const counters = new Map();
+  let lastSweep = Date.now();
+
+  // Keys (IPs, addresses) that never come back would otherwise stay forever
+  const sweep = (now) => {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    name: 'memory',
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      sweep(now);
+      let counter = counters.get(key);
+      if (!counter || counter.expiresAt <= now) {
+        counter = { count: 0, expiresAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, expiresAt: new Date(counter.expiresAt) };
+    },
+  };
+};
+
+const createMongoStore = () => ({
+  name: 'mongo',
+  hit: async (key, windowMs) => {
+    const now = new Date();
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key, expiresAt: { $gt: now } },
+      { $inc: { count: 1 } },
+      { new: true, lean: true }
+    );
+    if (counter) return counter;
+
+    // No live window: start a new one, over an expired one if there is one
+    try {
+      return await RateLimitCounter.findOneAndUpdate(
+        { key, expiresAt: { $lte: now } },
+        { $set: { count: 1, expiresAt: new Date(now.getTime() + windowMs) } },
+        { upsert: true, new: true, lean: true }
+      );
+    } catch (error) {
+      // Another request inserted the window first; count this one in it
+      if (error.code !== 11000) throw error;
+      return RateLimitCounter.findOneAndUpdate({ key }, { $inc: { count: 1 } }, { new: true, lean: true });
+    }
+  },
+});
+
+let store = null;
+
+const getStore = () => {
+  if (store) return store;
+  store = process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createMongoStore();
+  console.log(`✅ Rate limit store: ${store.name}`);
+  return store;
+};
+
+// Swap the store at runtime (e.g. a memory store in a script)
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Count one hit for `name` + `id`. Resolves with { allowed, retryAfter }.
+ * Store errors let the request through: these limits guard emergency paths.
+ */
+const consume = async (name, id, { max, windowMs }) => {
+  try {
+    const { count, expiresAt } = await getStore().hit(`${name}:${id}`, windowMs);
+    const retryAfter = Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 1000));
+    return { allowed: count <= max, retryAfter: count <= max ? 0 : retryAfter };
+  } catch (error) {
+    console.error(`❌ Rate limit check failed for ${name}:`, error.message);
+    return { allowed: true, retryAfter: 0 };
+  }
+};
+
+/**
+ * Express middleware: at most `max` requests per `windowMs` for each key
+ * (the client IP by default). Over the limit it answers 429 with Retry-After.
+ */
+const rateLimit = ({ name, max, windowMs, keyGenerator = (req) => req.ip, message = 'Too many requests, try again later' }) =>
+  async (req, res, next) => {
+    const { allowed, retryAfter } = await consume(name, keyGenerator(req), { max, windowMs });
+    if (allowed) return next();
+
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ success: false, message, retryAfter });
+  };
+
+module.exports = {
+  consume,
+  rateLimit,
+  setStore,
+  createMemoryStore,
+  createMongoStore,
+};
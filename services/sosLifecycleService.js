@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const SOS = require('../models/SOS');
+const User = require('../models/User');
+const TrustedContact = require('../models/TrustedContact');
+const { ADMIN_ROLES } = require('../config/permissions');
+const { sendSMS } = require('./offlineService');
+
+/**
+ * The SOS state machine. Every status change goes through transition(),
+ * which checks the SOS is in a state the transition starts from and that
+ * the actor may make it, then sets the status and appends to the SOS's
+ * event timeline in one update.
+ *
+ *   triggered -> dispatched -> acknowledged -> en_route
+ *        \______________\_____________\____________\__-> resolved | cancelled | false_alarm
+ *
+ * Actors: the SOS owner, a member of the owner's trusted circle ('contact'),
+ * a 'responder' an admin assigned to the SOS, an admin by role, and the
+ * server itself ('system').
+ */
+
+const OPEN_STATUSES = ['triggered', 'dispatched', 'acknowledged', 'en_route'];
+const CLOSED_STATUSES = ['resolved', 'cancelled', 'false_alarm'];
+
+const TRANSITIONS = {
+  // Alerts went out (the escalation service), or a dispatcher sent help
+  dispatch: { to: 'dispatched', from: ['triggered'], actors: ['system', 'responder', 'admin'] },
+  acknowledge: { to: 'acknowledged', from: ['triggered', 'dispatched'], actors: ['contact', 'responder', 'admin'] },
+  en_route: { to: 'en_route', from: ['triggered', 'dispatched', 'acknowledged'], actors: ['contact', 'responder'] },
+  resolve: { to: 'resolved', from: OPEN_STATUSES, actors: ['owner', 'responder', 'admin'] },
+  cancel: { to: 'cancelled', from: OPEN_STATUSES, actors: ['owner'] },
+  false_alarm: { to: 'false_alarm', from: OPEN_STATUSES, actors: ['owner', 'responder', 'admin'] },
+};
+
+// Transitions the owner makes only with their PIN, when they have one
+const PIN_PROTECTED = ['resolve', 'cancel', 'false_alarm'];
+
+const SYSTEM_ACTOR = { kind: 'system' };
+
+const lifecycleError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const isOpen = (sos) => OPEN_STATUSES.includes(sos.status);
+
+const describeEvent = (event) => ({
+  type: event.type,
+  from: event.from || null,
+  to: event.to || null,
+  actor: {
+    kind: event.actor && event.actor.kind,
+    name: (event.actor && event.actor.name) || null,
+  },
+  note: event.note || null,
+  at: event.at,
+});
+
+const isAssignedResponder = (sos, userId) =>
+  (sos.responders || []).some(responder => String(responder.userId) === String(userId));
+
+/**
+ * Who the signed-in user is to this SOS, or null when they have no part in
+ * it. Responders act only on SOS they were assigned to. Members of the
+ * owner's trusted circle are matched by the phone number the user verified
+ * by SMS; the profile's mobile field is never trusted.
+ * The SOS must be loaded with `userId` and `responders.userId`.
+ */
+const resolveActor = async (sos, { userId, role }) => {
+  if (String(sos.userId._id || sos.userId) === String(userId)) return { kind: 'owner', userId };
+  if (ADMIN_ROLES.includes(role)) return { kind: 'admin', userId };
+  if (role === 'responder' && isAssignedResponder(sos, userId)) return { kind: 'responder', userId };
+
+  const user = await User.findById(userId).select('identities.phone');
+  const phone = user && user.identities && user.identities.phone;
+  const member = phone && phone.number && phone.verifiedAt
+    && (await TrustedContact.findOne({ userId: sos.userId._id || sos.userId, phone: phone.number, isActive: { $ne: false } }));
+  if (!member) return null;
+  return { kind: 'contact', userId, contactId: member._id, name: member.name };
+};
+
+// Closing or someone responding ends the contact escalation
+const escalationStop = (sos, action) => {
+  if (!sos.escalation || sos.escalation.completedAt) return null;
+  if (!['acknowledge', 'en_route'].includes(action) && !CLOSED_STATUSES.includes(TRANSITIONS[action].to)) return null;
+  return { $set: { 'escalation.completedAt': new Date() }, $unset: { 'escalation.nextAt': 1 } };
+};
+
+/**
+ * Move the SOS through `action` as `actor`. Rejects with
+ * SOSNotFoundError, SOSTransitionForbiddenError (the actor may not make this
+ * transition) or InvalidSOSTransitionError (not from the current status).
+ * Resolves with the updated SOS.
+ */
+const transition = async (sosId, action, actor, { note } = {}) => {
+  const rule = TRANSITIONS[action];
+  if (!rule) throw lifecycleError('InvalidSOSTransitionError', `Unknown transition ${action}`);
+  if (!rule.actors.includes(actor.kind)) {
+    throw lifecycleError('SOSTransitionForbiddenError', `You can't ${action.replace('_', ' ')} this SOS`);
+  }
+
+  // Compare-and-set on the status; a concurrent change gets one more try
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const sos = mongoose.isValidObjectId(sosId) && (await SOS.findById(sosId));
+    if (!sos) throw lifecycleError('SOSNotFoundError', 'SOS not found');
+    if (!rule.from.includes(sos.status)) {
+      throw lifecycleError('InvalidSOSTransitionError', `This SOS is ${sos.status.replace('_', ' ')} and can't move to ${rule.to.replace('_', ' ')}`);
+    }
+
+    const now = new Date();
+    const stop = escalationStop(sos, action);
+    const update = {
+      $set: { status: rule.to, ...(stop ? stop.$set : {}), ...(CLOSED_STATUSES.includes(rule.to) ? { resolvedAt: now } : {}) },
+      $push: { events: { type: action, from: sos.status, to: rule.to, actor, note: note || undefined, at: now } },
+      ...(stop ? { $unset: stop.$unset } : {}),
+    };
+    const updated = await SOS.findOneAndUpdate({ _id: sos._id, status: sos.status }, update, { new: true });
+    if (!updated) continue;
+
+    console.log(`🔁 SOS ${updated._id}: ${sos.status} -> ${rule.to} by ${actor.kind}`);
+    if (CLOSED_STATUSES.includes(rule.to)) {
+      setImmediate(() => {
+        notifyClosed(updated, actor).catch(error =>
+          console.error(`❌ Failed to tell contacts SOS ${updated._id} is closed:`, error.message)
+        );
+      });
+    }
+    return updated;
+  }
+  throw lifecycleError('InvalidSOSTransitionError', 'This SOS changed while you were updating it. Try again.');
+};
+
+/**
+ * transition() for the server's own bookkeeping: does nothing, rather than
+ * throwing, when the SOS has already moved past `action`
+ */
+const advanceStatus = async (sosId, action, actor = SYSTEM_ACTOR) => {
+  try {
+    return await transition(sosId, action, actor);
+  } catch (error) {
+    if (error.name === 'InvalidSOSTransitionError') return null;
+    throw error;
+  }
+};
+
+/**
+ * Send a user with the responder role to an open SOS, as an admin. Rejects
+ * with SOSNotFoundError, InvalidResponderError or InvalidSOSTransitionError
+ * (the SOS is closed). Assigning someone twice changes nothing. Resolves
+ * with the updated SOS.
+ */
+const assignResponder = async (sosId, responderId, actor) => {
+  const responder = mongoose.isValidObjectId(responderId)
+    && (await User.findById(responderId).select('name role'));
+  if (!responder || responder.role !== 'responder') {
+    throw lifecycleError('InvalidResponderError', 'responderId must be a user with the responder role');
+  }
+
+  const now = new Date();
+  const updated = mongoose.isValidObjectId(sosId) && (await SOS.findOneAndUpdate(
+    { _id: sosId, status: { $in: OPEN_STATUSES }, 'responders.userId': { $ne: responder._id } },
+    {
+      $push: {
+        responders: { userId: responder._id, name: responder.name, assignedBy: actor.userId, assignedAt: now },
+        events: { type: 'responder_assigned', actor, note: `${responder.name || 'A responder'} assigned`, at: now },
+      },
+    },
+    { new: true }
+  ));
+  if (updated) {
+    console.log(`🚑 SOS ${updated._id}: responder ${responder._id} assigned by ${actor.kind}`);
+    return updated;
+  }
+
+  const sos = mongoose.isValidObjectId(sosId) && (await SOS.findById(sosId));
+  if (!sos) throw lifecycleError('SOSNotFoundError', 'SOS not found');
+  if (isAssignedResponder(sos, responder._id)) return sos;
+  throw lifecycleError('InvalidSOSTransitionError', `This SOS is ${sos.status.replace('_', ' ')} and can't take a responder`);
+};
+
+const CLOSED_MESSAGES = {
+  resolved: (name) => `SmartSensrty update: ${name}'s emergency alert has been resolved. No further action is needed. Thank you for being there.`,
+  false_alarm: (name) => `SmartSensrty update: ${name}'s emergency alert was a false alarm. No action is needed.`,
+  cancelled: (name) => `SmartSensrty update: ${name} cancelled their emergency alert. No action is needed.`,
+};
+
+/**
+ * Text every contact who was alerted for the SOS that it is over, except
+ * the one who closed it, and note it on the timeline
+ */
+const notifyClosed = async (sos, actor = SYSTEM_ACTOR) => {
+  const alerted = ((sos.escalation && sos.escalation.notifications) || [])
+    .filter(notification => notification.success && notification.contactId)
+    .map(notification => String(notification.contactId))
+    .filter(contactId => contactId !== String(actor.contactId || ''));
+  if (!alerted.length) return 0;
+
+  const [owner, contacts] = await Promise.all([
+    User.findById(sos.userId).select('name'),
+    TrustedContact.find({ _id: { $in: [...new Set(alerted)] } }).select('phone'),
+  ]);
+  const firstName = String((owner && owner.name) || '').split(' ')[0] || 'Your contact';
+  const body = CLOSED_MESSAGES[sos.status](firstName);
+
+  const results = await Promise.allSettled(contacts.map(contact => sendSMS(contact.phone, body)));
+  const sent = results.filter(result => result.status === 'fulfilled').length;
+
+  await SOS.updateOne(
+    { _id: sos._id },
+    { $push: { events: { type: 'contacts_notified', actor: SYSTEM_ACTOR, note: `${sent} of ${contacts.length} contacts told the SOS is ${sos.status.replace('_', ' ')}`, at: new Date() } } }
+  );
+  console.log(`📣 SOS ${sos._id}: ${sent}/${contacts.length} contacts told it is ${sos.status}`);
+  return sent;
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  CLOSED_STATUSES,
+  TRANSITIONS,
+  PIN_PROTECTED,
+  isOpen,
+  describeEvent,
+  resolveActor,
+  assignResponder,
+  transition,
+  advanceStatus,
+};
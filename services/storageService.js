@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const { getApiBaseUrl } = require('./accountRecoveryService');
+
+/**
+ * Blob storage for uploads and evidence. Pick a backend with STORAGE_DRIVER:
+ * - local:  files under STORAGE_LOCAL_DIR (default ./uploads)
+ * - gridfs: MongoDB GridFS bucket STORAGE_GRIDFS_BUCKET (default 'blobs')
+ * - s3:     any S3-compatible service, e.g. AWS or MinIO (S3_BUCKET, S3_REGION,
+ *           S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY)
+ *
+ * Every backend implements:
+ *   put(key, body, { contentType })  body is a Buffer or a readable stream
+ *   get(key) -> { stream, contentType, size } or null
+ *   delete(key)
+ *   list(prefix) -> [{ key, size, lastModified }]
+ *
+ * Keys look like 'profile_images/<file>' or 'evidence/<userId>/<id>/<file>'.
+ * Reads go through signed, expiring URLs (signedUrl / verifySignedUrl).
+ */
+
+const DEFAULT_URL_TTL_SECONDS = 15 * 60;
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.mp3': 'audio/mpeg',
+  '.json': 'application/json',
+};
+
+const guessContentType = (key) =>
+  CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+
+const storageError = (message) => {
+  const error = new Error(message);
+  error.name = 'StorageKeyError';
+  return error;
+};
+
+// Plain path segments only, so a key can never escape its root or bucket prefix
+const assertValidKey = (key) => {
+  if (typeof key !== 'string' || !/^[\w.-]+(\/[\w.-]+)*$/.test(key) || key.split('/').includes('..')) {
+    throw storageError(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+const toStream = (body) => (Buffer.isBuffer(body) ? Readable.from([body]) : body);
+
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../uploads'));
+  const resolve = (key) => path.join(root, assertValidKey(key));
+
+  return {
+    name: 'local',
+    put: async (key, body) => {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(filePath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(filePath));
+      }
+      const { size } = await fs.promises.stat(filePath);
+      return { key, size };
+    },
+    get: async (key) => {
+      const filePath = resolve(key);
+      try {
+        const stats = await fs.promises.stat(filePath);
+        if (!stats.isFile()) return null;
+        return { stream: fs.createReadStream(filePath), contentType: guessContentType(key), size: stats.size };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+    list: async (prefix) => {
+      const dir = resolve(prefix.replace(/\/$/, ''));
+      if (!fs.existsSync(dir)) return [];
+
+      const entries = [];
+      const walk = async (current) => {
+        for (const entry of await fs.promises.readdir(current, { withFileTypes: true })) {
+          const entryPath = path.join(current, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+          } else if (entry.isFile()) {
+            const stats = await fs.promises.stat(entryPath);
+            entries.push({
+              key: path.relative(root, entryPath).split(path.sep).join('/'),
+              size: stats.size,
+              lastModified: stats.mtime,
+            });
+          }
+        }
+      };
+      await walk(dir);
+      return entries;
+    },
+  };
+};
+
+const createGridFSStorage = () => {
+  const bucketName = process.env.STORAGE_GRIDFS_BUCKET || 'blobs';
+  // The bucket needs the live connection, so it is opened on first use
+  const getBucket = () => {
+    if (!mongoose.connection.db) throw new Error('GridFS storage needs a MongoDB connection');
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+  };
+
+  const findFiles = (filter) => getBucket().find(filter).toArray();
+
+  return {
+    name: 'gridfs',
+    put: async (key, body, { contentType } = {}) => {
+      assertValidKey(key);
+      const bucket = getBucket();
+      const previous = await findFiles({ filename: key });
+
+      const upload = bucket.openUploadStream(key, {
+        metadata: { contentType: contentType || guessContentType(key) },
+      });
+      await pipeline(toStream(body), upload);
+
+      // Replace, don't accumulate, when a key is written twice
+      for (const file of previous) await bucket.delete(file._id);
+      return { key, size: upload.length };
+    },
+    get: async (key) => {
+      assertValidKey(key);
+      const [file] = await getBucket().find({ filename: key }).sort({ uploadDate: -1 }).limit(1).toArray();
+      if (!file) return null;
+      return {
+        stream: getBucket().openDownloadStream(file._id),
+        contentType: (file.metadata && file.metadata.contentType) || guessContentType(key),
+        size: file.length,
+      };
+    },
+    delete: async (key) => {
+      assertValidKey(key);
+      const bucket = getBucket();
+      for (const file of await findFiles({ filename: key })) await bucket.delete(file._id);
+    },
+    list: async (prefix) => {
+      const escaped = prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const files = await findFiles({ filename: { $regex: `^${escaped}` } });
+      return files.map(file => ({ key: file.filename, size: file.length, lastModified: file.uploadDate }));
+    },
+  };
+};
+
+const createS3Storage = () => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+  } = require('@aws-sdk/client-s3');
+  const { Upload } = require('@aws-sdk/lib-storage');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3 storage needs S3_BUCKET');
+
+  const client = new S3Client({
+    region: process.env.S3_REGION || 'us-east-1',
+    // MinIO and most self-hosted services need an endpoint and path-style URLs
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    forcePathStyle: Boolean(process.env.S3_ENDPOINT) && process.env.S3_FORCE_PATH_STYLE !== 'false',
+    credentials: process.env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  });
+
+  return {
+    name: 's3',
+    put: async (key, body, { contentType } = {}) => {
+      assertValidKey(key);
+      const params = { Bucket: bucket, Key: key, ContentType: contentType || guessContentType(key) };
+      if (Buffer.isBuffer(body)) {
+        await client.send(new PutObjectCommand({ ...params, Body: body }));
+        return { key, size: body.length };
+      }
+      // Streams of unknown length go up as a multipart upload
+      await new Upload({ client, params: { ...params, Body: body } }).done();
+      return { key };
+    },
+    get: async (key) => {
+      assertValidKey(key);
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return { stream: object.Body, contentType: object.ContentType || guessContentType(key), size: object.ContentLength };
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || (error.$metadata && error.$metadata.httpStatusCode === 404)) return null;
+        throw error;
+      }
+    },
+    delete: async (key) => {
+      assertValidKey(key);
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+    list: async (prefix) => {
+      const entries = [];
+      let ContinuationToken;
+      do {
+        const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+        for (const object of page.Contents || []) {
+          entries.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return entries;
+    },
+  };
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (driver === 'gridfs') storage = createGridFSStorage();
+  else if (driver === 's3') storage = createS3Storage();
+  else storage = createLocalStorage();
+
+  console.log(`✅ Blob storage: ${storage.name}`);
+  return storage;
+};
+
+// Swap the backend at runtime (e.g. in scripts/checkStorage.js)
+const setStorage = (customStorage) => {
+  storage = customStorage;
+};
+
+const getUrlSecret = () => process.env.STORAGE_URL_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const signPayload = (payload) =>
+  crypto.createHmac('sha256', getUrlSecret()).update(payload).digest('base64url');
+
+/**
+ * A read URL for one blob that stops working after `expiresIn` seconds.
+ * `filename` sets the download name. Served by GET /api/files/:token.
+ */
+const signedUrl = (key, { expiresIn = DEFAULT_URL_TTL_SECONDS, filename } = {}) => {
+  assertValidKey(key);
+  const payload = Buffer.from(JSON.stringify({
+    k: key,
+    e: Math.floor(Date.now() / 1000) + expiresIn,
+    ...(filename ? { f: String(filename) } : {}),
+  })).toString('base64url');
+  return `${getApiBaseUrl()}/api/files/${payload}.${signPayload(payload)}`;
+};
+
+/**
+ * Check a token from a signed URL. Returns { key, filename } or null if the
+ * signature is wrong or the URL has expired.
+ */
+const verifySignedUrl = (token) => {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signPayload(payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { k, e, f } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!k || !e || e < Date.now() / 1000) return null;
+    return { key: assertValidKey(k), filename: f };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Buffer a whole blob, for small files such as profile images in an export
+const readBlob = async (key) => {
+  const blob = await getStorage().get(key);
+  if (!blob) return null;
+
+  const chunks = [];
+  for await (const chunk of blob.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+module.exports = {
+  DEFAULT_URL_TTL_SECONDS,
+  getStorage,
+  setStorage,
+  createLocalStorage,
+  createGridFSStorage,
+  createS3Storage,
+  assertValidKey,
+  signedUrl,
+  verifySignedUrl,
+  readBlob,
+};
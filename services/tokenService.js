@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; the refresh token keeps the device signed in
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const getJwtSecret = () => process.env.JWT_SECRET || 'your-secret-key';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Random single-use token for email links (verification, password reset).
+ * Only the hash is stored; the raw token goes in the link.
+ */
+const createOneTimeToken = (ttlMs) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  };
+};
+
+const authError = (name, message) => {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+};
+
+const signAccessToken = (user, session) =>
+  jwt.sign(
+    { userId: user._id, sid: session._id, role: user.role || 'user' },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+
+// A login that passed the password step but still owes a second factor
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { userId: user._id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    getJwtSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+  );
+
+const verifyTwoFactorChallenge = (challengeToken) => {
+  const decoded = jwt.verify(challengeToken, getJwtSecret());
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+    throw authError('JsonWebTokenError', 'Not a two-factor challenge token');
+  }
+  return decoded;
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const buildTokenResponse = (user, session, refreshSecret) => ({
+  token: signAccessToken(user, session),
+  refreshToken: `${session._id}.${refreshSecret}`,
+  expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+});
+
+// How often a request may bump lastSeenAt, to avoid a write on every call
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const getDeviceInfo = (req) => {
+  if (!req) return { deviceId: null };
+  const body = req.body || {};
+  return {
+    deviceId: body.deviceId || req.header('X-Device-Id') || null,
+    os: body.os || req.header('X-Device-OS'),
+    appVersion: body.appVersion || req.header('X-App-Version'),
+  };
+};
+
+/**
+ * Start a new session for the user and return access + refresh tokens.
+ * A device only ever holds one live session: logging in again from the same
+ * deviceId revokes the previous one.
+ */
+const issueTokens = async (user, req) => {
+  const deviceInfo = getDeviceInfo(req);
+
+  if (deviceInfo.deviceId) {
+    await Session.updateMany(
+      { userId: user._id, 'deviceInfo.deviceId': deviceInfo.deviceId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'replaced' }
+    );
+  }
+
+  const refreshSecret = createRefreshSecret();
+  const session = await Session.create({
+    userId: user._id,
+    deviceInfo,
+    lastSeenIp: req && req.ip,
+    refreshTokenHash: hashToken(refreshSecret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return buildTokenResponse(user, session, refreshSecret);
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+// Presenting an already rotated refresh token means it was copied
+const revokeForReuse = async (sessionId) => {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'reuse_detected' }
+  );
+  console.warn(`⚠️ Refresh token reuse detected, session ${sessionId} revoked`);
+  return authError('SessionRevokedError', 'Session has been revoked');
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair.
+ * Presenting an already rotated refresh token means it was copied, so the
+ * whole session is revoked. The swap is conditional on the presented token,
+ * so of two refreshes racing with the same token only one wins; the other
+ * counts as reuse.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session) throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+
+  if (!session.isActive()) {
+    throw authError('SessionRevokedError', 'Session has been revoked');
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash === session.previousRefreshTokenHash) {
+    throw await revokeForReuse(session._id);
+  }
+
+  if (presentedHash !== session.refreshTokenHash) {
+    throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+  }
+
+  // Re-read the user so a changed role reaches the next access token
+  const user = await User.findById(session.userId).select('role');
+  if (!user) throw authError('InvalidRefreshTokenError', 'Invalid refresh token');
+
+  const refreshSecret = createRefreshSecret();
+  const now = new Date();
+  const update = {
+    previousRefreshTokenHash: presentedHash,
+    refreshTokenHash: hashToken(refreshSecret),
+    lastUsedAt: now,
+    lastSeenAt: now,
+  };
+  if (req) {
+    update.lastSeenIp = req.ip;
+    // The app may have been updated since the session started
+    const { os, appVersion } = getDeviceInfo(req);
+    if (os) update['deviceInfo.os'] = os;
+    if (appVersion) update['deviceInfo.appVersion'] = appVersion;
+  }
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: update },
+    { new: true }
+  );
+  if (!rotated) {
+    // Another request rotated (or revoked) the session with the same token first
+    const current = await Session.findById(session._id).select('revokedAt expiresAt previousRefreshTokenHash');
+    if (current && current.isActive() && current.previousRefreshTokenHash === presentedHash) {
+      throw await revokeForReuse(session._id);
+    }
+    throw authError('SessionRevokedError', 'Session has been revoked');
+  }
+
+  return buildTokenResponse(user, rotated, refreshSecret);
+};
+
+/**
+ * Revoke the session a refresh token belongs to. Returns false when the
+ * token does not match a live session.
+ */
+const revokeByRefreshToken = async (refreshToken, reason = 'logout') => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    { _id: parsed.sessionId, refreshTokenHash: hashToken(parsed.secret), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every live session of a user, optionally keeping one (the caller's).
+ * Returns how many sessions were revoked.
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'remote_signout' } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+/**
+ * Verify an access token and make sure its session has not been revoked.
+ * Resolves with the decoded payload; rejects with a JWT error, a
+ * SessionRevokedError or a TwoFactorRequiredError. Pass `ip` to record where
+ * the session was last seen, and `allowTwoFactorPending` to also accept a
+ * 2FA challenge token (SOS triggers must never wait on a second factor).
+ */
+const verifyAccessToken = async (token, { ip, allowTwoFactorPending = false } = {}) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+
+  if (decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE) {
+    if (allowTwoFactorPending) return decoded;
+    throw authError('TwoFactorRequiredError', 'Two-factor verification required');
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are refused
+  if (!decoded.sid) {
+    throw authError('SessionRevokedError', 'Session expired, please log in again');
+  }
+
+  const session = await Session.findById(decoded.sid)
+    .select('revokedAt expiresAt lastSeenAt lastSeenIp')
+    .lean();
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw authError('SessionRevokedError', 'Session has been revoked');
+  }
+
+  const now = Date.now();
+  if (
+    now - new Date(session.lastSeenAt).getTime() > LAST_SEEN_RESOLUTION_MS ||
+    (ip && ip !== session.lastSeenIp)
+  ) {
+    // Fire and forget: a failed bookkeeping write must not fail the request
+    Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: new Date(now), ...(ip ? { lastSeenIp: ip } : {}) }
+    ).catch(err => console.error('❌ Failed to update session last seen:', err.message));
+  }
+
+  return decoded;
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  hashToken,
+  createOneTimeToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+};
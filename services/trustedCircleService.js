@@ -0,0 +1,169 @@
+const TrustedContact = require('../models/TrustedContact');
+const { normalizePhoneNumber } = require('./phoneNumberService');
+
+const { MEMBER_CHANNELS, RELATIONSHIPS } = TrustedContact;
+// Older responses are dropped from responseHistory
+const MAX_RESPONSE_HISTORY = 50;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const describeMember = (member) => ({
+  _id: member._id,
+  name: member.name,
+  relation: member.relation,
+  relationship: member.relationship || 'other',
+  phone: member.phone,
+  email: member.email || null,
+  tier: member.tier || 1,
+  channels: member.channels && member.channels.length ? member.channels : ['sms'],
+  waitMinutes: member.waitMinutes || null,
+  isActive: member.isActive !== false,
+  status: member.status || 'pending',
+  confirmed: member.status === 'confirmed',
+  statusChangedAt: member.statusChangedAt || null,
+  invitedAt: member.invitedAt || null,
+  deliveryError: member.status === 'bouncing' ? member.deliveryError || null : null,
+  trustScore: member.trustScore,
+  notificationPreferences: member.notificationPreferences,
+  responseStats: member.responseStats,
+  createdAt: member.createdAt,
+  updatedAt: member.updatedAt,
+});
+
+const parseNotificationPreferences = (value) => {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    return { error: 'notificationPreferences must be an object' };
+  }
+
+  const preferences = {};
+  for (const key of ['sms', 'push', 'email']) {
+    if (value[key] === undefined) continue;
+    if (typeof value[key] !== 'boolean') return { error: `notificationPreferences.${key} must be true or false` };
+    preferences[`notificationPreferences.${key}`] = value[key];
+  }
+
+  const quietHours = value.quiet_hours;
+  if (quietHours !== undefined) {
+    const { enabled, start, end } = quietHours || {};
+    if (typeof enabled !== 'boolean' || (enabled && (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)))) {
+      return { error: 'quiet_hours needs enabled, and start and end as HH:MM when enabled' };
+    }
+    preferences['notificationPreferences.quiet_hours'] = { enabled, start, end };
+  }
+
+  return { preferences };
+};
+
+/**
+ * Validate a create (or, with `partial`, an update) body. Returns
+ * { input } with paths ready for the model, or { error }. Numbers without
+ * a country code are read in `region`.
+ */
+const parseMemberInput = (body, { partial = false, region } = {}) => {
+  const { name, relation, phone, email, relationship, tier, channels, waitMinutes, isActive, notificationPreferences } = body || {};
+  const input = {};
+
+  for (const [field, value] of Object.entries({ name, relation })) {
+    if (value === undefined && partial) continue;
+    // Guardians were added with a relationship and no label
+    if (field === 'relation' && value === undefined && RELATIONSHIPS.includes(relationship)) {
+      input.relation = relationship.replace('_', ' ').replace(/^\w/, char => char.toUpperCase());
+      continue;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return { error: `${field} is required` };
+    }
+    input[field] = value.trim();
+  }
+
+  if (phone !== undefined || !partial) {
+    const normalized = normalizePhoneNumber(phone, { region });
+    if (!normalized) return { error: 'Enter a valid phone number' };
+    input.phone = normalized;
+  }
+
+  if (email !== undefined) {
+    if (email !== null && (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim()))) {
+      return { error: 'Enter a valid email address' };
+    }
+    input.email = email === null ? undefined : email.trim().toLowerCase();
+  }
+  if (relationship !== undefined) {
+    if (!RELATIONSHIPS.includes(relationship)) return { error: `relationship must be one of ${RELATIONSHIPS.join(', ')}` };
+    input.relationship = relationship;
+  }
+  if (tier !== undefined) {
+    if (![1, 2, 3].includes(tier)) return { error: 'tier must be 1, 2 or 3' };
+    input.tier = tier;
+  }
+  if (channels !== undefined) {
+    if (!Array.isArray(channels) || channels.length === 0 || !channels.every(channel => MEMBER_CHANNELS.includes(channel))) {
+      return { error: `channels must list one or more of ${MEMBER_CHANNELS.join(', ')}` };
+    }
+    input.channels = [...new Set(channels)];
+  }
+  if (waitMinutes !== undefined) {
+    if (waitMinutes !== null && (!Number.isInteger(waitMinutes) || waitMinutes < 1 || waitMinutes > 60)) {
+      return { error: 'waitMinutes must be a whole number from 1 to 60, or null for the policy default' };
+    }
+    input.waitMinutes = waitMinutes === null ? undefined : waitMinutes;
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    input.isActive = isActive;
+  }
+  if (notificationPreferences !== undefined) {
+    const { preferences, error } = parseNotificationPreferences(notificationPreferences);
+    if (error) return { error };
+    Object.assign(input, preferences);
+  }
+
+  return { input };
+};
+
+/**
+ * Count an alert sent to each of these members
+ */
+const recordAlerted = async (memberIds) => {
+  if (!memberIds.length) return;
+  await TrustedContact.updateMany({ _id: { $in: memberIds } }, { $inc: { 'responseStats.totalNotifications': 1 } });
+};
+
+/**
+ * Add a response to an alert to the member's history and stats
+ */
+const recordResponse = async (memberId, { sosId, notifiedAt, action = 'accepted' }) => {
+  const member = await TrustedContact.findById(memberId);
+  if (!member) return null;
+
+  const respondedAt = new Date();
+  const timeToRespond = notifiedAt ? respondedAt - new Date(notifiedAt) : undefined;
+  member.responseHistory.push({ sosEventId: String(sosId), notifiedAt, respondedAt, responseAction: action, timeToRespond });
+  member.responseHistory = member.responseHistory.slice(-MAX_RESPONSE_HISTORY);
+
+  const stats = member.responseStats;
+  const accepted = action === 'accepted';
+  if (accepted) {
+    if (timeToRespond !== undefined) {
+      stats.averageResponseTime = Math.round(
+        (stats.averageResponseTime * stats.totalResponses + timeToRespond) / (stats.totalResponses + 1)
+      );
+    }
+    stats.totalResponses += 1;
+  }
+  stats.acceptanceRate = stats.totalNotifications
+    ? Math.min(1, stats.totalResponses / stats.totalNotifications)
+    : 0;
+
+  await member.save();
+  return member;
+};
+
+module.exports = {
+  MEMBER_CHANNELS,
+  RELATIONSHIPS,
+  describeMember,
+  parseMemberInput,
+  recordAlerted,
+  recordResponse,
+};
@@ -0,0 +1,135 @@
+const User = require('../models/User');
+const totp = require('./totpService');
+const {
+  issueTokens,
+  signTwoFactorChallenge,
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+} = require('./tokenService');
+
+// Select these when a route needs to check or change the second factor
+const TWO_FACTOR_FIELDS =
+  '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const isEnabled = (user) => Boolean(user.twoFactor && user.twoFactor.enabled);
+
+/**
+ * Finish a first-factor login (password, Google). Returns the full tokens,
+ * or a short-lived challenge token when the account has 2FA enabled.
+ */
+const completeLogin = async (user, req) => {
+  if (!isEnabled(user)) return issueTokens(user, req);
+
+  return {
+    twoFactorRequired: true,
+    challengeToken: signTwoFactorChallenge(user),
+    challengeExpiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code. A matching recovery code is used up
+ * and a matching TOTP step cannot be replayed. Both are claimed with a
+ * conditional update, so parallel requests can't use the same one twice.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!isEnabled(user) || !user.twoFactor.secret) return false;
+
+  if (code) {
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+    const step = totp.verifyCode(totp.decryptSecret(user.twoFactor.secret), String(code), { lastUsedStep });
+    if (step === null) return false;
+
+    const claimed = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }],
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (claimed.modifiedCount !== 1) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = totp.hashRecoveryCode(recoveryCode);
+    const usedAt = new Date();
+    const claimed = await User.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash, usedAt: null } } },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': usedAt } }
+    );
+    if (claimed.modifiedCount !== 1) return false;
+
+    const entry = (user.twoFactor.recoveryCodes || []).find(c => c.hash === hash && !c.usedAt);
+    if (entry) entry.usedAt = usedAt;
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Start enrollment: store a pending secret and return what the app needs to
+ * show the QR code. 2FA is not on until confirmEnrollment succeeds.
+ */
+const beginEnrollment = async (user) => {
+  const secret = totp.generateSecret();
+  user.twoFactor.pendingSecret = totp.encryptSecret(secret);
+  await user.save();
+
+  return {
+    secret,
+    otpauthUri: totp.buildProvisioningUri(secret, user.email || user.mobile || user.name),
+  };
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app.
+ * Resolves with the plain recovery codes, or null if the code is wrong.
+ */
+const confirmEnrollment = async (user, code) => {
+  if (!user.twoFactor.pendingSecret) return null;
+
+  const secret = totp.decryptSecret(user.twoFactor.pendingSecret);
+  const step = totp.verifyCode(secret, String(code || ''));
+  if (step === null) return null;
+
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  return codes;
+};
+
+const disable = async (user) => {
+  user.twoFactor = { enabled: false };
+  await user.save();
+};
+
+const regenerateRecoveryCodes = async (user) => {
+  const { codes, hashes } = totp.generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+const remainingRecoveryCodes = (user) =>
+  (user.twoFactor.recoveryCodes || []).filter(c => !c.usedAt).length;
+
+module.exports = {
+  TWO_FACTOR_FIELDS,
+  isEnabled,
+  completeLogin,
+  verifySecondFactor,
+  beginEnrollment,
+  confirmEnrollment,
+  disable,
+  regenerateRecoveryCodes,
+  remainingRecoveryCodes,
+};